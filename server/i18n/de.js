@@ -0,0 +1,781 @@
+// Deutsch – Standard- und Rückfallsprache aller Kataloge.
+// Platzhalter {name} werden beim Übersetzen ersetzt (siehe translator in ./index.js).
+export default {
+  name: "Deutsch",
+  locale: "de-DE",
+
+  common: { yes: "Ja", no: "Nein", yesLower: "ja", noLower: "nein", error: "Fehler" },
+
+  // Werte aus den Findings (Schweregrad, Impact, Kategorie, Fundstelle) und der Zweck der
+  // KI-Crawler bleiben im Ergebnis deutsch und werden erst beim Rendern übersetzt
+  // (severity, impact, category, location, aiPurpose – fehlt ein Wert, bleibt er deutsch).
+
+  groups: { structuredData: "Structured", technical: "Technical", content: "Content", social: "Social" },
+
+  profiles: {
+    standard: "Standard",
+    "local-business": "Lokales Unternehmen",
+    ecommerce: "E-Commerce",
+    publisher: "Publisher/Magazin",
+    saas: "SaaS/Corporate",
+    custom: "Eigenes Profil",
+  },
+
+  criteria: {
+    jsonld: "Strukturierte Daten vorhanden",
+    organization: "Organization-Schema",
+    "local-business": "LocalBusiness-Schema",
+    "nap-complete": "LocalBusiness mit Telefon + Adresse",
+    "opening-hours": "Öffnungszeiten im Schema",
+    website: "WebSite-Schema",
+    "search-action": "SearchAction",
+    breadcrumb: "BreadcrumbList",
+    faq: "FAQPage",
+    article: "Article-Schema",
+    "article-author-date": "Article mit Autor + Datum",
+    product: "Product-Schema",
+    "product-offer": "Product mit Offer (Preis + Währung)",
+    canonical: "Canonical gesetzt",
+    indexable: "Indexierbar (Status/robots)",
+    "robots-txt": "robots.txt vorhanden",
+    sitemap: "Sitemap gefunden",
+    lang: "<html lang> gesetzt",
+    "heading-order": "Überschriften ohne Sprünge",
+    redirects: "Höchstens ein Redirect",
+    hreflang: "hreflang inkl. x-default",
+    caching: "Caching-Header",
+    h1: "Genau eine H1",
+    h2: "Mindestens eine H2",
+    "word-count": "≥ 200 Wörter",
+    "alt-text": "≤ 20 % Bilder ohne ALT",
+    "meta-description": "Meta-Description in Ideal-Spanne",
+    title: "Title in Ideal-Spanne",
+    og: "OpenGraph-Tags",
+    twitter: "Twitter-Card",
+  },
+
+  rules: {
+    "http-status": { issue: "HTTP-Status {status}", fix: "2xx/3xx sicherstellen", example: "Server/Route prüfen" },
+    "not-indexable": {
+      issue: "Nicht indexierbar (Status/robots)",
+      fix: "Status/robots prüfen",
+      example: "X-Robots/META anpassen",
+    },
+    "meta-noindex": {
+      issue: "noindex gesetzt",
+      fix: "Indexierung erlauben",
+      example: "<meta name='robots' content='index,follow'>",
+    },
+    "redirect-chain": {
+      issue: "Redirect-Kette ({hops} Sprünge): {chain}",
+      fix: "Weiterleitungen auflösen",
+      example: "301 → Ziel direkt",
+    },
+    "canonical-missing": {
+      issue: "Canonical fehlt",
+      fix: "<link rel='canonical'> setzen",
+      example: "<link rel='canonical' href='…'>",
+    },
+    "canonical-header-conflict": {
+      issue: "Canonical im HTML ({html}) widerspricht dem Link-Header ({header})",
+      fix: "beide Angaben auf dieselbe URL setzen oder eine entfernen",
+    },
+    "canonical-target-broken": {
+      issue: "Canonical-Ziel nicht erreichbar: {target} ({status})",
+      fix: "auf eine erreichbare 200-URL kanonisieren",
+    },
+    "canonical-target-redirect": {
+      issue: "Canonical-Ziel leitet weiter: {target} → {finalUrl}",
+      fix: "direkt auf die finale URL kanonisieren",
+    },
+    "canonical-target-noindex": {
+      issue: "Canonical-Ziel ist noindex: {target}",
+      fix: "Ziel indexierbar machen oder anderes Canonical wählen",
+    },
+    "canonical-loop": {
+      issue: "Canonical-Schleife: {chain}",
+      fix: "eine URL als selbstreferenzierendes Canonical festlegen",
+    },
+    "canonical-chain": {
+      issue: "Canonical-Kette ({hops} Sprünge): {chain}",
+      fix: "direkt auf das Endziel kanonisieren",
+    },
+    "canonical-cross-domain": {
+      issue: "Canonical zeigt auf eine andere Domain: {target}",
+      fix: "prüfen, ob die Kanonisierung auf die fremde Domain gewollt ist",
+    },
+    "canonical-relative": {
+      issue: "Canonical mit relativer URL: {href}",
+      fix: "absolute URL inkl. Protokoll und Host verwenden",
+      example: "<link rel='canonical' href='https://www.example.de/seite/'>",
+    },
+    "canonical-sitemap-mismatch": {
+      issue: "Sitemap-URL kanonisiert auf {target}",
+      fix: "nur kanonische URLs in die Sitemap aufnehmen",
+    },
+    "broken-internal-link": {
+      issue: "Kaputte interne Links ({count}): {list}",
+      fix: "Links korrigieren oder Zielseite wiederherstellen bzw. weiterleiten",
+    },
+    "soft-404-link": {
+      issue: "Links auf Soft-404-Seiten ({count}): {list}",
+      fix: "für fehlende Seiten 404/410 senden und Links korrigieren",
+    },
+    "broken-external-link": {
+      issue: "Kaputte externe Links ({count}): {list}",
+      fix: "Link aktualisieren oder entfernen",
+    },
+    "broken-resource": {
+      issue: "Nicht ladbare Ressourcen ({count}): {list}",
+      fix: "Pfad von Bild/Skript/CSS korrigieren oder Einbindung entfernen",
+    },
+    "redirect-loop": {
+      issue: "Redirect-Schleife bzw. mehr als 10 Sprünge: {chain}",
+      fix: "Zyklus auflösen und direkt auf das finale Ziel weiterleiten",
+    },
+    "redirect-temporary": {
+      issue: "Normalisierung per temporärer Weiterleitung ({status}): {from} → {target}",
+      fix: "http/https-, www- und Slash-Weiterleitungen dauerhaft mit 301/308 ausführen",
+      example: "301 statt 302",
+    },
+    "redirect-http-https": {
+      issue: "Protokoll-Variante wird nicht normalisiert (landet auf {finalUrl})",
+      fix: "http per 301 auf https umleiten (alle Hosts)",
+    },
+    "redirect-host-normalization": {
+      issue: "www/non-www-Variante wird nicht normalisiert (landet auf {finalUrl})",
+      fix: "Variante per 301 auf den kanonischen Host umleiten",
+    },
+    "trailing-slash-duplicate": {
+      issue: "Mit und ohne Trailing Slash erreichbar ({variant} liefert ebenfalls 200)",
+      fix: "eine Schreibweise per 301 auf die andere umleiten oder per Canonical zusammenführen",
+    },
+    "internal-link-redirect": {
+      issue: "Interne Links auf Weiterleitungen ({count}): {list}",
+      fix: "Links direkt auf das Endziel setzen",
+    },
+    "title-length": {
+      issue: "Title ideal {min}–{max} Zeichen",
+      fix: "präzise, klickstark formulieren",
+      example: "<title>Keyword | Marke</title>",
+    },
+    "meta-description-missing": {
+      issue: "Description fehlt",
+      fix: "unique Description ergänzen",
+      example: "<meta name='description' content='…'>",
+    },
+    "meta-description-length": {
+      issue: "Description ideal {min}–{max} Zeichen",
+      fix: "kurz, unique, CTA",
+      example: "<meta name='description' ...>",
+    },
+    "duplicate-title": {
+      issue: "Title identisch mit {count} weiteren Seiten (Gruppe {group}): {list}",
+      fix: "je Seite einen eigenen Title formulieren",
+    },
+    "duplicate-description": {
+      issue: "Description identisch mit {count} weiteren Seiten (Gruppe {group}): {list}",
+      fix: "je Seite eine eigene Description schreiben",
+    },
+    "duplicate-h1": {
+      issue: "H1 identisch mit {count} weiteren Seiten (Gruppe {group}): {list}",
+      fix: "H1 auf den Inhalt der jeweiligen Seite zuschneiden",
+    },
+    "h1-count": {
+      issue: "Genau eine H1 je Seite empfohlen ({count} gefunden)",
+      fix: "präzise H1 setzen",
+      example: "<h1>Seitenfokus</h1>",
+    },
+    "h2-missing": {
+      issue: "Mindestens eine H2 sinnvoll",
+      fix: "Abschnitte strukturieren",
+      example: "<h2>Abschnitt</h2>",
+    },
+    "heading-order": { issue: "Überschriften-Sprünge", fix: "hierarchisch gliedern", example: "H2→H3→H4…" },
+    "thin-content": {
+      issue: "Sehr wenig Text (<{minWords} Wörter)",
+      fix: "Informationsdichte erhöhen",
+      example: "Antworten/FAQs integrieren",
+    },
+    "near-duplicate-content": {
+      issue: "Inhalt zu ≥{similarity} % gleich mit {count} weiteren Seiten (Gruppe {group}): {list}",
+      fix: "Inhalte zusammenführen, differenzieren oder per Canonical/noindex bündeln",
+      example: "Tag-/Kategorie-/Paginierungsseiten auf noindex setzen",
+    },
+    "article-author-date": {
+      issue: "Autor/Datum fehlen",
+      fix: "author/datePublished ergänzen",
+      example: "{\"author\":\"…\",\"datePublished\":\"YYYY-MM-DD\"}",
+    },
+    "jsonld-missing": {
+      issue: "Keine strukturierten Daten (JSON-LD/Microdata/RDFa)",
+      fix: "passendes Schema.org ergänzen (bevorzugt JSON-LD)",
+      example: "{\"@context\":\"https://schema.org\",\"@type\":\"…\"}",
+    },
+    "jsonld-not-in-head": {
+      issue: "JSON-LD nicht im <head>",
+      fix: "JSON-LD früh laden",
+      example: "<script type='application/ld+json'>…</script>",
+    },
+    "schema-errors": {
+      issue: "schema.org-Fehler in strukturierten Daten ({count}), z. B. {example}",
+      fix: "Pflichtfelder, Werttypen und @id-Verweise korrigieren",
+      example: "{\"@type\":\"Offer\",\"price\":\"19.90\",\"priceCurrency\":\"EUR\"}",
+    },
+    "schema-warnings": {
+      issue: "schema.org-Hinweise in strukturierten Daten ({count}), z. B. {example}",
+      fix: "empfohlene Felder für Rich Results ergänzen",
+      example: "{\"@type\":\"Product\",\"image\":\"https://…\",\"brand\":{…}}",
+    },
+    "nap-incomplete": {
+      issue: "NAP unvollständig (Tel/Adresse)",
+      fix: "telephone/address ergänzen",
+      example: "{\"@type\":\"LocalBusiness\",\"telephone\":\"…\",\"address\":{…}}",
+    },
+    "opening-hours-missing": {
+      issue: "Öffnungszeiten fehlen",
+      fix: "openingHours ergänzen",
+      example: "{\"openingHours\":\"Mo-Fr 09:00-17:00\"}",
+    },
+    "product-offer-missing": {
+      issue: "Product ohne Preis/Währung",
+      fix: "Offer ergänzen",
+      example: "{\"@type\":\"Offer\",\"price\":\"…\",\"priceCurrency\":\"EUR\"}",
+    },
+    "og-missing": { issue: "OpenGraph-Basis fehlt", fix: "og:title/description/image setzen", example: "og:title …" },
+    "lang-missing": { issue: "Sprachangabe fehlt", fix: "lang-Attribut setzen", example: "<html lang='de'>" },
+    "hreflang-x-default": {
+      issue: "x-default fehlt",
+      fix: "x-default ergänzen",
+      example: "<link rel='alternate' hreflang='x-default' …>",
+    },
+    "hreflang-invalid-code": {
+      issue: "Ungültige hreflang-Codes: {codes}",
+      fix: "ISO 639-1 Sprache + optional ISO 3166-1 Region verwenden",
+      example: "hreflang='de-AT', 'en-GB' (nicht 'en-UK'/'de_DE')",
+    },
+    "hreflang-target-broken": {
+      issue: "hreflang-Ziele nicht 200 bzw. weitergeleitet ({count}): {list}",
+      fix: "auf die finale 200-URL verweisen",
+      example: "<link rel='alternate' hreflang='en' href='https://…/en/'>",
+    },
+    "hreflang-target-not-indexable": {
+      issue: "hreflang-Ziele noindex/kanonisiert woanders hin ({count}): {list}",
+      fix: "nur indexierbare, selbstkanonische URLs verlinken",
+    },
+    "hreflang-no-return": {
+      issue: "Fehlende Rückverweise ({count}): {list}",
+      fix: "Alternates gegenseitig (bidirektional) auszeichnen",
+    },
+    "hreflang-conflict": {
+      issue: "Widersprüchliche hreflang-Angaben HTML/Header/Sitemap ({count}): {list}",
+      fix: "eine Quelle pflegen bzw. Angaben angleichen",
+    },
+    "hreflang-self-missing": {
+      issue: "hreflang ohne Selbstreferenz",
+      fix: "eigene URL mit eigener Sprache aufnehmen",
+      example: "<link rel='alternate' hreflang='de' href='(eigene URL)'>",
+    },
+    "form-labels": {
+      issue: ">{maxUnlabeledPct}% Inputs ohne Label/ARIA",
+      fix: "Beschriftungen ergänzen",
+      example: "<label for='…'>",
+    },
+    "impressum-link": { issue: "Impressum-Link nicht gefunden", fix: "sichtbar verlinken", example: "/impressum" },
+    "privacy-link": { issue: "Datenschutz-Link nicht gefunden", fix: "sichtbar verlinken", example: "/datenschutz" },
+    "big-images": {
+      issue: "{count} große Bilder (>500KB, erlaubt {maxCount})",
+      fix: "Bilder komprimieren / WebP/AVIF",
+      example: "<img src='…webp'>",
+    },
+    "lazy-load": {
+      issue: "Wenig Lazy-Load ({pct}% der Bilder)",
+      fix: "loading=\"lazy\" ergänzen",
+      example: "<img loading='lazy'>",
+    },
+    "csr-delta": {
+      issue: "Viele Inhalte erst clientseitig (+{pct}% Wörter)",
+      fix: "SSR/SSG bevorzugen",
+      example: "Server-Rendering aktivieren",
+    },
+    "ai-crawler-disallowed": {
+      issue: "{token} ({vendor}) per robots.txt gesperrt",
+      fix: "{token} freigeben, falls Sichtbarkeit in {vendor}-Antworten gewünscht",
+      example: "User-agent: {token}\nAllow: /",
+    },
+    "ai-crawler-disallowed-other": {
+      issue: "{token} ({vendor}) per robots.txt gesperrt",
+      fix: "{token} freigeben, falls Sichtbarkeit in {vendor}-Antworten gewünscht",
+      example: "User-agent: {token}\nAllow: /",
+    },
+    "ai-crawler-blocked": {
+      issue: "{token} wird serverseitig blockiert (HTTP {status}{challenge})",
+      fix: "WAF/Bot-Schutz-Regel für verifizierte KI-Crawler lockern",
+      example: "Cloudflare: Bot Fight Mode / AI Scrapers prüfen",
+    },
+    "ai-crawler-blocked-other": {
+      issue: "{token} wird serverseitig blockiert (HTTP {status}{challenge})",
+      fix: "WAF/Bot-Schutz-Regel für verifizierte KI-Crawler lockern",
+      example: "Cloudflare: Bot Fight Mode / AI Scrapers prüfen",
+    },
+    "ai-crawler-partial": {
+      issue: "{token}: {count} entdeckte URLs gesperrt",
+      fix: "gesperrte Pfade auf Absicht prüfen",
+      example: "User-agent: {token}\nDisallow: /intern/",
+    },
+    "llms-missing": {
+      issue: "llms.txt fehlt",
+      fix: "llms.txt im Root anlegen (Vorschlag im Report)",
+      example: "# Firma\n> Kurzbeschreibung\n## Leistungen\n- [Seite](https://…): …",
+    },
+    "llms-soft-404": {
+      issue: "/llms.txt liefert HTML statt Markdown (Soft-404)",
+      fix: "llms.txt im Root anlegen (Vorschlag im Report)",
+      example: "# Firma\n> Kurzbeschreibung\n## Leistungen\n- [Seite](https://…): …",
+    },
+    "llms-h1-missing": { issue: "llms.txt ohne H1-Titel", fix: "erste Zeile: # Projektname", example: "# Firma GmbH" },
+    "llms-h1-position": { issue: "H1 steht nicht am Anfang", fix: "H1 als erste Zeile", example: "# Firma GmbH" },
+    "llms-h1-multiple": {
+      issue: "{count}× H1 in llms.txt",
+      fix: "genau eine H1, Abschnitte als H2",
+      example: "## Leistungen",
+    },
+    "llms-summary-missing": {
+      issue: "Kurzfassung (Blockquote) fehlt",
+      fix: "> Einzeiler nach der H1 ergänzen",
+      example: "> Wir sind …",
+    },
+    "llms-no-sections": {
+      issue: "keine H2-Abschnitte mit Links",
+      fix: "Abschnitte mit Linklisten ergänzen",
+      example: "## Leistungen\n- [SEO](https://…): …",
+    },
+    "llms-bad-items": {
+      issue: "{count} Listeneinträge nicht im Format \"- [Name](URL)\" bzw. außerhalb eines Abschnitts",
+      fix: "Einträge als Markdown-Link unter einer H2",
+      example: "- [Kontakt](https://…/kontakt): Anfahrt, Telefon",
+    },
+    "llms-content-type": {
+      issue: "Content-Type {contentType}",
+      fix: "als text/plain oder text/markdown ausliefern",
+      example: "Content-Type: text/markdown; charset=utf-8",
+    },
+    "llms-invalid-links": {
+      issue: "{count} Links nicht absolut/ungültig",
+      fix: "absolute https-URLs verwenden",
+      example: "{first}",
+    },
+    "llms-unreachable-links": {
+      issue: "{count} Links nicht erreichbar",
+      fix: "tote Links entfernen/korrigieren",
+      example: "{list}",
+    },
+  },
+
+  // Auffälligkeiten der Hauptseite (result.issues)
+  issues: {
+    notIndexable: "Seite ist vermutlich nicht indexierbar (Status/robots).",
+    redirectChain: "Redirect-Kette vorhanden – bitte auflösen.",
+    canonicalMissing: "Canonical-Tag fehlt.",
+    jsonLdMissing: "Keine strukturierten Daten (JSON-LD/Microdata/RDFa) gefunden.",
+    organizationMissing: "Organization Schema fehlt.",
+    websiteMissing: "WebSite Schema fehlt.",
+    searchActionMissing: "SearchAction im WebSite Schema fehlt.",
+    langMissing: "<html lang> nicht gesetzt.",
+    h1Count: "H1-Anzahl ist {count} (sollte 1 sein).",
+    ogMissing: "OpenGraph-Tags fehlen/unvollständig.",
+    ogIncomplete: "OG: Titel/Beschreibung/Bild nicht komplett.",
+    altMissing: "Zu viele Bilder ohne ALT-Text (>20%).",
+    metaDescription: "Meta-Description fehlt/ist suboptimal ({min}–{max}).",
+    titleLength: "Title-Länge unideal ({min}–{max}).",
+    headingOrder: "Überschriften-Sprünge erkannt.",
+    urlUnclean: "URL-Struktur evtl. unsauber (Länge/Parameter/Großbuchstaben).",
+    cachingWeak: "Caching-Header wirken schwach – Cache-Control prüfen.",
+    robotsBroadBlock: "robots.txt blockiert breitflächig (Disallow: /) – prüfen.",
+    aiCrawlersShut: "Wichtige KI-Crawler ausgesperrt: {list}.",
+    robotsUnavailable: "robots.txt nicht erreichbar (5xx/Timeout) – Crawler werten die Site als gesperrt.",
+  },
+
+  ai: { challenge: ", Challenge-Seite" },
+
+  // schema.org-Validierung (validateJsonLd), Platzhalter aus issue.vars
+  schema: {
+    severity: { error: "Fehler", warning: "Hinweis" },
+    example: "Block {block} {path}: {message}",
+    "invalid-json": "Ungültiges JSON: {error}",
+    "not-object": "Kein JSON-LD-Objekt",
+    "missing-context": "@context fehlt oder verweist nicht auf schema.org",
+    "missing-type": "@type fehlt",
+    "missing-nested-type": "{property}: @type fehlt (geprüft als {expected})",
+    "missing-required": "Pflichtfeld {property} fehlt ({type})",
+    "missing-recommended": "Empfohlenes Feld {property} fehlt ({type})",
+    "wrong-type": "{property}: {actual} statt {expected}",
+    "text-for-type": "{property}: Text statt {expected}",
+    "invalid-url": "{property}: ungültige URL „{value}“",
+    "relative-url": "{property}: relative URL „{value}“ – absolute URL verwenden",
+    "invalid-date": "{property}: ungültiges Datum „{value}“ (ISO 8601 erwartet)",
+    "invalid-time": "{property}: ungültige Uhrzeit „{value}“ (hh:mm[:ss] erwartet)",
+    "invalid-duration": "{property}: ungültige Dauer „{value}“ (ISO 8601, z. B. PT30M)",
+    "invalid-number": "{property}: „{value}“ ist keine Zahl",
+    "invalid-boolean": "{property}: „{value}“ ist kein Wahrheitswert",
+    "invalid-enum": "{property}: „{value}“ ist kein gültiger Wert für {expected}",
+    "broken-ref": "{property}: Verweis auf @id „{id}“ ohne Ziel auf der Seite",
+    "external-ref": "{property}: Verweis auf @id „{id}“ nicht auf dieser Seite definiert (Ziel auf anderer Seite prüfen)",
+  },
+
+  // Vorschlag für /llms.txt
+  llms: {
+    mainSection: "Hauptseiten",
+    optionalSection: "Optional",
+    summaryPlaceholder: "Kurzbeschreibung der Website ergänzen.",
+  },
+
+  report: {
+    title: "GEO-Report {host}",
+    brand: "GEO-Analyse · Maschinenlesbarkeit",
+    domain: "Domain",
+    created: "Erstellt",
+    partial: "Teilergebnis – Analyse abgebrochen",
+    coverTitle: "GEO-Analyse",
+    page: "Seite",
+    summary: "Executive Summary",
+    scoreMain: "Score Startseite",
+    scoreSite: "Score Gesamtsite",
+    pageCount: "{count} Seiten",
+    pagesScanned: "Seiten gescannt",
+    pagesWithIssues: "Seiten mit Issues",
+    severityCounts: "Fehler/Warn/Hinw",
+    sitemapCoverage: "Sitemap-Coverage",
+    issues: "Auffälligkeiten (Hauptseite)",
+    orphans: "Orphan-Kandidaten (Sitemap, nicht gecrawlt · max 50)",
+
+    keyFigures: "Hauptseite – Kennzahlen",
+    field: "Feld",
+    value: "Wert",
+    figures: {
+      url: "URL",
+      http: "HTTP-Status / Redirect-Kette",
+      indexable: "Indexierbar",
+      titleDesc: "Title/Description",
+      words: "Wortzahl (Body)",
+      headings: "H1/H2",
+      altLazy: "ALT-Fehlquote / Lazy-Load",
+      jsonLdTypes: "Schema-Typen · Syntax",
+      renderDelta: "RAW→DOM Delta",
+      assets: "Assets (KB) total / img / js / css",
+      cachingUrl: "Caching / URL sauber",
+    },
+
+    matrixTitle: "Check-Matrix (1–14 Themenfelder)",
+    matrixHeaders: ["Kategorie", "Prüfpunkt", "Status"],
+    matrixGroups: {
+      indexing: "Technik/Indexierung",
+      i18n: "Internationalisierung",
+      performance: "Performance/Rendering",
+      structure: "Struktur/Semantik",
+      social: "OG/Social",
+      schema: "Schema.org",
+      content: "Content & LLM",
+      local: "GEO/Local",
+      a11y: "Barrierefreiheit/Recht",
+    },
+    matrix: {
+      http: "HTTP 2xx/3xx",
+      redirects: "Redirect-Kette ≤1",
+      robotsFound: "robots.txt erreichbar",
+      sitemapInRobots: "Sitemap in robots.txt verlinkt",
+      sitemapFound: "Sitemap vorhanden",
+      noBroadDisallow: "No broad Disallow",
+      noNoindex: "<meta robots> nicht noindex",
+      canonical: "Canonical vorhanden",
+      sitemapCoverage: "Sitemap-Abdeckung",
+      hreflang: "hreflang vorhanden",
+      xDefault: "x-default vorhanden",
+      bigImages: "Große Bilder (>500KB) ≤3",
+      lazy: "Lazy-Load sinnvoll",
+      csr: "CSR-Delta moderat",
+      caching: "Caching-Header",
+      title: "Title 50–60",
+      description: "Description 140–180",
+      h1: "1× H1",
+      h2: "H2 vorhanden",
+      headingOrder: "Heading-Hierarchie",
+      urlClean: "URL sauber",
+      breadcrumb: "Breadcrumb (Schema)",
+      og: "OG komplett (T/D/Img)",
+      twitter: "Twitter Card",
+      twitterLarge: "summary_large_image",
+      website: "WebSite (+SearchAction)",
+      organization: "Organization/LocalBusiness",
+      richTypes: "FAQ/Breadcrumb/Article",
+      product: "Product(+Offer)",
+      words: "≥200 Wörter",
+      alt: "ALT-Quote ok",
+      jsonLdHead: "JSON-LD im <head>",
+      aiCrawlers: "KI-Crawler zugelassen",
+      llms: "llms.txt vorhanden",
+      nap: "NAP vollständig",
+      hours: "Öffnungszeiten vorhanden",
+      lang: "<html lang>",
+      formLabels: "Form-Labels (Stichprobe)",
+      legalLinks: "Impressum/Datenschutz verlinkt",
+      seeTable: "→ siehe Tabelle",
+    },
+
+    sitemapSample: "Sitemap-Stichprobe (nur Seiten mit Findings)",
+    crawlSample: "Crawl-Stichprobe (nur Seiten mit Findings)",
+    pageHeaders: ["URL", "Status", "Title", "Desc", "H1", "H2", "Wörter", "JSON-LD", "#Findings"],
+
+    ai: {
+      title: "KI-Crawler-Zugriff (GEO)",
+      baseline: "Baseline-Abruf Startseite: HTTP {status}",
+      baselineChallenge: " (Challenge-Seite!)",
+      keyNote: "* = für generative Suche besonders relevant",
+      allowed: "erlaubt",
+      viaWildcard: " (via *)",
+      disallowed: "gesperrt ({rule})",
+      httpError: "Fehler",
+      challenge: " + Challenge",
+      robotsOnly: "— (nur robots-Token)",
+      access: { allowed: "✅ erlaubt", partial: "⚠️ teilweise gesperrt", disallowed: "❌ robots.txt", blocked: "❌ HTTP/WAF" },
+      headers: ["Crawler", "Anbieter", "Zweck", "robots.txt (Startseite)", "gesperrte URLs", "HTTP-Test", "Bewertung"],
+    },
+
+    diff: {
+      title: "Vergleich mit Lauf vom {date}",
+      mainGroup: "Startseite · {group}",
+      headers: ["Kennzahl", "vorher", "jetzt", "Δ"],
+      summary:
+        "Findings: {new} neu · {resolved} behoben · {unchanged} unverändert · URLs: {added} neu entdeckt · {removed} entfallen",
+      profileChanged: " · Achtung: unterschiedliche Scoring-Profile",
+      newFindings: "Neue Findings",
+      resolvedFindings: "Behobene Findings",
+      findingHeaders: ["URL", "Kategorie", "Status", "Befund"],
+      urlChanges: "URL-Änderungen",
+      urlHeaders: ["URL", "Änderung"],
+      added: "neu",
+      removed: "entfallen",
+    },
+
+    score: {
+      title: "Score-Herleitung Startseite ({profile})",
+      headers: ["Kriterium", "Bereich", "Punkte", "Status"],
+      reached: "Erreicht {earned} von {max} möglichen Punkten{note}.",
+      capped: " (auf 100 gedeckelt)",
+      scaled: " (auf 100 hochgerechnet)",
+    },
+
+    site: {
+      title: "Gesamtsite-Score: {total}/100",
+      summary:
+        "{pages} Seiten bewertet ({deep} gerendert, {light} Light, {broken} fehlerhaft = 0 Punkte) · Verteilung: {high}× 80–100, {mid}× 50–79, {low}× 0–49",
+      groupHeaders: ["Bereich", "Ø erreicht", "Seiten 80–100%", "50–79%", "0–49%"],
+      weakCriteria: "Schwächste Kriterien (Gesamtsite)",
+      criteriaHeaders: ["Kriterium", "Bereich", "Seiten erfüllt", "gemessen"],
+      worstPages: "Schwächste Seiten",
+      pageHeaders: ["URL", "Score", "Analyse", "Größte Lücken"],
+      broken: "fehlerhaft ({status})",
+      deep: "gerendert",
+      light: "Light",
+    },
+
+    llms: {
+      title: "llms.txt (GEO/LLM)",
+      found: "vorhanden ({bytes} Bytes, {links} Links, {unreachable} nicht erreichbar)",
+      missing: "fehlt (HTTP {status})",
+      fullFound: "vorhanden ({bytes} Bytes)",
+      fullMissing: "fehlt",
+      proposal: "Vorschlag llms.txt",
+    },
+
+    robots: {
+      title: "robots.txt – Gruppen & gesperrte URLs je User-Agent",
+      status: "Status: {status}",
+      respected: "Crawler respektiert robots.txt",
+      ignored: "Crawler ignoriert (Override) robots.txt",
+      crawlDelay: "Crawl-delay {seconds}s",
+      blocked: "{count} gesperrte URLs",
+      skipped: ", {count} nicht abgerufen",
+      groupHeaders: ["User-Agent", "Allow", "Disallow", "Crawl-delay"],
+      blockedHeaders: ["URL", "Gesperrt für", "Regel"],
+    },
+
+    hreflang: {
+      title: "hreflang-Cluster",
+      summary: "{clusters} Cluster · {pages} Seiten mit hreflang · {problems} Probleme",
+      skipped: " · {count} Ziele nicht geprüft (Limit)",
+      headers: ["Cluster", "URL", "Sprachen", "Quellen", "Ohne Rückverweis", "Ziel-Fehler", "Ungültige Codes", "Konflikte", "Selbstreferenz"],
+      sources: { html: "HTML", header: "Header", sitemap: "Sitemap" },
+    },
+
+    canonical: {
+      title: "Canonical-Cluster",
+      summary: "{pages} Seiten mit Canonical · {self} selbstreferenzierend · {clusters} Cluster mit Abweichungen",
+      skipped: " · {count} Ziele nicht geprüft (Limit)",
+      headers: ["Canonical-Ziel", "Status", "Seiten", "Kanonisiert von", "Probleme"],
+      problems: {
+        headerConflict: "HTML/Header-Konflikt",
+        broken: "Ziel nicht erreichbar",
+        redirect: "Ziel leitet weiter",
+        noindex: "Ziel noindex",
+        loop: "Schleife",
+        chain: "Kette",
+        crossDomain: "andere Domain",
+        relative: "relative URL",
+        sitemap: "Sitemap-URL",
+      },
+    },
+
+    duplicates: {
+      title: "Duplikate",
+      summary: "{groups} Gruppen · {pages} Seiten geprüft ({content} mit genug Text für den Inhaltsvergleich)",
+      headers: ["Gruppe", "Art", "Wert", "Seiten", "URLs"],
+      kinds: { title: "Title", description: "Description", h1: "H1", content: "Inhalt (Near-Duplicate)" },
+      similarity: "≥{similarity} % ähnlich",
+    },
+
+    linkGraph: {
+      title: "Interner Linkgraph",
+      summary: "{pages} URLs · {links} Verlinkungen · max. Klicktiefe {depth} · {orphans} Orphans ohne eingehenden Link",
+      incomplete: " · Crawl am Seitenlimit beendet, Werte unvollständig",
+      deepest: "Tiefste wichtige Seiten",
+      weakest: "Am schwächsten verlinkte wichtige Seiten",
+      orphans: "Orphans (Sitemap-URLs ohne internen Link, max 50)",
+      unverifiedOrphans: "Sitemap-URLs ohne gefundenen Link – nicht verifiziert, Crawl am Seitenlimit (max 50)",
+      headers: ["URL", "Klicktiefe", "Eingehende Links", "Interner PageRank", "Häufigste Ankertexte"],
+    },
+
+    linkCheck: {
+      title: "Kaputte Links & Ressourcen",
+      summary: "{checked} Verweise geprüft ({internal} intern, {external} extern, {image} Bilder, {script} Skripte, {css} CSS) · {broken} fehlerhaft",
+      skipped: " · {count} nicht geprüft (Limit)",
+      soft404Probe: " · Server liefert für fehlende Seiten 200 (Soft-404)",
+      headers: ["Ziel", "Art", "Status", "Quellseiten", "Ankertext"],
+      kinds: { internal: "Interner Link", external: "Externer Link", image: "Bild", script: "Skript", css: "CSS" },
+    },
+
+    redirects: {
+      title: "Weiterleitungen",
+      summary: "{traced} URLs verfolgt · {chains} weiterleitend · {loops} Schleifen · {temporary} temporär (302/307) · {normalization} Normalisierungsprobleme · {links} Seiten verlinken auf Weiterleitungen",
+      skipped: " · {count} nicht geprüft (Limit)",
+      normalization: "Normalisierung (http/https, www, Trailing Slash)",
+      normalizationHeaders: ["URL", "Problem", "Landet auf / Variante", "Status"],
+      kinds: { http: "Protokoll", host: "www/non-www", slash: "Trailing Slash" },
+      links: "Interne Links auf Weiterleitungen je Quellseite (max 200)",
+      headers: ["Quellseite", "Link-Ziel", "Ankertext", "Sprünge", "Endziel"],
+      chains: "Redirect-Map (max 200, vollständig im Export)",
+      chainHeaders: ["Hop-Liste", "Endstatus", "Temporär"],
+    },
+
+    schema: {
+      title: "schema.org-Validierung (JSON-LD, Microdata, RDFa)",
+      summary: "{errors} Fehler · {warnings} Hinweise auf {pages} Seiten",
+      truncated: " · {count} insgesamt, gekürzt",
+      headers: ["URL", "Block", "Syntax", "Typen", "JSON-Pfad", "Status", "Meldung"],
+    },
+
+    findings: "Befundtabelle (alle Findings)",
+    findingHeaders: ["URL", "Kategorie", "Fundstelle", "Status", "Issue", "Fix", "Beispiel", "Impact"],
+
+    // Erklärungen (HTML)
+    explainTitle: "Was bedeuten die Fehler & wie beheben?",
+    explain: [
+      "<b>Indexierung/Technik</b>: 2xx/3xx sicherstellen, keine Ketten; <b>robots.txt</b> nicht pauschal blocken; <b>Canonical</b> je Seite setzen; <b>Sitemap</b> in robots.txt verlinken.",
+      "<b>Performance/Rendering</b>: große Bilder verkleinern/komprimieren, <b>lazy</b>-Loading nutzen, CSS/JS minimieren, Caching (Cache-Control max-age) aktivieren; <b>CSR-Delta</b> groß → SSR/SSG erwägen.",
+      "<b>Struktur/Semantik</b>: Title 50–60, Description 140–180; genau 1× H1; H2/H3-Hierarchie ohne Sprünge; saubere, kurze URLs; Breadcrumbs im Markup (Schema).",
+      "<b>OG & Social</b>: og:title/description/image; Twitter <i>summary_large_image</i> für gute Previews.",
+      "<b>Schema.org</b>: WebSite(+SearchAction), Organization/LocalBusiness(+NAP), BreadcrumbList, FAQPage; Product→Offer mit price/priceCurrency/availability; Article→author/date.",
+      "<b>Content & LLM</b>: ≥200 Wörter Kerntext; Alt-Texte für Bilder; JSON-LD im <head>, nicht verspätet via JS injizieren.",
+      "<b>GEO</b>: NAP-Konsistenz (Telefon/Adresse/Öffnungszeiten) auszeichnen; Bewertungen/AggregateRating wo passend.",
+      "<b>A11y/Recht</b>: <code>&lt;html lang&gt;</code>, Formular-Labels/ARIA; Impressum & Datenschutz klar verlinken; Consent-Banner DSGVO-konform.",
+    ],
+    footnote: "Hinweis: Ohne externe Messung (Lighthouse/CrUX) sind Performance-Werte Heuristiken.",
+  },
+
+  // CSV/XLSX
+  export: {
+    sheets: {
+      findings: "Befunde",
+      sitemap: "Sitemap-Stichprobe",
+      crawl: "Crawl",
+      deep: "Deep-Analyse",
+      schema: "schema.org-Validierung",
+      hreflang: "hreflang",
+      canonical: "Canonicals",
+      duplicates: "Duplikate",
+      links: "Linkgraph",
+      brokenLinks: "Kaputte Links",
+      redirects: "Redirect-Map",
+      orphans: "Orphan-Kandidaten",
+    },
+    columns: {
+      url: "URL",
+      finalUrl: "Finale URL",
+      http: "HTTP",
+      redirects: "Redirects",
+      indexable: "Indexierbar",
+      title: "Title",
+      titleLength: "Title-Länge",
+      descriptionLength: "Description-Länge",
+      canonical: "Canonical",
+      lang: "lang",
+      h1: "H1",
+      h2: "H2",
+      words: "Wörter",
+      jsonLd: "JSON-LD",
+      microdata: "Microdata",
+      rdfa: "RDFa",
+      syntax: "Syntax",
+      jsonLdTypes: "Schema-Typen",
+      schemaErrors: "Schema-Fehler",
+      schemaWarnings: "Schema-Hinweise",
+      block: "Block",
+      cluster: "Cluster",
+      languages: "Sprachen",
+      sources: "Quellen",
+      noReturn: "Ohne Rückverweis",
+      brokenTargets: "Ziel-Fehler",
+      invalidCodes: "Ungültige Codes",
+      conflicts: "Konflikte",
+      selfReference: "Selbstreferenz",
+      canonicalTarget: "Canonical-Ziel",
+      canonicalHeader: "Link-Header",
+      targetStatus: "Ziel-Status",
+      clusterTarget: "Endziel",
+      chain: "Kette",
+      problems: "Probleme",
+      group: "Gruppe",
+      kind: "Art",
+      value: "Wert",
+      similarity: "Ähnlichkeit %",
+      depth: "Klicktiefe",
+      inlinks: "Eingehende Links",
+      outlinks: "Ausgehende Links",
+      rank: "Interner PageRank",
+      inSitemap: "In Sitemap",
+      anchors: "Ankertexte",
+      sourcePage: "Quellseite",
+      target: "Ziel",
+      anchor: "Ankertext",
+      hops: "Hop-Liste",
+      finalStatus: "Endstatus",
+      temporary: "Temporär (302/307)",
+      loop: "Schleife",
+      path: "JSON-Pfad",
+      code: "Code",
+      renderDelta: "RAW→DOM Delta %",
+      bigImages: "Große Bilder",
+      lazy: "Lazy-Load %",
+      score: "Score",
+      findings: "#Findings",
+      category: "Kategorie",
+      location: "Ort",
+      status: "Status",
+      issue: "Befund",
+      fix: "Empfehlung",
+      example: "Beispiel",
+      impact: "Impact",
+      ruleId: "Regel-ID",
+    },
+  },
+};
@@ -0,0 +1,792 @@
+// English. Fehlende Schlüssel fallen auf de.js zurück.
+export default {
+  name: "English",
+  locale: "en-GB",
+
+  common: { yes: "Yes", no: "No", yesLower: "yes", noLower: "no", error: "error" },
+
+  severity: { Fehler: "Error", Warnung: "Warning", Hinweis: "Notice" },
+  impact: { hoch: "high", mittel: "medium", niedrig: "low" },
+  category: {
+    Barrierefreiheit: "Accessibility",
+    Content: "Content",
+    "GEO/KI-Crawler": "GEO/AI crawlers",
+    "GEO/LLM": "GEO/LLM",
+    "GEO/NAP": "GEO/NAP",
+    Indexierung: "Indexing",
+    Internationalisierung: "Internationalisation",
+    Links: "Links",
+    Onpage: "On-page",
+    Performance: "Performance",
+    Recht: "Legal",
+    Rendering: "Rendering",
+    "Shop/Product": "Shop/Product",
+    "Social Preview": "Social preview",
+    "Struktur & Semantik": "Structure & semantics",
+    "Strukturierte Daten": "Structured data",
+    "Technik/Indexierung": "Technical/Indexing",
+  },
+  location: { "Footer/Navi": "Footer/navigation", Formulare: "Forms" },
+  aiPurpose: {
+    "ChatGPT-Suche": "ChatGPT search",
+    "Nutzer-Abruf": "User fetch",
+    "Claude-Suche": "Claude search",
+    "Suche/Index": "Search/index",
+    "Alexa/Suche": "Alexa/search",
+    "offene Trainingsdaten": "Open training data",
+  },
+
+  groups: { structuredData: "Structured", technical: "Technical", content: "Content", social: "Social" },
+
+  profiles: {
+    standard: "Standard",
+    "local-business": "Local business",
+    ecommerce: "E-commerce",
+    publisher: "Publisher/magazine",
+    saas: "SaaS/corporate",
+    custom: "Custom profile",
+  },
+
+  criteria: {
+    jsonld: "Structured data present",
+    organization: "Organization schema",
+    "local-business": "LocalBusiness schema",
+    "nap-complete": "LocalBusiness with phone + address",
+    "opening-hours": "Opening hours in schema",
+    website: "WebSite schema",
+    "search-action": "SearchAction",
+    breadcrumb: "BreadcrumbList",
+    faq: "FAQPage",
+    article: "Article schema",
+    "article-author-date": "Article with author + date",
+    product: "Product schema",
+    "product-offer": "Product with Offer (price + currency)",
+    canonical: "Canonical set",
+    indexable: "Indexable (status/robots)",
+    "robots-txt": "robots.txt present",
+    sitemap: "Sitemap found",
+    lang: "<html lang> set",
+    "heading-order": "Headings without skipped levels",
+    redirects: "At most one redirect",
+    hreflang: "hreflang incl. x-default",
+    caching: "Caching headers",
+    h1: "Exactly one H1",
+    h2: "At least one H2",
+    "word-count": "≥ 200 words",
+    "alt-text": "≤ 20 % images without ALT",
+    "meta-description": "Meta description within ideal range",
+    title: "Title within ideal range",
+    og: "OpenGraph tags",
+    twitter: "Twitter card",
+  },
+
+  rules: {
+    "http-status": { issue: "HTTP status {status}", fix: "Ensure a 2xx/3xx response", example: "Check server/route" },
+    "not-indexable": {
+      issue: "Not indexable (status/robots)",
+      fix: "Check status code and robots directives",
+      example: "Adjust X-Robots-Tag/meta robots",
+    },
+    "meta-noindex": {
+      issue: "noindex is set",
+      fix: "Allow indexing",
+      example: "<meta name='robots' content='index,follow'>",
+    },
+    "redirect-chain": {
+      issue: "Redirect chain ({hops} hops): {chain}",
+      fix: "Collapse redirects",
+      example: "301 → final target",
+    },
+    "canonical-missing": {
+      issue: "Canonical missing",
+      fix: "Add <link rel='canonical'>",
+      example: "<link rel='canonical' href='…'>",
+    },
+    "canonical-header-conflict": {
+      issue: "HTML canonical ({html}) contradicts the Link header ({header})",
+      fix: "Point both to the same URL or remove one",
+    },
+    "canonical-target-broken": { issue: "Canonical target unreachable: {target} ({status})", fix: "Canonicalise to a reachable 200 URL" },
+    "canonical-target-redirect": {
+      issue: "Canonical target redirects: {target} → {finalUrl}",
+      fix: "Canonicalise directly to the final URL",
+    },
+    "canonical-target-noindex": {
+      issue: "Canonical target is noindex: {target}",
+      fix: "Make the target indexable or choose another canonical",
+    },
+    "canonical-loop": { issue: "Canonical loop: {chain}", fix: "Make one URL self-canonical" },
+    "canonical-chain": { issue: "Canonical chain ({hops} hops): {chain}", fix: "Canonicalise directly to the final target" },
+    "canonical-cross-domain": {
+      issue: "Canonical points to another domain: {target}",
+      fix: "Check whether canonicalising to the other domain is intended",
+    },
+    "canonical-relative": {
+      issue: "Canonical uses a relative URL: {href}",
+      fix: "Use an absolute URL including protocol and host",
+      example: "<link rel='canonical' href='https://www.example.com/page/'>",
+    },
+    "canonical-sitemap-mismatch": { issue: "Sitemap URL canonicalises to {target}", fix: "Only list canonical URLs in the sitemap" },
+    "broken-internal-link": {
+      issue: "Broken internal links ({count}): {list}",
+      fix: "Fix the links or restore/redirect the target page",
+    },
+    "soft-404-link": { issue: "Links to soft-404 pages ({count}): {list}", fix: "Return 404/410 for missing pages and fix the links" },
+    "broken-external-link": { issue: "Broken external links ({count}): {list}", fix: "Update or remove the link" },
+    "broken-resource": {
+      issue: "Resources failing to load ({count}): {list}",
+      fix: "Fix the image/script/CSS path or remove the reference",
+    },
+    "redirect-loop": {
+      issue: "Redirect loop or more than 10 hops: {chain}",
+      fix: "Break the cycle and redirect straight to the final target",
+    },
+    "redirect-temporary": {
+      issue: "Normalization via temporary redirect ({status}): {from} → {target}",
+      fix: "Use permanent 301/308 redirects for http/https, www and trailing-slash normalization",
+      example: "301 instead of 302",
+    },
+    "redirect-http-https": {
+      issue: "Protocol variant is not normalized (ends at {finalUrl})",
+      fix: "Redirect http to https with a 301 (all hosts)",
+    },
+    "redirect-host-normalization": {
+      issue: "www/non-www variant is not normalized (ends at {finalUrl})",
+      fix: "301-redirect the variant to the canonical host",
+    },
+    "trailing-slash-duplicate": {
+      issue: "Reachable with and without trailing slash ({variant} also returns 200)",
+      fix: "301-redirect one spelling to the other or consolidate via canonical",
+    },
+    "internal-link-redirect": {
+      issue: "Internal links to redirects ({count}): {list}",
+      fix: "Link directly to the final target",
+    },
+    "title-length": {
+      issue: "Title should be {min}–{max} characters",
+      fix: "Write a precise, compelling title",
+      example: "<title>Keyword | Brand</title>",
+    },
+    "meta-description-missing": {
+      issue: "Meta description missing",
+      fix: "Add a unique description",
+      example: "<meta name='description' content='…'>",
+    },
+    "meta-description-length": {
+      issue: "Description should be {min}–{max} characters",
+      fix: "Short, unique, with a call to action",
+      example: "<meta name='description' ...>",
+    },
+    "duplicate-title": {
+      issue: "Title identical to {count} other pages (group {group}): {list}",
+      fix: "Write a distinct title for each page",
+    },
+    "duplicate-description": {
+      issue: "Description identical to {count} other pages (group {group}): {list}",
+      fix: "Write a distinct description for each page",
+    },
+    "duplicate-h1": {
+      issue: "H1 identical to {count} other pages (group {group}): {list}",
+      fix: "Tailor the H1 to each page's content",
+    },
+    "h1-count": {
+      issue: "Exactly one H1 per page recommended ({count} found)",
+      fix: "Add one precise H1",
+      example: "<h1>Page focus</h1>",
+    },
+    "h2-missing": {
+      issue: "At least one H2 recommended",
+      fix: "Structure the content into sections",
+      example: "<h2>Section</h2>",
+    },
+    "heading-order": { issue: "Skipped heading levels", fix: "Use a strict heading hierarchy", example: "H2→H3→H4…" },
+    "thin-content": {
+      issue: "Very little text (<{minWords} words)",
+      fix: "Increase information density",
+      example: "Add answers/FAQs",
+    },
+    "near-duplicate-content": {
+      issue: "Content ≥{similarity}% identical to {count} other pages (group {group}): {list}",
+      fix: "Merge, differentiate or consolidate via canonical/noindex",
+      example: "Set tag/category/pagination pages to noindex",
+    },
+    "article-author-date": {
+      issue: "Author/date missing",
+      fix: "Add author/datePublished",
+      example: "{\"author\":\"…\",\"datePublished\":\"YYYY-MM-DD\"}",
+    },
+    "jsonld-missing": {
+      issue: "No structured data (JSON-LD/microdata/RDFa)",
+      fix: "Add matching schema.org markup (preferably JSON-LD)",
+      example: "{\"@context\":\"https://schema.org\",\"@type\":\"…\"}",
+    },
+    "jsonld-not-in-head": {
+      issue: "JSON-LD not in <head>",
+      fix: "Load JSON-LD early",
+      example: "<script type='application/ld+json'>…</script>",
+    },
+    "schema-errors": {
+      issue: "schema.org errors in structured data ({count}), e.g. {example}",
+      fix: "Fix required properties, value types and @id references",
+      example: "{\"@type\":\"Offer\",\"price\":\"19.90\",\"priceCurrency\":\"EUR\"}",
+    },
+    "schema-warnings": {
+      issue: "schema.org warnings in structured data ({count}), e.g. {example}",
+      fix: "Add recommended properties for rich results",
+      example: "{\"@type\":\"Product\",\"image\":\"https://…\",\"brand\":{…}}",
+    },
+    "nap-incomplete": {
+      issue: "NAP incomplete (phone/address)",
+      fix: "Add telephone/address",
+      example: "{\"@type\":\"LocalBusiness\",\"telephone\":\"…\",\"address\":{…}}",
+    },
+    "opening-hours-missing": {
+      issue: "Opening hours missing",
+      fix: "Add openingHours",
+      example: "{\"openingHours\":\"Mo-Fr 09:00-17:00\"}",
+    },
+    "product-offer-missing": {
+      issue: "Product without price/currency",
+      fix: "Add an Offer",
+      example: "{\"@type\":\"Offer\",\"price\":\"…\",\"priceCurrency\":\"EUR\"}",
+    },
+    "og-missing": { issue: "OpenGraph basics missing", fix: "Set og:title/description/image", example: "og:title …" },
+    "lang-missing": {
+      issue: "Language declaration missing",
+      fix: "Set the lang attribute",
+      example: "<html lang='en'>",
+    },
+    "hreflang-x-default": {
+      issue: "x-default missing",
+      fix: "Add x-default",
+      example: "<link rel='alternate' hreflang='x-default' …>",
+    },
+    "hreflang-invalid-code": {
+      issue: "Invalid hreflang codes: {codes}",
+      fix: "Use an ISO 639-1 language plus optional ISO 3166-1 region",
+      example: "hreflang='de-AT', 'en-GB' (not 'en-UK'/'de_DE')",
+    },
+    "hreflang-target-broken": {
+      issue: "hreflang targets not 200 or redirected ({count}): {list}",
+      fix: "Point to the final 200 URL",
+      example: "<link rel='alternate' hreflang='en' href='https://…/en/'>",
+    },
+    "hreflang-target-not-indexable": {
+      issue: "hreflang targets noindex/canonicalised elsewhere ({count}): {list}",
+      fix: "Only reference indexable, self-canonical URLs",
+    },
+    "hreflang-no-return": {
+      issue: "Missing return links ({count}): {list}",
+      fix: "Annotate alternates bidirectionally",
+    },
+    "hreflang-conflict": {
+      issue: "Conflicting hreflang between HTML/header/sitemap ({count}): {list}",
+      fix: "Maintain one source or align the annotations",
+    },
+    "hreflang-self-missing": {
+      issue: "hreflang without self-reference",
+      fix: "Include the page's own URL and language",
+      example: "<link rel='alternate' hreflang='en' href='(own URL)'>",
+    },
+    "form-labels": {
+      issue: ">{maxUnlabeledPct}% of inputs without label/ARIA",
+      fix: "Add labels",
+      example: "<label for='…'>",
+    },
+    "impressum-link": { issue: "Imprint link not found", fix: "Link it visibly", example: "/imprint" },
+    "privacy-link": { issue: "Privacy policy link not found", fix: "Link it visibly", example: "/privacy" },
+    "big-images": {
+      issue: "{count} large images (>500KB, allowed {maxCount})",
+      fix: "Compress images / use WebP/AVIF",
+      example: "<img src='…webp'>",
+    },
+    "lazy-load": {
+      issue: "Little lazy loading ({pct}% of images)",
+      fix: "Add loading=\"lazy\"",
+      example: "<img loading='lazy'>",
+    },
+    "csr-delta": {
+      issue: "Much content rendered client-side only (+{pct}% words)",
+      fix: "Prefer SSR/SSG",
+      example: "Enable server rendering",
+    },
+    "ai-crawler-disallowed": {
+      issue: "{token} ({vendor}) disallowed by robots.txt",
+      fix: "Allow {token} if visibility in {vendor} answers is wanted",
+      example: "User-agent: {token}\nAllow: /",
+    },
+    "ai-crawler-disallowed-other": {
+      issue: "{token} ({vendor}) disallowed by robots.txt",
+      fix: "Allow {token} if visibility in {vendor} answers is wanted",
+      example: "User-agent: {token}\nAllow: /",
+    },
+    "ai-crawler-blocked": {
+      issue: "{token} is blocked server-side (HTTP {status}{challenge})",
+      fix: "Relax WAF/bot protection for verified AI crawlers",
+      example: "Cloudflare: review Bot Fight Mode / AI Scrapers",
+    },
+    "ai-crawler-blocked-other": {
+      issue: "{token} is blocked server-side (HTTP {status}{challenge})",
+      fix: "Relax WAF/bot protection for verified AI crawlers",
+      example: "Cloudflare: review Bot Fight Mode / AI Scrapers",
+    },
+    "ai-crawler-partial": {
+      issue: "{token}: {count} discovered URLs disallowed",
+      fix: "Check that the disallowed paths are intentional",
+      example: "User-agent: {token}\nDisallow: /internal/",
+    },
+    "llms-missing": {
+      issue: "llms.txt missing",
+      fix: "Add llms.txt to the web root (proposal in the report)",
+      example: "# Company\n> Short description\n## Services\n- [Page](https://…): …",
+    },
+    "llms-soft-404": {
+      issue: "/llms.txt returns HTML instead of Markdown (soft 404)",
+      fix: "Add llms.txt to the web root (proposal in the report)",
+      example: "# Company\n> Short description\n## Services\n- [Page](https://…): …",
+    },
+    "llms-h1-missing": {
+      issue: "llms.txt without H1 title",
+      fix: "First line: # Project name",
+      example: "# Company Ltd",
+    },
+    "llms-h1-position": {
+      issue: "H1 is not the first line",
+      fix: "Put the H1 on the first line",
+      example: "# Company Ltd",
+    },
+    "llms-h1-multiple": {
+      issue: "{count}× H1 in llms.txt",
+      fix: "Exactly one H1, sections as H2",
+      example: "## Services",
+    },
+    "llms-summary-missing": {
+      issue: "Summary (blockquote) missing",
+      fix: "Add a one-line > summary after the H1",
+      example: "> We are …",
+    },
+    "llms-no-sections": {
+      issue: "No H2 sections with links",
+      fix: "Add sections with link lists",
+      example: "## Services\n- [SEO](https://…): …",
+    },
+    "llms-bad-items": {
+      issue: "{count} list items not formatted as \"- [Name](URL)\" or outside a section",
+      fix: "List entries as Markdown links under an H2",
+      example: "- [Contact](https://…/contact): directions, phone",
+    },
+    "llms-content-type": {
+      issue: "Content-Type {contentType}",
+      fix: "Serve as text/plain or text/markdown",
+      example: "Content-Type: text/markdown; charset=utf-8",
+    },
+    "llms-invalid-links": {
+      issue: "{count} links not absolute/invalid",
+      fix: "Use absolute https URLs",
+      example: "{first}",
+    },
+    "llms-unreachable-links": { issue: "{count} links unreachable", fix: "Remove/fix dead links", example: "{list}" },
+  },
+
+  issues: {
+    notIndexable: "Page is probably not indexable (status/robots).",
+    redirectChain: "Redirect chain present – please collapse it.",
+    canonicalMissing: "Canonical tag missing.",
+    jsonLdMissing: "No structured data (JSON-LD/microdata/RDFa) found.",
+    organizationMissing: "Organization schema missing.",
+    websiteMissing: "WebSite schema missing.",
+    searchActionMissing: "SearchAction missing in WebSite schema.",
+    langMissing: "<html lang> not set.",
+    h1Count: "H1 count is {count} (should be 1).",
+    ogMissing: "OpenGraph tags missing/incomplete.",
+    ogIncomplete: "OG: title/description/image incomplete.",
+    altMissing: "Too many images without ALT text (>20%).",
+    metaDescription: "Meta description missing/suboptimal ({min}–{max}).",
+    titleLength: "Title length not ideal ({min}–{max}).",
+    headingOrder: "Skipped heading levels detected.",
+    urlUnclean: "URL structure may be unclean (length/parameters/upper case).",
+    cachingWeak: "Caching headers look weak – check Cache-Control.",
+    robotsBroadBlock: "robots.txt blocks broadly (Disallow: /) – please check.",
+    aiCrawlersShut: "Important AI crawlers locked out: {list}.",
+    robotsUnavailable: "robots.txt unreachable (5xx/timeout) – crawlers treat the site as blocked.",
+  },
+
+  ai: { challenge: ", challenge page" },
+
+  schema: {
+    severity: { error: "Error", warning: "Warning" },
+    example: "block {block} {path}: {message}",
+    "invalid-json": "Invalid JSON: {error}",
+    "not-object": "Not a JSON-LD object",
+    "missing-context": "@context missing or not pointing to schema.org",
+    "missing-type": "@type missing",
+    "missing-nested-type": "{property}: @type missing (checked as {expected})",
+    "missing-required": "Required property {property} missing ({type})",
+    "missing-recommended": "Recommended property {property} missing ({type})",
+    "wrong-type": "{property}: {actual} instead of {expected}",
+    "text-for-type": "{property}: text instead of {expected}",
+    "invalid-url": "{property}: invalid URL \"{value}\"",
+    "relative-url": "{property}: relative URL \"{value}\" – use an absolute URL",
+    "invalid-date": "{property}: invalid date \"{value}\" (ISO 8601 expected)",
+    "invalid-time": "{property}: invalid time \"{value}\" (hh:mm[:ss] expected)",
+    "invalid-duration": "{property}: invalid duration \"{value}\" (ISO 8601, e.g. PT30M)",
+    "invalid-number": "{property}: \"{value}\" is not a number",
+    "invalid-boolean": "{property}: \"{value}\" is not a boolean",
+    "invalid-enum": "{property}: \"{value}\" is not a valid {expected} value",
+    "broken-ref": "{property}: reference to @id \"{id}\" has no target on the page",
+    "external-ref": "{property}: reference to @id \"{id}\" is not defined on this page (check the target on the other page)",
+  },
+
+  llms: {
+    mainSection: "Main pages",
+    optionalSection: "Optional",
+    summaryPlaceholder: "Add a short description of the website.",
+  },
+
+  report: {
+    title: "GEO report {host}",
+    brand: "GEO analysis · machine readability",
+    domain: "Domain",
+    created: "Created",
+    partial: "Partial result – analysis cancelled",
+    coverTitle: "GEO analysis",
+    page: "Page",
+    summary: "Executive summary",
+    scoreMain: "Score home page",
+    scoreSite: "Score entire site",
+    pageCount: "{count} pages",
+    pagesScanned: "Pages scanned",
+    pagesWithIssues: "Pages with issues",
+    severityCounts: "Errors/Warn/Notices",
+    sitemapCoverage: "Sitemap coverage",
+    issues: "Issues (home page)",
+    orphans: "Orphan candidates (in sitemap, not crawled · max 50)",
+
+    keyFigures: "Home page – key figures",
+    field: "Field",
+    value: "Value",
+    figures: {
+      url: "URL",
+      http: "HTTP status / redirect chain",
+      indexable: "Indexable",
+      titleDesc: "Title/description",
+      words: "Word count (body)",
+      headings: "H1/H2",
+      altLazy: "Missing ALT rate / lazy loading",
+      jsonLdTypes: "Schema types · syntax",
+      renderDelta: "RAW→DOM delta",
+      assets: "Assets (KB) total / img / js / css",
+      cachingUrl: "Caching / clean URL",
+    },
+
+    matrixTitle: "Check matrix (14 topic areas)",
+    matrixHeaders: ["Category", "Check", "Status"],
+    matrixGroups: {
+      indexing: "Technical/Indexing",
+      i18n: "Internationalisation",
+      performance: "Performance/Rendering",
+      structure: "Structure/Semantics",
+      social: "OG/Social",
+      schema: "Schema.org",
+      content: "Content & LLM",
+      local: "GEO/Local",
+      a11y: "Accessibility/Legal",
+    },
+    matrix: {
+      http: "HTTP 2xx/3xx",
+      redirects: "Redirect chain ≤1",
+      robotsFound: "robots.txt reachable",
+      sitemapInRobots: "Sitemap linked in robots.txt",
+      sitemapFound: "Sitemap present",
+      noBroadDisallow: "No broad Disallow",
+      noNoindex: "<meta robots> not noindex",
+      canonical: "Canonical present",
+      sitemapCoverage: "Sitemap coverage",
+      hreflang: "hreflang present",
+      xDefault: "x-default present",
+      bigImages: "Large images (>500KB) ≤3",
+      lazy: "Sensible lazy loading",
+      csr: "Moderate CSR delta",
+      caching: "Caching headers",
+      title: "Title 50–60",
+      description: "Description 140–180",
+      h1: "1× H1",
+      h2: "H2 present",
+      headingOrder: "Heading hierarchy",
+      urlClean: "Clean URL",
+      breadcrumb: "Breadcrumb (schema)",
+      og: "OG complete (T/D/Img)",
+      twitter: "Twitter card",
+      twitterLarge: "summary_large_image",
+      website: "WebSite (+SearchAction)",
+      organization: "Organization/LocalBusiness",
+      richTypes: "FAQ/Breadcrumb/Article",
+      product: "Product(+Offer)",
+      words: "≥200 words",
+      alt: "ALT rate ok",
+      jsonLdHead: "JSON-LD in <head>",
+      aiCrawlers: "AI crawlers allowed",
+      llms: "llms.txt present",
+      nap: "NAP complete",
+      hours: "Opening hours present",
+      lang: "<html lang>",
+      formLabels: "Form labels (sample)",
+      legalLinks: "Imprint/privacy policy linked",
+      seeTable: "→ see table",
+    },
+
+    sitemapSample: "Sitemap sample (pages with findings only)",
+    crawlSample: "Crawl sample (pages with findings only)",
+    pageHeaders: ["URL", "Status", "Title", "Desc", "H1", "H2", "Words", "JSON-LD", "#Findings"],
+
+    ai: {
+      title: "AI crawler access (GEO)",
+      baseline: "Baseline fetch of home page: HTTP {status}",
+      baselineChallenge: " (challenge page!)",
+      keyNote: "* = especially relevant for generative search",
+      allowed: "allowed",
+      viaWildcard: " (via *)",
+      disallowed: "blocked ({rule})",
+      httpError: "Error",
+      challenge: " + challenge",
+      robotsOnly: "— (robots token only)",
+      access: { allowed: "✅ allowed", partial: "⚠️ partially blocked", disallowed: "❌ robots.txt", blocked: "❌ HTTP/WAF" },
+      headers: ["Crawler", "Vendor", "Purpose", "robots.txt (home page)", "Blocked URLs", "HTTP test", "Rating"],
+    },
+
+    diff: {
+      title: "Comparison with run from {date}",
+      mainGroup: "Home page · {group}",
+      headers: ["Metric", "Before", "Now", "Δ"],
+      summary:
+        "Findings: {new} new · {resolved} resolved · {unchanged} unchanged · URLs: {added} newly discovered · {removed} gone",
+      profileChanged: " · Note: different scoring profiles",
+      newFindings: "New findings",
+      resolvedFindings: "Resolved findings",
+      findingHeaders: ["URL", "Category", "Status", "Finding"],
+      urlChanges: "URL changes",
+      urlHeaders: ["URL", "Change"],
+      added: "new",
+      removed: "gone",
+    },
+
+    score: {
+      title: "Home page score breakdown ({profile})",
+      headers: ["Criterion", "Area", "Points", "Status"],
+      reached: "Reached {earned} of {max} possible points{note}.",
+      capped: " (capped at 100)",
+      scaled: " (scaled to 100)",
+    },
+
+    site: {
+      title: "Site score: {total}/100",
+      summary:
+        "{pages} pages scored ({deep} rendered, {light} light, {broken} broken = 0 points) · Distribution: {high}× 80–100, {mid}× 50–79, {low}× 0–49",
+      groupHeaders: ["Area", "Ø reached", "Pages 80–100%", "50–79%", "0–49%"],
+      weakCriteria: "Weakest criteria (entire site)",
+      criteriaHeaders: ["Criterion", "Area", "Pages passing", "Measured"],
+      worstPages: "Weakest pages",
+      pageHeaders: ["URL", "Score", "Analysis", "Biggest gaps"],
+      broken: "broken ({status})",
+      deep: "rendered",
+      light: "light",
+    },
+
+    llms: {
+      title: "llms.txt (GEO/LLM)",
+      found: "present ({bytes} bytes, {links} links, {unreachable} unreachable)",
+      missing: "missing (HTTP {status})",
+      fullFound: "present ({bytes} bytes)",
+      fullMissing: "missing",
+      proposal: "Proposed llms.txt",
+    },
+
+    robots: {
+      title: "robots.txt – groups & blocked URLs per user agent",
+      status: "Status: {status}",
+      respected: "Crawler respects robots.txt",
+      ignored: "Crawler ignores robots.txt (override)",
+      crawlDelay: "Crawl-delay {seconds}s",
+      blocked: "{count} blocked URLs",
+      skipped: ", {count} not fetched",
+      groupHeaders: ["User agent", "Allow", "Disallow", "Crawl-delay"],
+      blockedHeaders: ["URL", "Blocked for", "Rule"],
+    },
+
+    hreflang: {
+      title: "hreflang clusters",
+      summary: "{clusters} clusters · {pages} pages with hreflang · {problems} problems",
+      skipped: " · {count} targets not checked (limit)",
+      headers: ["Cluster", "URL", "Languages", "Sources", "No return link", "Target errors", "Invalid codes", "Conflicts", "Self-reference"],
+      sources: { html: "HTML", header: "Header", sitemap: "Sitemap" },
+    },
+
+    canonical: {
+      title: "Canonical clusters",
+      summary: "{pages} pages with canonical · {self} self-referencing · {clusters} clusters with deviations",
+      skipped: " · {count} targets not checked (limit)",
+      headers: ["Canonical target", "Status", "Pages", "Canonicalised from", "Problems"],
+      problems: {
+        headerConflict: "HTML/header conflict",
+        broken: "target unreachable",
+        redirect: "target redirects",
+        noindex: "target noindex",
+        loop: "loop",
+        chain: "chain",
+        crossDomain: "other domain",
+        relative: "relative URL",
+        sitemap: "sitemap URL",
+      },
+    },
+
+    duplicates: {
+      title: "Duplicates",
+      summary: "{groups} groups · {pages} pages checked ({content} with enough text for content comparison)",
+      headers: ["Group", "Type", "Value", "Pages", "URLs"],
+      kinds: { title: "Title", description: "Description", h1: "H1", content: "Content (near-duplicate)" },
+      similarity: "≥{similarity}% similar",
+    },
+
+    linkGraph: {
+      title: "Internal link graph",
+      summary: "{pages} URLs · {links} links · max. click depth {depth} · {orphans} orphans without inbound link",
+      incomplete: " · crawl stopped at the page limit, figures incomplete",
+      deepest: "Deepest important pages",
+      weakest: "Weakest-linked important pages",
+      orphans: "Orphans (sitemap URLs without internal link, max 50)",
+      unverifiedOrphans: "Sitemap URLs without a link found – unverified, crawl hit the page limit (max 50)",
+      headers: ["URL", "Click depth", "Inbound links", "Internal PageRank", "Top anchor texts"],
+    },
+
+    linkCheck: {
+      title: "Broken links & resources",
+      summary: "{checked} references checked ({internal} internal, {external} external, {image} images, {script} scripts, {css} CSS) · {broken} broken",
+      skipped: " · {count} not checked (limit)",
+      soft404Probe: " · server returns 200 for missing pages (soft 404)",
+      headers: ["Target", "Type", "Status", "Source pages", "Anchor text"],
+      kinds: { internal: "Internal link", external: "External link", image: "Image", script: "Script", css: "CSS" },
+    },
+
+    redirects: {
+      title: "Redirects",
+      summary: "{traced} URLs traced · {chains} redirecting · {loops} loops · {temporary} temporary (302/307) · {normalization} normalization issues · {links} pages link to redirects",
+      skipped: " · {count} not checked (limit)",
+      normalization: "Normalization (http/https, www, trailing slash)",
+      normalizationHeaders: ["URL", "Issue", "Ends at / variant", "Status"],
+      kinds: { http: "Protocol", host: "www/non-www", slash: "Trailing slash" },
+      links: "Internal links to redirects per source page (max 200)",
+      headers: ["Source page", "Link target", "Anchor text", "Hops", "Final target"],
+      chains: "Redirect map (max 200, complete in the export)",
+      chainHeaders: ["Hop list", "Final status", "Temporary"],
+    },
+
+    schema: {
+      title: "schema.org validation (JSON-LD, microdata, RDFa)",
+      summary: "{errors} errors · {warnings} warnings on {pages} pages",
+      truncated: " · {count} in total, truncated",
+      headers: ["URL", "Block", "Syntax", "Types", "JSON path", "Status", "Message"],
+    },
+
+    findings: "Findings table (all findings)",
+    findingHeaders: ["URL", "Category", "Location", "Status", "Issue", "Fix", "Example", "Impact"],
+
+    explainTitle: "What do the errors mean & how to fix them?",
+    explain: [
+      "<b>Indexing/technical</b>: ensure 2xx/3xx, no chains; do not block broadly in <b>robots.txt</b>; set a <b>canonical</b> on every page; link the <b>sitemap</b> in robots.txt.",
+      "<b>Performance/rendering</b>: shrink/compress large images, use <b>lazy</b> loading, minify CSS/JS, enable caching (Cache-Control max-age); large <b>CSR delta</b> → consider SSR/SSG.",
+      "<b>Structure/semantics</b>: title 50–60, description 140–180; exactly 1× H1; H2/H3 hierarchy without skipped levels; clean, short URLs; breadcrumbs in the markup (schema).",
+      "<b>OG & social</b>: og:title/description/image; Twitter <i>summary_large_image</i> for good previews.",
+      "<b>Schema.org</b>: WebSite(+SearchAction), Organization/LocalBusiness(+NAP), BreadcrumbList, FAQPage; Product→Offer with price/priceCurrency/availability; Article→author/date.",
+      "<b>Content & LLM</b>: ≥200 words of core text; alt texts for images; JSON-LD in the <head>, not injected late via JS.",
+      "<b>GEO</b>: mark up consistent NAP (phone/address/opening hours); reviews/AggregateRating where appropriate.",
+      "<b>A11y/legal</b>: <code>&lt;html lang&gt;</code>, form labels/ARIA; link imprint & privacy policy clearly; GDPR-compliant consent banner.",
+    ],
+    footnote: "Note: without external measurement (Lighthouse/CrUX), performance values are heuristics.",
+  },
+
+  export: {
+    sheets: {
+      findings: "Findings",
+      sitemap: "Sitemap sample",
+      crawl: "Crawl",
+      deep: "Deep analysis",
+      schema: "schema.org validation",
+      hreflang: "hreflang",
+      canonical: "Canonicals",
+      duplicates: "Duplicates",
+      links: "Link graph",
+      brokenLinks: "Broken links",
+      redirects: "Redirect map",
+      orphans: "Orphan candidates",
+    },
+    columns: {
+      url: "URL",
+      finalUrl: "Final URL",
+      http: "HTTP",
+      redirects: "Redirects",
+      indexable: "Indexable",
+      title: "Title",
+      titleLength: "Title length",
+      descriptionLength: "Description length",
+      canonical: "Canonical",
+      lang: "lang",
+      h1: "H1",
+      h2: "H2",
+      words: "Words",
+      jsonLd: "JSON-LD",
+      microdata: "Microdata",
+      rdfa: "RDFa",
+      syntax: "Syntax",
+      jsonLdTypes: "Schema types",
+      schemaErrors: "Schema errors",
+      schemaWarnings: "Schema warnings",
+      block: "Block",
+      cluster: "Cluster",
+      languages: "Languages",
+      sources: "Sources",
+      noReturn: "No return link",
+      brokenTargets: "Target errors",
+      invalidCodes: "Invalid codes",
+      conflicts: "Conflicts",
+      selfReference: "Self-reference",
+      canonicalTarget: "Canonical target",
+      canonicalHeader: "Link header",
+      targetStatus: "Target status",
+      clusterTarget: "Final target",
+      chain: "Chain",
+      problems: "Problems",
+      group: "Group",
+      kind: "Type",
+      value: "Value",
+      similarity: "Similarity %",
+      depth: "Click depth",
+      inlinks: "Inbound links",
+      outlinks: "Outbound links",
+      rank: "Internal PageRank",
+      inSitemap: "In sitemap",
+      anchors: "Anchor texts",
+      sourcePage: "Source page",
+      target: "Target",
+      anchor: "Anchor text",
+      hops: "Hop list",
+      finalStatus: "Final status",
+      temporary: "Temporary (302/307)",
+      loop: "Loop",
+      path: "JSON path",
+      code: "Code",
+      renderDelta: "RAW→DOM delta %",
+      bigImages: "Large images",
+      lazy: "Lazy loading %",
+      score: "Score",
+      findings: "#Findings",
+      category: "Category",
+      location: "Location",
+      status: "Status",
+      issue: "Finding",
+      fix: "Recommendation",
+      example: "Example",
+      impact: "Impact",
+      ruleId: "Rule ID",
+    },
+  },
+};
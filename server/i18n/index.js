@@ -0,0 +1,30 @@
+// ---------- Übersetzungskataloge ----------
+// Je Berichtssprache ein Katalog; neue Sprache = Datei anlegen + hier eintragen.
+// Fehlende Schlüssel fallen auf Deutsch zurück, unbekannte Schlüssel bleiben sichtbar.
+import de from "./de.js";
+import en from "./en.js";
+
+export const I18N = { de, en };
+export const REPORT_LANGUAGES = Object.keys(I18N);
+
+export const fillText = (tpl, vars) => (tpl || "").replace(/\{(\w+)\}/g, (m, k) => (k in vars ? String(vars[k]) : m));
+
+const lookup = (catalog, key) => key.split(".").reduce((o, k) => (o == null ? undefined : o[k]), catalog);
+
+// t("report.title", { host }) → String (Platzhalter ersetzt) bzw. Array/Objekt unverändert;
+// t.raw(key) → Katalogwert oder undefined (ohne Platzhalter zu ersetzen);
+// t.term("severity", "Fehler") übersetzt Werte aus dem Ergebnis, unbekannte bleiben stehen.
+export function translator(lang = "de") {
+  const catalog = I18N[lang] || de;
+  const raw = (key) => lookup(catalog, key) ?? lookup(de, key);
+  const t = (key, vars = {}) => {
+    const v = raw(key);
+    if (v == null) return key;
+    return typeof v === "string" ? fillText(v, vars) : v;
+  };
+  t.raw = raw;
+  t.term = (group, value) => catalog[group]?.[value] ?? de[group]?.[value] ?? value;
+  t.lang = I18N[lang] ? lang : "de";
+  t.locale = catalog.locale;
+  return t;
+}
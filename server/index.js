@@ -7,8 +7,16 @@ import cors from "cors";
 import { load as loadHTML } from "cheerio";
 import { parseStringPromise } from "xml2js";
 import { z } from "zod";
+import ExcelJS from "exceljs";
+import { I18N, REPORT_LANGUAGES, fillText, translator } from "./i18n/index.js";
+import { SCHEMA_ENUMS, SCHEMA_TYPES } from "./schemaorg.js";
 import crypto from "node:crypto";
-import { URL } from "node:url";
+import { EventEmitter } from "node:events";
+import fs from "node:fs";
+import path from "node:path";
+import process from "node:process";
+import { Buffer } from "node:buffer";
+import { URL, fileURLToPath } from "node:url";
 
 // ---------- App ----------
 const app = express();
@@ -16,10 +24,313 @@ app.use(cors());
 app.use(express.json({ limit: "1mb" }));
 
 app.get("/api/health", (_req, res) => res.json({ ok: true }));
-app.get("/api/debug", (_req, res) => res.json({ pid: process.pid, ts: Date.now() }));
+app.get("/api/debug", (_req, res) =>
+  res.json({ pid: process.pid, ts: Date.now(), browserPool: browserPool.stats() })
+);
 
-// In-Memory Job Store
-const jobs = new Map(); // jobId -> { status, progress, result, error, logs: [] }
+// ---------- Job Store (persistent) ----------
+// Jobs leben im Speicher (Map) und werden als JSON-Datei je Job gespiegelt,
+// damit Status, Optionen, Ergebnisse und Logs einen Neustart überleben.
+const DATA_DIR = process.env.GEO_DATA_DIR || path.join(path.dirname(fileURLToPath(import.meta.url)), "data");
+const JOBS_DIR = path.join(DATA_DIR, "jobs");
+const JOB_RETENTION_DAYS = Number(process.env.JOB_RETENTION_DAYS || 14);
+const JOB_MAX_COUNT = Number(process.env.JOB_MAX_COUNT || 200);
+const JOB_MAX_LOGS = 2000;
+const JOB_WRITE_DELAY_MS = 1000;
+
+function createJobStore({ dir, retentionDays, maxCount }) {
+  const mem = new Map(); // jobId -> { status, progress, options, result, error, logs: [], createdAt, updatedAt }
+  const timers = new Map(); // jobId -> pending write
+  const file = (jobId) => path.join(dir, `${jobId}.json`);
+  const safeId = (jobId) => /^[\w-]+$/.test(jobId || "");
+
+  fs.mkdirSync(dir, { recursive: true });
+
+  function writeNow(jobId) {
+    timers.delete(jobId);
+    const job = mem.get(jobId);
+    if (!job) return;
+    const tmp = `${file(jobId)}.tmp`;
+    try {
+      fs.writeFileSync(tmp, JSON.stringify(job));
+      fs.renameSync(tmp, file(jobId));
+    } catch (e) {
+      console.error("[jobStore] write failed", jobId, e.message);
+    }
+  }
+  function schedule(jobId) {
+    if (timers.has(jobId)) return;
+    const t = setTimeout(() => writeNow(jobId), JOB_WRITE_DELAY_MS);
+    t.unref?.();
+    timers.set(jobId, t);
+  }
+
+  function get(jobId) {
+    return mem.get(jobId);
+  }
+  function has(jobId) {
+    return mem.has(jobId);
+  }
+  function set(jobId, job) {
+    const now = new Date().toISOString();
+    const cur = mem.get(jobId);
+    const next = { ...job, createdAt: job.createdAt || cur?.createdAt || now, updatedAt: now };
+    if (next.logs?.length > JOB_MAX_LOGS) next.logs = next.logs.slice(-JOB_MAX_LOGS);
+    mem.set(jobId, next);
+    // Endzustände sofort sichern, Zwischenstände gebündelt
+    if (["done", "error", "cancelled"].includes(next.status) && next.status !== cur?.status) {
+      clearTimeout(timers.get(jobId));
+      writeNow(jobId);
+    } else schedule(jobId);
+    return next;
+  }
+  // nach In-Place-Änderungen (z. B. Logs) zum Speichern vormerken
+  function touch(jobId) {
+    if (mem.has(jobId)) schedule(jobId);
+  }
+  function remove(jobId) {
+    clearTimeout(timers.get(jobId));
+    timers.delete(jobId);
+    mem.delete(jobId);
+    fs.rm(file(jobId), { force: true }, () => {});
+  }
+  function flush() {
+    for (const jobId of [...timers.keys()]) {
+      clearTimeout(timers.get(jobId));
+      writeNow(jobId);
+    }
+  }
+
+  // Retention: zu alte Jobs entfernen, danach auf maxCount kürzen (älteste fertige zuerst)
+  function evict() {
+    const cutoff = Date.now() - retentionDays * 24 * 3600 * 1000;
+    const active = (j) => ["queued", "running", "cancelling"].includes(j.status);
+    for (const [id, j] of mem) {
+      if (!active(j) && Date.parse(j.updatedAt || j.createdAt || 0) < cutoff) remove(id);
+    }
+    const finished = [...mem.entries()]
+      .filter(([, j]) => !active(j))
+      .sort((a, b) => Date.parse(a[1].updatedAt || 0) - Date.parse(b[1].updatedAt || 0));
+    while (mem.size > maxCount && finished.length) remove(finished.shift()[0]);
+  }
+
+  function load() {
+    let names = [];
+    try {
+      names = fs.readdirSync(dir).filter((n) => n.endsWith(".json"));
+    } catch {
+      return;
+    }
+    for (const n of names) {
+      const jobId = n.slice(0, -5);
+      if (!safeId(jobId)) continue;
+      try {
+        const job = JSON.parse(fs.readFileSync(path.join(dir, n), "utf8"));
+        // Jobs, die beim Beenden noch liefen, lassen sich nicht fortsetzen
+        if (job.status === "cancelling") {
+          job.status = "cancelled";
+          mem.set(jobId, job);
+          writeNow(jobId);
+        } else if (job.status === "queued" || job.status === "running") {
+          job.status = "error";
+          job.error = "Interrupted by server restart";
+          mem.set(jobId, job);
+          writeNow(jobId);
+        } else mem.set(jobId, job);
+      } catch (e) {
+        console.error("[jobStore] skipping unreadable job file", n, e.message);
+      }
+    }
+  }
+
+  load();
+  evict();
+  const evictTimer = setInterval(evict, 3600 * 1000);
+  evictTimer.unref?.();
+
+  return { get, has, set, touch, delete: remove, flush, evict, values: () => mem.values(), get size() { return mem.size; } };
+}
+
+const jobs = createJobStore({ dir: JOBS_DIR, retentionDays: JOB_RETENTION_DAYS, maxCount: JOB_MAX_COUNT });
+
+// ---------- Audit-Historie ----------
+// Abgeschlossene Läufe je Domain als kompakter Snapshot (Scores, Findings, URLs),
+// unabhängig von der Job-Retention – Grundlage für den Vergleich zweier Läufe.
+const HISTORY_DIR = path.join(DATA_DIR, "history");
+const HISTORY_MAX_PER_HOST = Number(process.env.HISTORY_MAX_PER_HOST || 50);
+
+function createHistoryStore({ dir, maxPerHost }) {
+  const index = new Map(); // host -> [{ jobId, url, finishedAt, score, siteScore }] (alt → neu)
+  const hostOf = new Map(); // jobId -> host
+  const hostDir = (host) => path.join(dir, host.replace(/[^\w.-]/g, "_"));
+  const file = (host, jobId) => path.join(hostDir(host), `${jobId}.json`);
+  const meta = (s) => ({ jobId: s.jobId, url: s.url, finishedAt: s.finishedAt, score: s.score.total, siteScore: s.siteScore?.total ?? null });
+
+  fs.mkdirSync(dir, { recursive: true });
+
+  function insert(host, m) {
+    const runs = index.get(host) || [];
+    runs.push(m);
+    runs.sort((a, b) => Date.parse(a.finishedAt) - Date.parse(b.finishedAt));
+    index.set(host, runs);
+    hostOf.set(m.jobId, host);
+    while (runs.length > maxPerHost) {
+      const old = runs.shift();
+      hostOf.delete(old.jobId);
+      fs.rm(file(host, old.jobId), { force: true }, () => {});
+    }
+  }
+
+  function add(snapshot) {
+    try {
+      fs.mkdirSync(hostDir(snapshot.host), { recursive: true });
+      const tmp = `${file(snapshot.host, snapshot.jobId)}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify(snapshot));
+      fs.renameSync(tmp, file(snapshot.host, snapshot.jobId));
+      insert(snapshot.host, meta(snapshot));
+    } catch (e) {
+      console.error("[history] write failed", snapshot.jobId, e.message);
+    }
+  }
+  function get(jobId) {
+    const host = hostOf.get(jobId);
+    if (!host) return null;
+    try {
+      return JSON.parse(fs.readFileSync(file(host, jobId), "utf8"));
+    } catch {
+      return null;
+    }
+  }
+  // Neueste zuerst
+  const list = (host) => [...(index.get(host) || [])].reverse();
+  // Vorheriger Lauf derselben Domain
+  function previous(jobId) {
+    const runs = index.get(hostOf.get(jobId)) || [];
+    const i = runs.findIndex((r) => r.jobId === jobId);
+    return i > 0 ? runs[i - 1].jobId : null;
+  }
+  const hosts = () =>
+    [...index].map(([host, runs]) => ({ host, runs: runs.length, lastRun: runs[runs.length - 1]?.finishedAt || null }));
+
+  function load() {
+    let dirs = [];
+    try {
+      dirs = fs.readdirSync(dir, { withFileTypes: true }).filter((d) => d.isDirectory());
+    } catch {
+      return;
+    }
+    for (const d of dirs)
+      for (const n of fs.readdirSync(path.join(dir, d.name)).filter((x) => x.endsWith(".json"))) {
+        try {
+          const s = JSON.parse(fs.readFileSync(path.join(dir, d.name, n), "utf8"));
+          insert(s.host, meta(s));
+        } catch (e) {
+          console.error("[history] skipping unreadable file", n, e.message);
+        }
+      }
+  }
+
+  load();
+  return { add, get, list, previous, hosts, has: (jobId) => hostOf.has(jobId) };
+}
+
+const history = createHistoryStore({ dir: HISTORY_DIR, maxPerHost: HISTORY_MAX_PER_HOST });
+
+function historySnapshot(jobId, result, urls) {
+  return {
+    jobId,
+    host: new URL(result.requestedUrl).host,
+    url: result.requestedUrl,
+    finishedAt: new Date().toISOString(),
+    score: { total: result.score.total, breakdown: result.score.breakdown, profile: result.score.profile },
+    siteScore: result.siteScore
+      ? { total: result.siteScore.total, groups: Object.fromEntries(Object.entries(result.siteScore.groups).map(([g, v]) => [g, v.avgPct])) }
+      : null,
+    counts: result.counts,
+    findings: result.findings.map((f) => ({
+      url: f.url,
+      ruleId: f.ruleId,
+      ...(f.subject ? { subject: f.subject } : {}),
+      category: f.category,
+      status: f.status,
+      issue: f.issue,
+    })),
+    urls,
+  };
+}
+
+// Vergleich zweier Snapshots (base = älter, head = neuer)
+const DIFF_MAX_ITEMS = 500;
+
+// Findings als Multimenge über URL + Regel-ID (+ subject, falls die Regel mehrfach je URL trifft,
+// z. B. je KI-Crawler). Nie über den Issue-Text: der ist übersetzt und enthält Zählwerte.
+function matchFindings(baseList, headList) {
+  const key = (f) => `${f.url}\n${f.ruleId}\n${f.subject || ""}`;
+  const pending = new Map();
+  for (const f of baseList) {
+    if (!pending.has(key(f))) pending.set(key(f), []);
+    pending.get(key(f)).push(f);
+  }
+  const added = [];
+  const unchanged = [];
+  for (const f of headList) (pending.get(key(f))?.shift() ? unchanged : added).push(f);
+  return { added, resolved: [...pending.values()].flat(), unchanged };
+}
+
+function diffRuns(base, head) {
+  const delta = (from, to) => ({ from: from ?? null, to: to ?? null, delta: from != null && to != null ? to - from : null });
+  const { added, resolved, unchanged } = matchFindings(base.findings, head.findings);
+  const baseU = new Set(base.urls);
+  const headU = new Set(head.urls);
+  const cap = (arr) => arr.slice(0, DIFF_MAX_ITEMS);
+  return {
+    base: { jobId: base.jobId, finishedAt: base.finishedAt },
+    head: { jobId: head.jobId, finishedAt: head.finishedAt },
+    score: {
+      total: delta(base.score.total, head.score.total),
+      breakdown: Object.fromEntries(SCORE_GROUPS.map((g) => [g, delta(base.score.breakdown?.[g], head.score.breakdown?.[g])])),
+      site: delta(base.siteScore?.total, head.siteScore?.total),
+      siteGroups: Object.fromEntries(SCORE_GROUPS.map((g) => [g, delta(base.siteScore?.groups?.[g], head.siteScore?.groups?.[g])])),
+      profileChanged: (base.score.profile?.id || "standard") !== (head.score.profile?.id || "standard"),
+    },
+    findings: {
+      counts: { new: added.length, resolved: resolved.length, unchanged: unchanged.length },
+      new: cap(added),
+      resolved: cap(resolved),
+      unchanged: cap(unchanged),
+    },
+    urls: {
+      counts: { added: head.urls.filter((u) => !baseU.has(u)).length, removed: base.urls.filter((u) => !headU.has(u)).length },
+      added: cap(head.urls.filter((u) => !baseU.has(u))),
+      removed: cap(base.urls.filter((u) => !headU.has(u))),
+    },
+  };
+}
+
+// Diff für einen Job: gegen ?base=<jobId> oder den vorherigen Lauf derselben Domain
+function diffForJob(jobId, baseId) {
+  const head = history.get(jobId);
+  if (!head) return { error: "Run not in history", code: 404 };
+  const base = history.get(baseId || history.previous(jobId));
+  if (!base) return { error: baseId ? "Base run not in history" : "No previous run", code: 404 };
+  if (base.host !== head.host) return { error: "Runs belong to different hosts", code: 400 };
+  return { diff: diffRuns(base, head) };
+}
+
+// ---------- Job Events (SSE) ----------
+// Event-Bus je jobId: status | stage | discovered | findings | log
+const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0);
+const TERMINAL_STATUSES = ["done", "error", "cancelled"];
+const emitJob = (jobId, type, data) => jobEvents.emit(jobId, { type, data });
+const jobStatus = (job) => ({
+  status: job.status,
+  progress: job.progress ?? 0,
+  stage: job.stage || null,
+  discoveredCount: job.discoveredCount ?? 0,
+  findingsCount: job.findingsCount ?? 0,
+  ...(job.error ? { error: job.error } : {}),
+});
 
 // ---------- Logger ----------
 function log(jobId, level, msg, extra) {
@@ -33,6 +344,9 @@ function log(jobId, level, msg, extra) {
     const j = jobs.get(jobId);
     j.logs = j.logs || [];
     j.logs.push(entry);
+    if (j.logs.length > JOB_MAX_LOGS) j.logs.splice(0, j.logs.length - JOB_MAX_LOGS);
+    jobs.touch(jobId);
+    emitJob(jobId, "log", entry);
   }
   const prefix = jobId ? `[job ${jobId}]` : "";
   console[level === "error" ? "error" : "log"](
@@ -43,17 +357,72 @@ function log(jobId, level, msg, extra) {
 
 // ---------- Helpers ----------
 const UA = "Mozilla/5.0 (compatible; GEO-Analyzer/1.3; +https://example.com/bot)";
+const FETCH_TIMEOUT_MS = 15_000;
+// Job-Abbruch + Zeitlimit je Anfrage (hängende Hosts blockieren sonst bis zum undici-Timeout).
+// Eigener Timer statt AbortSignal.timeout: in AbortSignal.any() wird das Timeout-Signal nur schwach
+// gehalten und kann vor dem Ablauf eingesammelt werden – die Anfrage hinge dann unbegrenzt.
+function fetchSignal(signal, ms = FETCH_TIMEOUT_MS) {
+  const timeout = new AbortController();
+  const timer = setTimeout(() => timeout.abort(new DOMException("The operation was aborted due to timeout", "TimeoutError")), ms);
+  timer.unref?.();
+  return signal ? AbortSignal.any([signal, timeout.signal]) : timeout.signal;
+}
+// Body höchstens bis maxBytes lesen, Rest verwerfen (große oder tröpfelnde Antworten)
+async function readTextCapped(res, maxBytes) {
+  if (!res.body) return "";
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let text = "";
+  let size = 0;
+  try {
+    while (size < maxBytes) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      const part = value.subarray(0, maxBytes - size);
+      size += part.length;
+      text += decoder.decode(part, { stream: true });
+    }
+  } finally {
+    reader.cancel().catch(() => {});
+  }
+  return text + decoder.decode();
+}
 const textLen = (s) => (s || "").trim().length;
 const isHtmlCT = (ct) => (ct || "").toLowerCase().includes("text/html");
 const ASSET_RE =
   /\.(?:xml|jpg|jpeg|png|gif|webp|svg|avif|pdf|zip|rar|7z|mp4|webm|mp3|wav|woff2?|ttf|ico)(?:\?|#|$)/i;
 const DEFAULT_EXCLUDE =
   "/wp-content/|/uploads/|\\.(?:xml|jpg|jpeg|png|gif|webp|svg|avif|pdf|zip|rar|7z|mp4|webm|mp3|wav|woff2?|ttf|ico)(?:\\?.*)?$";
+// relativ → absolut; Unauflösbares bleibt unverändert
+const absUrl = (v, base) => {
+  try {
+    return new URL(v, base).href;
+  } catch {
+    return v;
+  }
+};
 const normOrigin = (input) => {
   const u = new URL(input);
   return `${u.protocol}//${u.host}`;
 };
 
+// Link-Header (RFC 8288) → [{ url, rel, hreflang, … }], URLs absolut
+function parseLinkHeader(value, base) {
+  const out = [];
+  for (const m of (value || "").matchAll(/<([^>]*)>((?:\s*;\s*[^;,]+)*)/g)) {
+    const link = { url: m[1] };
+    for (const [, k, v] of m[2].matchAll(/;\s*([\w*-]+)\s*=\s*("[^"]*"|[^;,\s]*)/g))
+      link[k.toLowerCase()] = v.replace(/^"|"$/g, "");
+    try {
+      link.url = new URL(link.url, base).href;
+    } catch {
+      continue;
+    }
+    out.push(link);
+  }
+  return out;
+}
+
 function headingOrderIssues($) {
   const hs = $("h1,h2,h3,h4,h5,h6")
     .toArray()
@@ -66,59 +435,368 @@ function headingOrderIssues($) {
   }
   return issues;
 }
+// ---------- robots.txt (RFC 9309) ----------
+const ROBOTS_AGENT = "geo-analyzer"; // Product-Token aus UA
+const ROBOTS_MAX_CRAWL_DELAY = 30; // Sekunden, Deckelung gegen absurde Werte
+
+// Product-Token: nur [a-z_-], Version/Kommentar abschneiden
+const robotsToken = (v) => (v || "").trim().split(/[\s/]/)[0].toLowerCase();
+
+// Gruppen: aufeinanderfolgende User-agent-Zeilen teilen sich die folgenden Regeln
 function parseRobotsTxt(text) {
-  const lines = (text || "").split(/\r?\n/);
+  const groups = [];
   const sitemaps = [];
-  const disallow = [];
-  for (const line of lines) {
-    const l = line.trim();
-    if (!l || l.startsWith("#")) continue;
-    const [kRaw, ...rest] = l.split(":");
-    if (!kRaw || !rest.length) continue;
-    const k = kRaw.trim().toLowerCase();
-    const v = rest.join(":").trim();
-    if (k === "sitemap") sitemaps.push(v);
-    if (k === "disallow") disallow.push(v);
-  }
-  return { sitemaps, disallow };
-}
-
-// „Punkte“-Berechnung (100)
-function scoreFromFlags(f) {
-  let sd = 0;
-  if (f.hasJSONLD) sd += 10;
-  if (f.hasOrganization) sd += 6;
-  if (f.hasLocalBusiness) sd += 6;
-  if (f.hasWebsite) sd += 6;
-  if (f.hasSearchAction) sd += 4;
-  if (f.hasBreadcrumb) sd += 3;
-  if (f.hasFAQ) sd += 4;
-  if (f.hasArticle) sd += 3;
-
-  let tech = 0;
-  if (f.hasCanonical) tech += 6;
-  if (f.indexable) tech += 12;
-  if (f.robotsTxtFound) tech += 3;
-  if (f.sitemapFound) tech += 3;
-  if (f.langSet) tech += 3;
-  if (f.hOrderOk) tech += 3;
-  if (f.redirectChain <= 1) tech += 3;
-  if (f.hreflangCount > 0 && f.hreflangXDefault) tech += 2;
-
-  let content = 0;
-  if (f.h1Count === 1) content += 5;
-  if (f.h2Count >= 1) content += 3;
-  if (f.wordCount >= 200) content += 6;
-  if (f.goodAltRatio) content += 4;
-  if (f.metaDescGood) content += 5;
-  if (f.titleGood) content += 5;
-
-  let social = 0;
-  if (f.ogOk) social += 4;
-  if (f.twitterOk) social += 3;
-
-  const total = Math.max(0, Math.min(100, sd + tech + content + social));
-  return { total, breakdown: { structuredData: sd, technical: tech, content, social } };
+  let cur = null;
+  let lastWasAgent = false;
+  for (const line of (text || "").split(/\r?\n/)) {
+    const l = line.replace(/#.*$/, "").trim();
+    if (!l) continue;
+    const i = l.indexOf(":");
+    if (i < 0) continue;
+    const k = l.slice(0, i).trim().toLowerCase();
+    const v = l.slice(i + 1).trim();
+    if (k === "user-agent") {
+      if (!cur || !lastWasAgent) groups.push((cur = { agents: [], rules: [], crawlDelay: null }));
+      cur.agents.push(robotsToken(v) || "*");
+      lastWasAgent = true;
+      continue;
+    }
+    if (k === "sitemap") {
+      if (v) sitemaps.push(v);
+      continue;
+    }
+    lastWasAgent = false;
+    if (!cur) continue; // Regeln vor dem ersten User-agent gelten für niemanden
+    if ((k === "allow" || k === "disallow") && v) cur.rules.push({ type: k, path: v });
+    else if (k === "crawl-delay") {
+      const n = parseFloat(v);
+      if (Number.isFinite(n) && n >= 0) cur.crawlDelay = n;
+    }
+  }
+  const generic = groups.filter((g) => g.agents.includes("*"));
+  const disallow = generic.flatMap((g) => g.rules.filter((r) => r.type === "disallow").map((r) => r.path));
+  return { groups, sitemaps, disallow };
+}
+
+function robotsPathRegex(pattern) {
+  let p = pattern;
+  try {
+    p = encodeURI(decodeURI(pattern));
+  } catch {
+    p = pattern;
+  }
+  const anchored = p.endsWith("$");
+  const body = (anchored ? p.slice(0, -1) : p)
+    .split("*")
+    .map((x) => x.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+    .join(".*");
+  return new RegExp(`^${body}${anchored ? "$" : ""}`);
+}
+
+// status: "ok" | "missing" (4xx → alles erlaubt) | "unavailable" (5xx/Netzwerk → alles gesperrt)
+function createRobotsMatcher(parsed, status = "ok") {
+  const groups = parsed?.groups || [];
+  const compiled = new Map(); // Gruppe → Regeln mit RegExp
+  const rulesFor = (agent) => {
+    const a = robotsToken(agent);
+    let matching = groups.filter((g) => g.agents.includes(a));
+    if (!matching.length) matching = groups.filter((g) => g.agents.includes("*"));
+    return matching;
+  };
+  const compiledRules = (g) => {
+    if (!compiled.has(g)) compiled.set(g, g.rules.map((r) => ({ ...r, re: robotsPathRegex(r.path) })));
+    return compiled.get(g);
+  };
+
+  // längste passende Regel gewinnt, bei Gleichstand Allow
+  function verdict(url, agent = ROBOTS_AGENT) {
+    let path = "/";
+    try {
+      const u = new URL(url);
+      path = u.pathname + u.search;
+    } catch {
+      return { allowed: true, rule: null };
+    }
+    if (path === "/robots.txt") return { allowed: true, rule: null };
+    if (status === "missing") return { allowed: true, rule: null };
+    if (status === "unavailable") return { allowed: false, rule: "robots.txt unavailable" };
+    let best = null;
+    for (const g of rulesFor(agent)) {
+      for (const r of compiledRules(g)) {
+        if (!r.re.test(path)) continue;
+        if (
+          !best ||
+          r.path.length > best.path.length ||
+          (r.path.length === best.path.length && r.type === "allow")
+        )
+          best = r;
+      }
+    }
+    return { allowed: !best || best.type === "allow", rule: best ? `${best.type}: ${best.path}` : null };
+  }
+
+  function crawlDelay(agent = ROBOTS_AGENT) {
+    const delays = rulesFor(agent)
+      .map((g) => g.crawlDelay)
+      .filter((d) => d != null);
+    return delays.length ? Math.min(ROBOTS_MAX_CRAWL_DELAY, Math.max(...delays)) : 0;
+  }
+
+  // alle explizit genannten Agents (+ "*")
+  const agents = () => Array.from(new Set(["*", ...groups.flatMap((g) => g.agents)]));
+
+  return { status, isAllowed: (url, agent) => verdict(url, agent).allowed, verdict, crawlDelay, agents };
+}
+
+// RFC 9309: Crawler dürfen robots.txt nach 500 KiB abschneiden
+const ROBOTS_MAX_BYTES = 500 * 1024;
+
+async function fetchRobotsTxt(origin, { signal } = {}) {
+  try {
+    const r = await fetch(`${origin}/robots.txt`, { headers: { "User-Agent": UA }, redirect: "follow", signal: fetchSignal(signal) });
+    if (r.ok) {
+      const text = await readTextCapped(r, ROBOTS_MAX_BYTES);
+      return { found: true, status: "ok", httpStatus: r.status, text, parsed: parseRobotsTxt(text) };
+    }
+    const status = r.status >= 500 ? "unavailable" : "missing";
+    return { found: false, status, httpStatus: r.status, text: "", parsed: parseRobotsTxt("") };
+  } catch {
+    return { found: false, status: "unavailable", httpStatus: 0, text: "", parsed: parseRobotsTxt("") };
+  }
+}
+
+// ---------- Scoring ----------
+// Kriterien mit stabiler ID; ein Profil vergibt je Kriterium Punkte (Gewicht).
+// Bezeichnungen von Kriterien und Profilen: Kataloge (criteria.<id>, profiles.<id>).
+// Gruppen = Schlüssel von score.breakdown. deepOnly = nur auf gerenderten Seiten messbar.
+const SCORE_GROUPS = ["structuredData", "technical", "content", "social"];
+const SCORE_CRITERIA = [
+  { id: "jsonld", group: "structuredData", test: (f) => f.hasStructuredData },
+  { id: "organization", group: "structuredData", test: (f) => f.hasOrganization },
+  { id: "local-business", group: "structuredData", test: (f) => f.hasLocalBusiness },
+  {
+    id: "nap-complete",
+    group: "structuredData",
+    deepOnly: true,
+    test: (f) => f.hasLocalBusiness && !!f.localFields?.telephone && !!f.localFields?.address,
+  },
+  { id: "opening-hours", group: "structuredData", deepOnly: true, test: (f) => f.hasLocalBusiness && !!f.localFields?.hours },
+  { id: "website", group: "structuredData", test: (f) => f.hasWebsite },
+  { id: "search-action", group: "structuredData", test: (f) => f.hasSearchAction },
+  { id: "breadcrumb", group: "structuredData", test: (f) => f.hasBreadcrumb },
+  { id: "faq", group: "structuredData", test: (f) => f.hasFAQ },
+  { id: "article", group: "structuredData", test: (f) => f.hasArticle },
+  {
+    id: "article-author-date",
+    group: "structuredData",
+    deepOnly: true,
+    test: (f) => f.hasArticle && !!f.articleFields?.author && !!f.articleFields?.datePublished,
+  },
+  { id: "product", group: "structuredData", test: (f) => f.hasProduct },
+  {
+    id: "product-offer",
+    group: "structuredData",
+    deepOnly: true,
+    test: (f) => f.hasProduct && !!f.productFields?.offer && !!f.productFields?.price && !!f.productFields?.currency,
+  },
+
+  { id: "canonical", group: "technical", test: (f) => f.hasCanonical },
+  { id: "indexable", group: "technical", test: (f) => f.indexable },
+  { id: "robots-txt", group: "technical", test: (f) => f.robotsTxtFound },
+  { id: "sitemap", group: "technical", test: (f) => f.sitemapFound },
+  { id: "lang", group: "technical", test: (f) => f.langSet },
+  { id: "heading-order", group: "technical", test: (f) => f.hOrderOk },
+  { id: "redirects", group: "technical", deepOnly: true, test: (f) => f.redirectChain <= 1 },
+  { id: "hreflang", group: "technical", test: (f) => f.hreflangCount > 0 && f.hreflangXDefault },
+  { id: "caching", group: "technical", deepOnly: true, test: (f) => f.hasCaching },
+
+  { id: "h1", group: "content", test: (f) => f.h1Count === 1 },
+  { id: "h2", group: "content", test: (f) => f.h2Count >= 1 },
+  { id: "word-count", group: "content", test: (f) => f.wordCount >= 200 },
+  { id: "alt-text", group: "content", test: (f) => f.goodAltRatio },
+  { id: "meta-description", group: "content", test: (f) => f.metaDescGood },
+  { id: "title", group: "content", test: (f) => f.titleGood },
+
+  { id: "og", group: "social", test: (f) => f.ogOk },
+  { id: "twitter", group: "social", deepOnly: true, test: (f) => f.twitterOk },
+];
+const SCORE_CRITERIA_BY_ID = new Map(SCORE_CRITERIA.map((c) => [c.id, c]));
+
+// „standard“ = bisherige Gewichtung (112 mögliche Punkte, auf 100 gedeckelt); die
+// Branchenprofile verteilen genau 100 Punkte.
+const SCORING_PROFILES = {
+  standard: {
+    weights: {
+      jsonld: 10, organization: 6, "local-business": 6, website: 6, "search-action": 4, breadcrumb: 3, faq: 4, article: 3,
+      canonical: 6, indexable: 12, "robots-txt": 3, sitemap: 3, lang: 3, "heading-order": 3, redirects: 3, hreflang: 2,
+      h1: 5, h2: 3, "word-count": 6, "alt-text": 4, "meta-description": 5, title: 5,
+      og: 4, twitter: 3,
+    },
+  },
+  "local-business": {
+    weights: {
+      jsonld: 8, organization: 4, "local-business": 10, "nap-complete": 8, "opening-hours": 5, website: 3, faq: 2,
+      canonical: 5, indexable: 12, "robots-txt": 2, sitemap: 2, lang: 3, "heading-order": 2, redirects: 3, caching: 3,
+      h1: 4, h2: 2, "word-count": 4, "alt-text": 3, "meta-description": 5, title: 4,
+      og: 4, twitter: 2,
+    },
+  },
+  ecommerce: {
+    weights: {
+      jsonld: 8, organization: 5, website: 4, "search-action": 5, breadcrumb: 5, product: 4, "product-offer": 7,
+      canonical: 7, indexable: 12, "robots-txt": 2, sitemap: 4, lang: 2, redirects: 3, caching: 2, hreflang: 2,
+      h1: 4, h2: 2, "word-count": 3, "alt-text": 5, "meta-description": 4, title: 3,
+      og: 4, twitter: 3,
+    },
+  },
+  publisher: {
+    weights: {
+      jsonld: 8, organization: 5, website: 4, "search-action": 3, breadcrumb: 3, article: 6, "article-author-date": 7,
+      canonical: 6, indexable: 12, "robots-txt": 2, sitemap: 4, lang: 2, "heading-order": 2, redirects: 2,
+      h1: 4, h2: 4, "word-count": 7, "alt-text": 3, "meta-description": 4, title: 4,
+      og: 4, twitter: 4,
+    },
+  },
+  saas: {
+    weights: {
+      jsonld: 8, organization: 8, website: 6, "search-action": 3, breadcrumb: 3, faq: 4,
+      canonical: 6, indexable: 12, "robots-txt": 3, sitemap: 3, lang: 3, "heading-order": 2, redirects: 2, hreflang: 3,
+      h1: 5, h2: 3, "word-count": 6, "alt-text": 3, "meta-description": 5, title: 4,
+      og: 5, twitter: 3,
+    },
+  },
+};
+
+// Request-Option → { id, label, weights }. Eigene Profile: { label?, base?, weights } –
+// weights überschreiben das Basisprofil (Gewicht 0 = Kriterium abwählen).
+function resolveScoringProfile(opt = "standard", t = translator()) {
+  if (typeof opt === "string") return { id: opt, label: t(`profiles.${opt}`), ...SCORING_PROFILES[opt] };
+  const base = opt.base ? SCORING_PROFILES[opt.base].weights : {};
+  return { id: "custom", label: opt.label || t("profiles.custom"), base: opt.base || null, weights: { ...base, ...opt.weights } };
+}
+
+// „Punkte“-Berechnung (100) – jeder Punkt mit dem Kriterium, das ihn vergibt
+function scoreFromFlags(f, profile = resolveScoringProfile(), t = translator()) {
+  const breakdown = { structuredData: 0, technical: 0, content: 0, social: 0 };
+  const points = [];
+  let earned = 0;
+  let maxPoints = 0;
+  for (const [id, weight] of Object.entries(profile.weights)) {
+    const c = SCORE_CRITERIA_BY_ID.get(id);
+    if (!c || !weight) continue;
+    if (c.deepOnly && f.light) {
+      points.push({ criterion: id, group: c.group, label: t(`criteria.${id}`), weight, points: 0, passed: false, measured: false });
+      continue;
+    }
+    const passed = !!c.test(f);
+    maxPoints += weight;
+    if (passed) {
+      earned += weight;
+      breakdown[c.group] += weight;
+    }
+    points.push({ criterion: id, group: c.group, label: t(`criteria.${id}`), weight, points: passed ? weight : 0, passed, measured: true });
+  }
+  // Profile mit weniger als 100 möglichen Punkten werden auf 100 hochgerechnet
+  const scale = maxPoints > 0 && maxPoints < 100 ? 100 / maxPoints : 1;
+  const total = Math.max(0, Math.min(100, Math.round(earned * scale)));
+  return { total, breakdown, profile: { id: profile.id, label: profile.label }, maxPoints, points };
+}
+
+// Light-Page → Flags im Format von analyzeRenderedPage; Nicht-Messbares bleibt undefined
+// (die betroffenen Kriterien zählen für diese Seite nicht).
+function lightFlags(p, site = {}) {
+  const t = p.types || {};
+  const noindex = (p.robots || "").toLowerCase().includes("noindex");
+  return {
+    light: true,
+    hasJSONLD: p.jsonLdCount > 0,
+    hasStructuredData: p.jsonLdCount + (p.microdataCount || 0) + (p.rdfaCount || 0) > 0,
+    hasOrganization: !!t.Organization,
+    hasLocalBusiness: !!t.LocalBusiness,
+    hasWebsite: !!t.WebSite,
+    hasSearchAction: !!t.SearchAction,
+    hasBreadcrumb: !!t.BreadcrumbList,
+    hasFAQ: !!t.FAQPage,
+    hasArticle: !!(t.Article || t.BlogPosting || t.NewsArticle),
+    hasProduct: !!t.Product,
+    hasCanonical: !!p.canonical,
+    indexable: p.status >= 200 && p.status < 400 && !noindex,
+    robotsTxtFound: !!site.robotsTxtFound,
+    sitemapFound: !!site.sitemapFound,
+    langSet: !!p.lang,
+    hOrderOk: !p.orderIssues,
+    hreflangCount: p.hreflangCount || 0,
+    hreflangXDefault: !!p.hreflangXDefault,
+    h1Count: p.h1Count,
+    h2Count: p.h2Count,
+    wordCount: p.wordCount,
+    goodAltRatio: !p.images?.count || p.images.missingAlt / p.images.count <= 0.2,
+    metaDescGood: p.metaDescLen >= META_DESC_LEN.min && p.metaDescLen <= META_DESC_LEN.max,
+    titleGood: p.titleLen >= TITLE_LEN.min && p.titleLen <= TITLE_LEN.max,
+    ogOk: p.ogCore > 0,
+  };
+}
+
+const SITE_SCORE_WORST = 10;
+const scoreBucket = (pct) => (pct >= 80 ? "80-100" : pct >= 50 ? "50-79" : "0-49");
+
+// Gesamtsite-Score: Mittel der Seiten-Scores (Deep-Flags vor Light-Flags, kaputte Seiten = 0)
+// pages: [{ url, source: "deep"|"light", flags } | { url, source, broken, status }]
+function siteScoreFrom(pages, profile, t) {
+  const groups = {};
+  for (const g of SCORE_GROUPS) groups[g] = { earned: 0, max: 0, buckets: { "0-49": 0, "50-79": 0, "80-100": 0 } };
+  const criteria = new Map(); // id → { passed, measured }
+  const buckets = { "0-49": 0, "50-79": 0, "80-100": 0 };
+  const scored = [];
+
+  for (const pg of pages) {
+    if (pg.broken) {
+      scored.push({ url: pg.url, source: pg.source, total: 0, broken: true, status: pg.status ?? null, missed: [] });
+      buckets["0-49"]++;
+      continue;
+    }
+    const s = scoreFromFlags(pg.flags, profile, t);
+    const perGroup = {};
+    for (const p of s.points) {
+      if (!p.measured) continue;
+      perGroup[p.group] = perGroup[p.group] || { earned: 0, max: 0 };
+      perGroup[p.group].earned += p.points;
+      perGroup[p.group].max += p.weight;
+      const c = criteria.get(p.criterion) || { label: p.label, group: p.group, passed: 0, measured: 0 };
+      c.measured++;
+      if (p.passed) c.passed++;
+      criteria.set(p.criterion, c);
+    }
+    for (const [g, v] of Object.entries(perGroup)) {
+      groups[g].earned += v.earned;
+      groups[g].max += v.max;
+      if (v.max) groups[g].buckets[scoreBucket((100 * v.earned) / v.max)]++;
+    }
+    buckets[scoreBucket(s.total)]++;
+    const missed = s.points
+      .filter((p) => p.measured && !p.passed)
+      .sort((a, b) => b.weight - a.weight)
+      .slice(0, 3)
+      .map((p) => p.label);
+    scored.push({ url: pg.url, source: pg.source, total: s.total, broken: false, missed });
+  }
+
+  const n = scored.length;
+  return {
+    total: n ? Math.round(scored.reduce((a, p) => a + p.total, 0) / n) : null,
+    profile: { id: profile.id, label: profile.label },
+    pageCount: n,
+    deepCount: pages.filter((p) => p.source === "deep" && !p.broken).length,
+    brokenCount: scored.filter((p) => p.broken).length,
+    buckets,
+    groups: Object.fromEntries(
+      Object.entries(groups).map(([g, v]) => [g, { avgPct: v.max ? Math.round((100 * v.earned) / v.max) : null, buckets: v.buckets }])
+    ),
+    criteria: [...criteria]
+      .map(([id, c]) => ({ criterion: id, label: c.label, group: c.group, passRate: Math.round((100 * c.passed) / c.measured), measured: c.measured }))
+      .sort((a, b) => a.passRate - b.passRate),
+    worstPages: scored.sort((a, b) => a.total - b.total).slice(0, SITE_SCORE_WORST),
+  };
 }
 
 // ---------- Zod Body ----------
@@ -137,6 +815,56 @@ const AnalyzeBody = z.object({
   excludePatterns: z.array(z.string()).optional().default([DEFAULT_EXCLUDE]),
   guessCommonPaths: z.boolean().optional().default(true),
   deepAnalyzeLimit: z.number().int().min(0).max(200).optional().default(30),
+  perHostConcurrency: z.number().int().min(1).max(16).optional().default(4),
+  respectRobots: z.boolean().optional().default(true),
+  aiCrawlerAudit: z.boolean().optional().default(true),
+  linkCheck: z.boolean().optional().default(true),
+  maxLinkChecks: z.number().int().min(1).max(5000).optional().default(1000),
+  deepConcurrency: z.number().int().min(1).max(4).optional().default(2),
+  // Regelwerk: { "<ruleId>": false } oder { "<ruleId>": { enabled, params: { … } } }
+  rules: z
+    .record(
+      z.union([
+        z.boolean(),
+        z.object({ enabled: z.boolean().optional(), params: z.record(z.number()).optional() }).strict(),
+      ])
+    )
+    .optional()
+    .default({})
+    .superRefine((rules, ctx) => {
+      for (const [id, o] of Object.entries(rules)) {
+        const rule = RULES_BY_ID.get(id);
+        if (!rule) ctx.addIssue({ code: z.ZodIssueCode.custom, path: [id], message: "Unknown rule" });
+        else
+          for (const k of Object.keys((typeof o === "object" && o.params) || {}))
+            if (!Object.hasOwn(rule.params || {}, k))
+              ctx.addIssue({ code: z.ZodIssueCode.custom, path: [id, "params", k], message: "Unknown rule parameter" });
+      }
+    }),
+  // Benachrichtigung bei Jobende/Regression; Secret signiert den Body (HMAC-SHA256)
+  webhookUrl: z.string().url().optional(),
+  webhookSecret: z.string().min(8).max(256).optional(),
+  // Sprache von Findings, Auffälligkeiten, Score-Bezeichnungen, Bericht und Export
+  reportLanguage: z.enum(REPORT_LANGUAGES).optional().default("de"),
+  // Branding-Profil für Bericht/PDF (GET /api/branding)
+  branding: z.string().refine((id) => brandingExists(id), "Unknown branding profile").optional().default("default"),
+  // Scoring-Profil: ID eines eingebauten Profils oder eigenes Profil { label, base, weights }
+  scoringProfile: z
+    .union([
+      z.string().refine((id) => Object.hasOwn(SCORING_PROFILES, id), "Unknown scoring profile"),
+      z
+        .object({
+          label: z.string().max(80).optional(),
+          base: z.string().refine((id) => Object.hasOwn(SCORING_PROFILES, id), "Unknown scoring profile").optional(),
+          weights: z.record(z.number().min(0).max(100)).refine(
+            (w) => Object.keys(w).every((id) => SCORE_CRITERIA_BY_ID.has(id)),
+            "Unknown scoring criterion"
+          ),
+        })
+        .strict(),
+    ])
+    .optional()
+    .default("standard"),
   debug: z.boolean().optional().default(false),
 });
 
@@ -146,13 +874,553 @@ async function getChromium() {
   return chromium;
 }
 
+// ---------- Browser-Pool ----------
+// Wenige Chromium-Instanzen werden geteilt; jede Nutzung bekommt einen eigenen
+// Context (Cookies/Storage isoliert), der danach garantiert geschlossen wird.
+const BROWSER_POOL_MAX = Number(process.env.BROWSER_POOL_MAX || 2);
+const BROWSER_CONTEXTS_PER_BROWSER = Number(process.env.BROWSER_CONTEXTS_PER_BROWSER || 4);
+const BROWSER_MAX_USES = 200; // danach Browser recyceln (Speicherlecks)
+const BROWSER_IDLE_MS = 60_000;
+
+function createBrowserPool({ maxBrowsers, contextsPerBrowser, maxUses, idleMs }) {
+  const entries = []; // { ready: Promise<Browser>, browser, leases, uses, retired }
+  const waiters = [];
+  const capacity = Math.max(1, maxBrowsers) * Math.max(1, contextsPerBrowser);
+  let active = 0;
+  let idleTimer = null;
+
+  function takeSlot(signal) {
+    if (active < capacity) {
+      active++;
+      return Promise.resolve();
+    }
+    return new Promise((resolve, reject) => {
+      const w = { resolve, reject, signal };
+      w.onAbort = () => {
+        const i = waiters.indexOf(w);
+        if (i >= 0) waiters.splice(i, 1);
+        reject(new Error("Cancelled"));
+      };
+      signal?.addEventListener("abort", w.onAbort, { once: true });
+      waiters.push(w);
+    });
+  }
+  function releaseSlot() {
+    const w = waiters.shift();
+    if (!w) return void active--;
+    w.signal?.removeEventListener("abort", w.onAbort);
+    w.resolve(); // Slot direkt weiterreichen
+  }
+
+  function closeEntry(entry) {
+    const i = entries.indexOf(entry);
+    if (i >= 0) entries.splice(i, 1);
+    entry.ready.then((b) => b.close()).catch(() => {});
+  }
+  function launch() {
+    const entry = { browser: null, leases: 0, uses: 0, retired: false };
+    entry.ready = getChromium()
+      .then((chromium) => chromium.launch({ headless: true }))
+      .then((browser) => {
+        entry.browser = browser;
+        browser.on("disconnected", () => {
+          entry.retired = true;
+          const i = entries.indexOf(entry);
+          if (i >= 0) entries.splice(i, 1);
+        });
+        return browser;
+      })
+      .catch((e) => {
+        closeEntry(entry);
+        throw e;
+      });
+    entries.push(entry);
+    return entry;
+  }
+  // synchron wählen, damit parallele Anfragen nicht doppelt starten
+  function pick() {
+    const usable = entries.filter((e) => !e.retired && e.leases < contextsPerBrowser);
+    if (usable.length) return usable.sort((a, b) => a.leases - b.leases)[0];
+    // Slot-Limit garantiert: weniger als maxBrowsers aktive Browser (recycelte laufen nur aus)
+    return launch();
+  }
+  function scheduleIdle() {
+    clearTimeout(idleTimer);
+    if (entries.some((e) => e.leases > 0)) return;
+    idleTimer = setTimeout(() => {
+      if (!entries.some((e) => e.leases > 0)) [...entries].forEach(closeEntry);
+    }, idleMs);
+    idleTimer.unref?.();
+  }
+
+  async function withContext(fn, { signal, contextOptions } = {}) {
+    if (signal?.aborted) throw new Error("Cancelled");
+    await takeSlot(signal);
+    clearTimeout(idleTimer);
+    const entry = pick();
+    entry.leases++;
+    entry.uses++;
+    let context = null;
+    // Abbruch: nur den eigenen Context schließen, laufende Navigation schlägt dann fehl
+    const onAbort = () => context?.close().catch(() => {});
+    try {
+      const browser = await entry.ready;
+      context = await browser.newContext({ userAgent: UA, ...(contextOptions || {}) });
+      signal?.addEventListener("abort", onAbort, { once: true });
+      if (signal?.aborted) throw new Error("Cancelled");
+      return await fn(context);
+    } finally {
+      signal?.removeEventListener("abort", onAbort);
+      await context?.close().catch(() => {});
+      entry.leases--;
+      if (entry.uses >= maxUses) entry.retired = true;
+      if (entry.retired && entry.leases === 0) closeEntry(entry);
+      releaseSlot();
+      scheduleIdle();
+    }
+  }
+
+  async function close() {
+    clearTimeout(idleTimer);
+    await Promise.all(entries.map((e) => e.ready.then((b) => b.close()).catch(() => {})));
+    entries.length = 0;
+  }
+
+  function stats() {
+    return {
+      browsers: entries.length,
+      leases: entries.reduce((n, e) => n + e.leases, 0),
+      waiting: waiters.length,
+      capacity,
+    };
+  }
+
+  return { withContext, close, stats };
+}
+
+const browserPool = createBrowserPool({
+  maxBrowsers: BROWSER_POOL_MAX,
+  contextsPerBrowser: BROWSER_CONTEXTS_PER_BROWSER,
+  maxUses: BROWSER_MAX_USES,
+  idleMs: BROWSER_IDLE_MS,
+});
+
+// ---------- schema.org-Validierung ----------
+// Prüft strukturierte Daten (readStructuredData) gegen SCHEMA_TYPES (./schemaorg.js): Pflicht-/
+// Empfehlungsfelder, Werttypen, Datums-/URL-Formate und @id-Verweise (seitenweit, auch über
+// Blöcke, Syntaxen und @graph hinweg).
+// Ergebnis je Block: { block, syntax, types, unchecked, errors, warnings, issues } mit
+// issues = [{ path: "$['@graph'][1].offers.price", severity, code, vars }]; die Meldungstexte
+// stehen in den Katalogen unter schema.<code> (schemaMessage).
+const SCHEMA_MAX_ISSUES = 50; // je Block
+const SCHEMA_MAX_DEPTH = 8;
+const SCHEMA_MAX_ROWS = 2000; // je Job im Ergebnis
+const SCHEMA_CONTEXT_RE = /^https?:\/\/schema\.org\/?$/i;
+const ISO_DATE_RE = /^(\d{4})-(\d{2})-(\d{2})$/;
+const ISO_DATETIME_RE = /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/;
+const ISO_TIME_RE = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?(Z|[+-]\d{2}:?\d{2})?$/;
+const ISO_DURATION_RE = /^P(?!$)(\d+Y)?(\d+M)?(\d+W)?(\d+D)?(T(?=\d)(\d+H)?(\d+M)?(\d+(\.\d+)?S)?)?$/;
+const NUMBER_RE = /^-?\d+(\.\d+)?$/;
+
+const schemaName = (v) => String(v).replace(/^(https?:\/\/schema\.org\/|schema:)/i, "");
+const schemaTypesOf = (node) => [].concat(node?.["@type"] ?? []).map(schemaName);
+const isSchemaRef = (v) => !!v && typeof v === "object" && !Array.isArray(v) && "@id" in v && Object.keys(v).length === 1;
+const isSchemaEmpty = (v) => v == null || v === "" || (Array.isArray(v) && v.length === 0);
+const isSubtype = (type, expected) => {
+  for (let t = type; t; t = SCHEMA_TYPES[t]?.parent) if (t === expected) return true;
+  return false;
+};
+const jsonPath = (base, key) =>
+  typeof key === "number" ? `${base}[${key}]` : /^[A-Za-z_$][\w$]*$/.test(key) ? `${base}.${key}` : `${base}['${key}']`;
+const shortValue = (v) => {
+  const s = typeof v === "string" ? v : JSON.stringify(v);
+  return s.length > 60 ? `${s.slice(0, 57)}…` : s;
+};
+
+const validDate = (y, m, d) => {
+  const dt = new Date(Date.UTC(+y, +m - 1, +d));
+  return dt.getUTCFullYear() === +y && dt.getUTCMonth() === +m - 1 && dt.getUTCDate() === +d;
+};
+const SCHEMA_DATATYPES = {
+  Text: (v) => typeof v === "string" || typeof v === "number",
+  Date: (v) => typeof v === "string" && ISO_DATE_RE.test(v) && validDate(...ISO_DATE_RE.exec(v).slice(1)),
+  DateTime: (v) => {
+    const m = typeof v === "string" && ISO_DATETIME_RE.exec(v);
+    return !!m && validDate(m[1], m[2], m[3]) && +m[4] < 24 && +m[5] < 60;
+  },
+  Time: (v) => typeof v === "string" && ISO_TIME_RE.test(v),
+  Duration: (v) => typeof v === "string" && ISO_DURATION_RE.test(v),
+  Number: (v) => (typeof v === "number" ? Number.isFinite(v) : typeof v === "string" && NUMBER_RE.test(v.trim())),
+  Integer: (v) => (typeof v === "number" ? Number.isInteger(v) : typeof v === "string" && /^-?\d+$/.test(v.trim())),
+  Boolean: (v) => typeof v === "boolean" || v === "true" || v === "false",
+};
+// Fehlercode, wenn ein Skalar keinem der erwarteten Datentypen entspricht
+const SCHEMA_FORMAT_CODES = {
+  URL: "invalid-url",
+  Date: "invalid-date",
+  DateTime: "invalid-date",
+  Time: "invalid-time",
+  Duration: "invalid-duration",
+  Number: "invalid-number",
+  Integer: "invalid-number",
+  Boolean: "invalid-boolean",
+};
+
+// absolute http(s)-URL = ok, gegen die Seite auflösbar = relativ, sonst ungültig
+function urlKind(v, base) {
+  if (typeof v !== "string" || !v.trim() || /\s/.test(v.trim())) return "invalid";
+  try {
+    return /^https?:$/.test(new URL(v).protocol) ? "ok" : "invalid";
+  } catch {}
+  try {
+    new URL(v, base);
+    return "relative";
+  } catch {
+    return "invalid";
+  }
+}
+
+// Definition inkl. Obertypen; Pflicht- und Empfehlungsfelder werden aufsummiert
+const schemaDefCache = new Map();
+function schemaDefinition(types) {
+  const key = types.join("|");
+  if (schemaDefCache.has(key)) return schemaDefCache.get(key);
+  const def = { required: [], recommended: [], properties: {} };
+  const seen = new Set();
+  const add = (list, entries) =>
+    (entries || []).forEach((e) => {
+      const k = [].concat(e).join(" / ");
+      if (seen.has(k)) return;
+      seen.add(k);
+      list.push(e);
+    });
+  for (const type of types) {
+    const chain = [];
+    for (let t = type; SCHEMA_TYPES[t]; t = SCHEMA_TYPES[t].parent) chain.unshift(SCHEMA_TYPES[t]);
+    chain.forEach((d) => Object.assign(def.properties, d.properties));
+    chain.forEach((d) => add(def.required, d.required));
+  }
+  for (const type of types)
+    for (let t = type; SCHEMA_TYPES[t]; t = SCHEMA_TYPES[t].parent) add(def.recommended, SCHEMA_TYPES[t].recommended);
+  schemaDefCache.set(key, def);
+  return def;
+}
+
+function validateSchemaNode(node, types, path, ctx, depth = 0) {
+  if (depth > SCHEMA_MAX_DEPTH) return;
+  const known = types.filter((t) => SCHEMA_TYPES[t]);
+  types.filter((t) => !SCHEMA_TYPES[t]).forEach((t) => ctx.unchecked.add(t));
+  const def = known.length ? schemaDefinition(known) : { required: [], recommended: [], properties: {} };
+  const type = known[0] || types[0];
+  const missing = (entry) => [].concat(entry).every((p) => isSchemaEmpty(node[p]));
+  for (const entry of def.required)
+    if (missing(entry)) ctx.add(path, "error", "missing-required", { property: [].concat(entry).join(" / "), type });
+  for (const entry of def.recommended)
+    if (missing(entry)) ctx.add(path, "warning", "missing-recommended", { property: [].concat(entry).join(" / "), type });
+
+  for (const [key, value] of Object.entries(node)) {
+    if (key.startsWith("@")) continue;
+    const p = jsonPath(path, key);
+    if (def.properties[key]) checkSchemaValue(value, def.properties[key].split("|"), p, key, ctx, depth);
+    else validateNestedNodes(value, p, ctx, depth);
+  }
+}
+
+// Eigenschaften ohne Typvorgabe: nur verschachtelte Knoten mit @type prüfen
+function validateNestedNodes(value, path, ctx, depth) {
+  if (Array.isArray(value)) return value.forEach((v, i) => validateNestedNodes(v, jsonPath(path, i), ctx, depth));
+  if (!value || typeof value !== "object" || isSchemaRef(value)) return;
+  const types = schemaTypesOf(value);
+  if (types.length) validateSchemaNode(value, types, path, ctx, depth + 1);
+}
+
+// @id als Fragment der Seite selbst („#org“ bzw. Seiten-URL + #…)
+function sameDocumentRef(id, base) {
+  if (id.startsWith("#")) return true;
+  try {
+    const u = new URL(id, base);
+    const page = new URL(base);
+    if (!u.hash) return false;
+    page.hash = u.hash;
+    return u.href === page.href;
+  } catch {
+    return false;
+  }
+}
+
+function checkSchemaValue(value, kinds, path, property, ctx, depth) {
+  if (Array.isArray(value)) return value.forEach((v, i) => checkSchemaValue(v, kinds, jsonPath(path, i), property, ctx, depth));
+  if (isSchemaEmpty(value)) return;
+  const expected = kinds.join(" / ");
+  const typeKinds = kinds.filter((k) => SCHEMA_TYPES[k]);
+  const enumKinds = kinds.filter((k) => SCHEMA_ENUMS[k]);
+  const matchesType = (types) =>
+    !types.some((t) => SCHEMA_TYPES[t]) || types.some((t) => typeKinds.some((k) => isSubtype(t, k)));
+
+  if (value && typeof value === "object") {
+    if ("@value" in value) return checkSchemaValue(value["@value"], kinds, path, property, ctx, depth);
+    if (isSchemaRef(value)) {
+      const id = String(value["@id"]);
+      if (enumKinds.length && enumKinds.some((k) => SCHEMA_ENUMS[k].includes(schemaName(id)))) return;
+      const target = ctx.ids.get(id);
+      // Fehler nur für fehlende Fragmente derselben Seite; andere IRIs dürfen auf Knoten
+      // anderer Seiten zeigen (z. B. https://site/#organization von der Startseite)
+      if (!target)
+        return sameDocumentRef(id, ctx.base)
+          ? ctx.add(path, "error", "broken-ref", { property, id })
+          : ctx.add(path, "warning", "external-ref", { property, id });
+      const types = schemaTypesOf(target);
+      if (typeKinds.length && types.length && !matchesType(types))
+        ctx.add(path, "error", "wrong-type", { property, expected, actual: types.join(", ") });
+      return;
+    }
+    const types = schemaTypesOf(value);
+    if (!typeKinds.length) return ctx.add(path, "error", "wrong-type", { property, expected, actual: types.join(", ") || "Object" });
+    if (!types.length) {
+      ctx.add(path, "warning", "missing-nested-type", { property, expected: typeKinds[0] });
+      return validateSchemaNode(value, [typeKinds[0]], path, ctx, depth + 1);
+    }
+    if (!matchesType(types)) ctx.add(path, "error", "wrong-type", { property, expected, actual: types.join(", ") });
+    return validateSchemaNode(value, types, path, ctx, depth + 1);
+  }
+
+  // Skalar: passt zu irgendeinem erwarteten Datentyp?
+  if (kinds.some((k) => SCHEMA_DATATYPES[k]?.(value))) return;
+  if (enumKinds.some((k) => typeof value === "string" && SCHEMA_ENUMS[k].includes(schemaName(value)))) return;
+  if (kinds.includes("URL")) {
+    const kind = urlKind(value, ctx.base);
+    if (kind === "ok") return;
+    if (kind === "relative") return ctx.add(path, "warning", "relative-url", { property, value: shortValue(value) });
+  }
+  const format = kinds.find((k) => SCHEMA_FORMAT_CODES[k]);
+  if (format) return ctx.add(path, "error", SCHEMA_FORMAT_CODES[format], { property, expected, value: shortValue(value) });
+  if (enumKinds.length)
+    return ctx.add(path, "error", "invalid-enum", { property, expected, value: shortValue(value) });
+  if (typeof value === "string") return ctx.add(path, "warning", "text-for-type", { property, expected });
+  ctx.add(path, "error", "wrong-type", { property, expected, actual: typeof value });
+}
+
+const schemaContextOk = (c) =>
+  [].concat(c ?? []).some((x) => (typeof x === "string" ? SCHEMA_CONTEXT_RE.test(x) : SCHEMA_CONTEXT_RE.test(x?.["@vocab"] || "")));
+
+function validateStructuredData(items, base) {
+  // @id-Index über alle Blöcke der Seite
+  const ids = new Map();
+  const index = (o) => {
+    if (!o || typeof o !== "object") return;
+    if (Array.isArray(o)) return o.forEach(index);
+    if (o["@id"] && !isSchemaRef(o) && !ids.has(String(o["@id"]))) ids.set(String(o["@id"]), o);
+    Object.values(o).forEach(index);
+  };
+  items.forEach((s) => index(s.data));
+
+  const blocks = items.map((s, block) => {
+    const issues = [];
+    const unchecked = new Set();
+    const ctx = { ids, base, unchecked, add: (path, severity, code, vars = {}) => issues.push({ path, severity, code, vars }) };
+    const types = [];
+    if (s.error) ctx.add("$", "error", "invalid-json", { error: s.error });
+    else {
+      const roots = Array.isArray(s.data) ? s.data.map((n, i) => [n, `$[${i}]`]) : [[s.data, "$"]];
+      for (const [root, rootPath] of roots) {
+        if (!root || typeof root !== "object" || Array.isArray(root)) {
+          ctx.add(rootPath, "error", "not-object");
+          continue;
+        }
+        if (s.syntax === "json-ld" && !schemaContextOk(root["@context"])) ctx.add(rootPath, "error", "missing-context");
+        const nodes = Array.isArray(root["@graph"])
+          ? root["@graph"].map((n, i) => [n, `${rootPath}['@graph'][${i}]`])
+          : [[root, rootPath]];
+        for (const [node, path] of nodes) {
+          if (!node || typeof node !== "object" || isSchemaRef(node)) continue;
+          const nodeTypes = schemaTypesOf(node);
+          if (!nodeTypes.length) ctx.add(path, "error", "missing-type");
+          else {
+            types.push(...nodeTypes);
+            validateSchemaNode(node, nodeTypes, path, ctx);
+          }
+        }
+      }
+    }
+    const errors = issues.filter((i) => i.severity === "error");
+    return {
+      block,
+      syntax: s.syntax,
+      types: [...new Set(types)],
+      unchecked: [...unchecked],
+      errors: errors.length,
+      warnings: issues.length - errors.length,
+      // Fehler zuerst, damit die Kappung keine Fehler verschluckt
+      issues: [...errors, ...issues.filter((i) => i.severity !== "error")].slice(0, SCHEMA_MAX_ISSUES),
+    };
+  });
+  return {
+    blocks,
+    errors: blocks.reduce((n, b) => n + b.errors, 0),
+    warnings: blocks.reduce((n, b) => n + b.warnings, 0),
+  };
+}
+
+const schemaMessage = (issue, t) => t(`schema.${issue.code}`, issue.vars);
+
+// Flache Zeilen je Issue (Ergebnis, Bericht, Export)
+const schemaRows = (url, validation, t) =>
+  (validation?.blocks || []).flatMap((b) =>
+    b.issues.map((i) => ({
+      url,
+      block: b.block + 1,
+      syntax: b.syntax,
+      types: b.types.join(", "),
+      path: i.path,
+      severity: i.severity,
+      code: i.code,
+      message: schemaMessage(i, t),
+    }))
+  );
+
+// ---------- Strukturierte Daten (JSON-LD, Microdata, RDFa) ----------
+// Alle drei Syntaxen werden auf JSON-LD-artige Knoten ({ "@type", "@id", Eigenschaften })
+// abgebildet, damit Typzählung, Flags, Score, Regeln und Validierung nur ein Modell kennen.
+// Ergebnis in Dokumentreihenfolge je Syntax: [{ syntax, data } | { syntax: "json-ld", error }]
+const SD_SYNTAXES = ["json-ld", "microdata", "rdfa"];
+const SD_SYNTAX_LABELS = { "json-ld": "JSON-LD", microdata: "Microdata", rdfa: "RDFa" };
+const MICRODATA_SRC_TAGS = ["audio", "embed", "iframe", "img", "source", "track", "video"];
+const MICRODATA_HREF_TAGS = ["a", "area", "link"];
+
+const collapseText = (s) => s.replace(/\s+/g, " ").trim();
+const addProperty = (node, key, value) => {
+  node[key] = key in node ? [].concat(node[key], value) : value;
+};
+
+// JSON-LD-<script>s: { data } bzw. { error } bei kaputtem JSON
+const readJsonLd = ($) =>
+  $('script[type="application/ld+json"]')
+    .toArray()
+    .map((el) => {
+      try {
+        return { data: JSON.parse($(el).contents().text()) };
+      } catch (e) {
+        return { error: e.message };
+      }
+    });
+
+// Microdata (WHATWG): Top-Level = itemscope ohne umschließendes Item; itemref wird aufgelöst
+function readMicrodata($, base) {
+  const value = (el) => {
+    const $el = $(el);
+    const tag = el.tagName.toLowerCase();
+    if (tag === "meta") return $el.attr("content") ?? "";
+    if (MICRODATA_SRC_TAGS.includes(tag)) return absUrl($el.attr("src") || "", base);
+    if (MICRODATA_HREF_TAGS.includes(tag)) return absUrl($el.attr("href") || "", base);
+    if (tag === "object") return absUrl($el.attr("data") || "", base);
+    if (tag === "data" || tag === "meter") return $el.attr("value") ?? "";
+    if (tag === "time") return $el.attr("datetime") || collapseText($el.text());
+    return $el.attr("content") ?? collapseText($el.text()); // content an <span> o. ä. ist verbreitet
+  };
+  const ownedBy = (scope) => (_, el) => $(el).parent().closest("[itemscope]")[0] === scope;
+  const item = (scope, seen) => {
+    seen.add(scope);
+    const $s = $(scope);
+    const node = {};
+    const types = ($s.attr("itemtype") || "").split(/\s+/).filter(Boolean).map(schemaName);
+    if (types.length) node["@type"] = types.length === 1 ? types[0] : types;
+    if ($s.attr("itemid")) node["@id"] = $s.attr("itemid");
+    const props = $s.find("[itemprop]").filter(ownedBy(scope)).toArray();
+    for (const id of ($s.attr("itemref") || "").split(/\s+/).filter(Boolean)) {
+      const ref = $("[id]").filter((_, el) => el.attribs.id === id);
+      const inRef = ref.find("[itemprop]").filter((_, el) => !$(el).parentsUntil(ref[0]).filter("[itemscope]").length);
+      props.push(...ref.filter("[itemprop]").toArray(), ...inRef.toArray());
+    }
+    for (const el of props) {
+      const nested = $(el).is("[itemscope]");
+      if (nested && seen.has(el)) continue;
+      const v = nested ? item(el, seen) : value(el);
+      for (const name of $(el).attr("itemprop").split(/\s+/).filter(Boolean)) addProperty(node, schemaName(name), v);
+    }
+    return node;
+  };
+  return $("[itemscope]")
+    .filter((_, el) => !$(el).is("[itemprop]") || !$(el).parent().closest("[itemscope]").length)
+    .toArray()
+    .map((el) => item(el, new Set()));
+}
+
+// RDFa (Lite): nur schema.org (vocab bzw. Präfix schema:); andere Vokabulare wie og: entfallen
+function readRdfa($, base) {
+  const name = (el, term) => {
+    if (/^(https?:\/\/schema\.org\/|schema:)/i.test(term)) return schemaName(term);
+    if (term.includes(":")) return null;
+    return SCHEMA_CONTEXT_RE.test($(el).closest("[vocab]").attr("vocab") || "") ? term : null;
+  };
+  const terms = (el, attr) =>
+    ($(el).attr(attr) || "")
+      .split(/\s+/)
+      .filter(Boolean)
+      .map((term) => name(el, term))
+      .filter(Boolean);
+  const value = (el) => {
+    const $el = $(el);
+    if ($el.attr("content") != null) return $el.attr("content");
+    const ref = $el.attr("resource") || $el.attr("href") || $el.attr("src");
+    if (ref) return absUrl(ref, base);
+    if (el.tagName.toLowerCase() === "time") return $el.attr("datetime") || collapseText($el.text());
+    return collapseText($el.text());
+  };
+  const item = (scope) => {
+    const $s = $(scope);
+    const node = {};
+    const types = terms(scope, "typeof");
+    if (types.length) node["@type"] = types.length === 1 ? types[0] : types;
+    const id = $s.attr("resource") || $s.attr("about");
+    if (id) node["@id"] = id;
+    $s.find("[property]")
+      .filter((_, el) => $(el).parent().closest("[typeof]")[0] === scope)
+      .each((_, el) => {
+        const keys = terms(el, "property");
+        if (!keys.length) return;
+        const v = $(el).is("[typeof]") ? item(el) : value(el);
+        keys.forEach((key) => addProperty(node, key, v));
+      });
+    return node;
+  };
+  return $("[typeof]")
+    .filter((_, el) => !$(el).is("[property]") || !$(el).parent().closest("[typeof]").length)
+    .filter((_, el) => terms(el, "typeof").length > 0)
+    .toArray()
+    .map(item);
+}
+
+function readStructuredData($, base) {
+  return [
+    ...readJsonLd($).map((s) => ({ syntax: "json-ld", ...s })),
+    ...readMicrodata($, base).map((data) => ({ syntax: "microdata", data })),
+    ...readRdfa($, base).map((data) => ({ syntax: "rdfa", data })),
+  ];
+}
+
+// Knoten der obersten Ebene (inkl. @graph) mit Herkunft: [{ syntax, node }]
+const structuredEntities = (items) =>
+  items
+    .filter((s) => !s.error)
+    .flatMap((s) =>
+      [s.data]
+        .flat()
+        .flatMap((b) => (Array.isArray(b?.["@graph"]) ? b["@graph"] : [b]))
+        .map((node) => ({ syntax: s.syntax, node }))
+    )
+    .filter(({ node }) => node && typeof node === "object");
+
+const syntaxCounts = (items) =>
+  Object.fromEntries(SD_SYNTAXES.map((x) => [x, items.filter((s) => s.syntax === x && !s.error).length]));
+
 // ---------- Full (rendered) analyse ----------
-async function analyzeSinglePage(url) {
+async function analyzeSinglePage(url, { signal } = {}) {
+  if (signal?.aborted) return { error: "Cancelled" };
   // RAW vs DOM (CSR-Risiko)
   let rawWords = 0;
   let rawHtml = "";
   try {
-    const r = await fetch(url, { headers: { "User-Agent": UA }, redirect: "follow" });
+    const r = await fetch(url, { headers: { "User-Agent": UA }, redirect: "follow", signal });
     rawHtml = await r.text();
     rawWords = rawHtml
       .replace(/<style[\s\S]*?<\/style>|<script[\s\S]*?<\/script>/gi, " ")
@@ -163,9 +1431,18 @@ async function analyzeSinglePage(url) {
       .filter(Boolean).length;
   } catch {}
 
-  const chromium = await getChromium();
-  const browser = await chromium.launch({ headless: true });
-  const context = await browser.newContext({ userAgent: UA });
+  try {
+    return await browserPool.withContext(
+      (context) => analyzeRenderedPage(url, context, { rawWords, rawHtml }),
+      { signal }
+    );
+  } catch (e) {
+    if (signal?.aborted) return { error: "Cancelled" };
+    throw e;
+  }
+}
+
+async function analyzeRenderedPage(url, context, { rawWords, rawHtml }) {
   const page = await context.newPage();
 
   // Asset-Heuristik
@@ -200,7 +1477,6 @@ async function analyzeSinglePage(url) {
     response = await page.goto(url, { waitUntil: "domcontentloaded", timeout: 30000 });
     await page.waitForLoadState("networkidle", { timeout: 10000 }).catch(() => {});
   } catch (e) {
-    await browser.close();
     return { error: `Navigation failed: ${e.message}` };
   }
 
@@ -267,20 +1543,16 @@ async function analyzeSinglePage(url) {
     image: $('meta[name="twitter:image"]').attr("content") || "",
   };
   const ogComplete = !!og.title && !!og.description && !!og.image;
-  const twitterLarge = (twitter.card || "").toLowerCase().includes("summary_large_image");
-
-  // JSON-LD
-  const jsonLdBlocks = [];
-  const jsonLdErrors = [];
-  const jsonLdInHead = $('head script[type="application/ld+json"]').length;
-  $('script[type="application/ld+json"]').each((_, el) => {
-    const raw = $(el).contents().text();
-    try {
-      jsonLdBlocks.push(JSON.parse(raw));
-    } catch (e) {
-      jsonLdErrors.push(`Invalid JSON-LD: ${e.message}`);
-    }
-  });
+  const twitterLarge = (twitter.card || "").toLowerCase().includes("summary_large_image");
+
+  // Strukturierte Daten: JSON-LD, Microdata, RDFa
+  const structured = readStructuredData($, finalUrl);
+  const structuredBlocks = structured.filter((s) => !s.error).map((s) => s.data);
+  const sdCounts = syntaxCounts(structured);
+  const entities = structuredEntities(structured);
+  const jsonLdErrors = structured.filter((s) => s.error).map((s) => `Invalid JSON-LD: ${s.error}`);
+  const jsonLdInHead = $('head script[type="application/ld+json"]').length;
+  const structuredValidation = validateStructuredData(structured, finalUrl);
 
   const jsonLdTypes = {};
   const collectTypes = (obj) => {
@@ -292,7 +1564,7 @@ async function analyzeSinglePage(url) {
     }
     for (const v of Object.values(obj)) collectTypes(v);
   };
-  jsonLdBlocks.forEach(collectTypes);
+  structuredBlocks.forEach(collectTypes);
 
   const hasWebsite = !!jsonLdTypes["WebSite"];
   const hasOrganization = !!jsonLdTypes["Organization"];
@@ -307,8 +1579,8 @@ async function analyzeSinglePage(url) {
   let localFields = { telephone: false, address: false, hours: false, rating: false };
   let productFields = { offer: false, price: false, currency: false, availability: false, rating: false };
   let articleFields = { author: false, datePublished: false, dateModified: false };
-  jsonLdBlocks
-    .flatMap((b) => (Array.isArray(b) ? b : [b]))
+  entities
+    .map((e) => e.node)
     .forEach((item) => {
       const t = item?.["@type"];
       if ((t === "WebSite" || (Array.isArray(t) && t.includes("WebSite"))) &&
@@ -358,9 +1630,9 @@ async function analyzeSinglePage(url) {
   const xRobotsNoindex = (xRobots || "").toLowerCase().includes("noindex");
   const indexable = status >= 200 && status < 400 && !metaNoindex && !xRobotsNoindex;
 
-  // Title/Description „gut“ (breiter) – für Score
-  const titleGood = textLen(title) >= 30 && textLen(title) <= 65;
-  const metaDescGood = textLen(metaDesc) >= 80 && textLen(metaDesc) <= 180;
+  // Title/Description „gut“ – dieselben Spannen wie die Regeln title-length/meta-description-length
+  const titleGood = textLen(title) >= TITLE_LEN.min && textLen(title) <= TITLE_LEN.max;
+  const metaDescGood = textLen(metaDesc) >= META_DESC_LEN.min && textLen(metaDesc) <= META_DESC_LEN.max;
 
   // URL-„Sauberkeit“
   const urlObj = new URL(finalUrl || url);
@@ -385,7 +1657,8 @@ async function analyzeSinglePage(url) {
   const hasCaching = /max-age=\d{3,}/.test(cacheControl);
 
   const flags = {
-    hasJSONLD: jsonLdBlocks.length > 0,
+    hasJSONLD: sdCounts["json-ld"] > 0,
+    hasStructuredData: structuredBlocks.length > 0,
     hasOrganization,
     hasLocalBusiness,
     hasWebsite,
@@ -432,8 +1705,6 @@ async function analyzeSinglePage(url) {
     articleFields,
   };
 
-  await browser.close();
-
   return {
     requestedUrl: url,
     finalUrl,
@@ -452,42 +1723,43 @@ async function analyzeSinglePage(url) {
       metaDescriptionLength: textLen(metaDesc),
       lang,
       canonical,
+      canonicalHeader: parseLinkHeader(headers.link, finalUrl).find((l) => /(^|\s)canonical(\s|$)/i.test(l.rel || ""))?.url || "",
       robotsMeta,
     },
     hreflang,
     headings: { h1Count: h1s.length, h1: h1s, orderIssues: headingOrderIssues($) },
     images: { count: imgs.length, missingAlt, missingAltRatio: imgs.length ? missingAlt / imgs.length : 0 },
     social: { og, twitter },
-    structuredData: { jsonLdCount: jsonLdBlocks.length, types: jsonLdTypes, errors: jsonLdErrors },
+    structuredData: {
+      jsonLdCount: sdCounts["json-ld"],
+      microdataCount: sdCounts.microdata,
+      rdfaCount: sdCounts.rdfa,
+      types: jsonLdTypes,
+      entities: entities.map(({ syntax, node }) => ({ syntax, types: schemaTypesOf(node) })),
+      errors: jsonLdErrors,
+      validation: structuredValidation,
+    },
     flags,
     rawHtmlLen: rawHtml.length
   };
 }
 
 // ---------- Sitemap (deep) ----------
-async function getSitemapDeep(origin, cap = 3000) {
+async function getSitemapDeep(origin, cap = 3000, { signal, robots } = {}) {
   const seenSitemaps = new Set();
   const urls = new Set();
-  let robotsTxt = "";
-  let candidates = [];
-  let disallow = [];
-  let listedInRobots = false;
+  const hreflang = {}; // loc → [{ lang, href }] aus <xhtml:link rel="alternate">
+  const rb = robots || (await fetchRobotsTxt(origin, { signal }));
+  const robotsTxt = rb.text;
+  let candidates = rb.parsed.sitemaps.slice();
+  const disallow = rb.parsed.disallow;
+  const listedInRobots = candidates.length > 0;
 
-  try {
-    const r = await fetch(`${origin}/robots.txt`, { headers: { "User-Agent": UA }, redirect: "follow" });
-    if (r.ok) {
-      robotsTxt = await r.text();
-      const parsed = parseRobotsTxt(robotsTxt);
-      candidates = parsed.sitemaps;
-      disallow = parsed.disallow;
-      listedInRobots = candidates.length > 0;
-    }
-  } catch {}
   if (candidates.length === 0) candidates = [`${origin}/sitemap.xml`];
 
   async function fetchXml(u) {
     try {
-      const r = await fetch(u, { headers: { "User-Agent": UA }, redirect: "follow" });
+      const r = await fetch(u, { headers: { "User-Agent": UA }, redirect: "follow", signal });
       if (!r.ok) return null;
       return await r.text();
     } catch {
@@ -495,7 +1767,7 @@ async function getSitemapDeep(origin, cap = 3000) {
     }
   }
   async function expand(smUrl) {
-    if (seenSitemaps.has(smUrl) || urls.size >= cap) return;
+    if (seenSitemaps.has(smUrl) || urls.size >= cap || signal?.aborted) return;
     seenSitemaps.add(smUrl);
     const xml = await fetchXml(smUrl);
     if (!xml) return;
@@ -520,6 +1792,11 @@ async function getSitemapDeep(origin, cap = 3000) {
           const href = new URL(loc);
           if (ASSET_RE.test(href.pathname)) continue;
           urls.add(href.toString());
+          const alternates = (u["xhtml:link"] || [])
+            .map((l) => l?.$ || {})
+            .filter((l) => l.rel === "alternate" && l.hreflang && l.href)
+            .map((l) => ({ lang: l.hreflang.trim(), href: absUrl(l.href, href) }));
+          if (alternates.length) hreflang[href.toString()] = alternates;
         } catch {}
         if (urls.size >= cap) break;
       }
@@ -529,12 +1806,15 @@ async function getSitemapDeep(origin, cap = 3000) {
     if (urls.size >= cap) break;
     await expand(sm);
   }
-  const broadBlock = disallow.some((d) => d.trim() === "/");
+  const broadBlock = !createRobotsMatcher(rb.parsed, rb.status).isAllowed(`${origin}/`, "*");
   return {
     robotsTxtFound: !!robotsTxt,
+    robotsStatus: rb.status,
+    robotsGroups: rb.parsed.groups,
     sitemapFound: urls.size > 0,
     sitemapCandidates: candidates,
     urls: Array.from(urls),
+    hreflang,
     disallow,
     broadBlock,
     sitemapListedInRobots: listedInRobots
@@ -542,13 +1822,15 @@ async function getSitemapDeep(origin, cap = 3000) {
 }
 
 // ---------- Light Analyse ----------
-async function lightweightSampleAnalyze(url) {
+async function lightweightSampleAnalyze(url, { signal } = {}) {
   try {
-    const res = await fetch(url, { redirect: "follow", headers: { "User-Agent": UA } });
+    const res = await fetch(url, { redirect: "follow", headers: { "User-Agent": UA }, signal });
     const status = res.status;
     const ct = res.headers.get("content-type") || "";
-    if (!res.ok) return { url, status, ok: false, reason: "HTTP", ct };
-    if (!isHtmlCT(ct)) return { url, status, ok: false, reason: "Non-HTML", ct };
+    const finalUrl = res.url || url;
+    const redirected = res.redirected;
+    if (!res.ok) return { url, status, ok: false, reason: "HTTP", ct, finalUrl, redirected };
+    if (!isHtmlCT(ct)) return { url, status, ok: false, reason: "Non-HTML", ct, finalUrl, redirected };
 
     const html = await res.text();
     const $ = loadHTML(html);
@@ -560,16 +1842,22 @@ async function lightweightSampleAnalyze(url) {
     const lang = $("html").attr("lang") || "";
 
     const h1Count = $("h1").length;
+    const h1 = $("h1").first().text().replace(/\s+/g, " ").trim();
     const h2Count = $("h2").length;
     const wordCount = $("body").text().replace(/\s+/g, " ").trim().split(" ").filter(Boolean).length;
+    const content = contentFingerprint($);
     const orderIssues = headingOrderIssues($);
 
-    // hreflang quick
-    const hreflangEls = $('link[rel="alternate"][hreflang"]').toArray();
-    const hreflangCount = hreflangEls.length;
-    const hreflangXDefault = hreflangEls.some(
-      (el) => (($(el).attr("hreflang") || "").toLowerCase()) === "x-default"
-    );
+    // hreflang: <link> im HTML und Link-Header (absolut, für den Cluster-Abgleich)
+    const hreflang = $('link[rel="alternate"][hreflang]')
+      .toArray()
+      .map((el) => ({ lang: ($(el).attr("hreflang") || "").trim(), href: absUrl($(el).attr("href") || "", finalUrl) }));
+    const linkHeader = parseLinkHeader(res.headers.get("link"), finalUrl);
+    const hreflangHeader = linkHeader
+      .filter((l) => /(^|\s)alternate(\s|$)/i.test(l.rel || "") && l.hreflang)
+      .map((l) => ({ lang: l.hreflang.trim(), href: l.url }));
+    const hreflangCount = hreflang.length;
+    const hreflangXDefault = hreflang.some((h) => h.lang.toLowerCase() === "x-default");
 
     // Forms a11y (grob)
     const inputs = $("input,select,textarea").toArray();
@@ -587,13 +1875,8 @@ async function lightweightSampleAnalyze(url) {
 
     const imgs = $("img").toArray();
     const missingAlt = imgs.filter((el) => !$(el).attr("alt") || $(el).attr("alt").trim() === "").length;
-    const jsonLdBlocks = [];
-    $('script[type="application/ld+json"]').each((_, el) => {
-      const raw = $(el).contents().text();
-      try {
-        jsonLdBlocks.push(JSON.parse(raw));
-      } catch {}
-    });
+    const structured = readStructuredData($, finalUrl);
+    const sdCounts = syntaxCounts(structured);
     const types = {};
     const collect = (obj) => {
       if (!obj || typeof obj !== "object") return;
@@ -605,8 +1888,7 @@ async function lightweightSampleAnalyze(url) {
       }
       for (const v of Object.values(obj)) collect(v);
     };
-    jsonLdBlocks.forEach(collect);
-    const jsonLdCount = jsonLdBlocks.length;
+    structured.filter((s) => !s.error).forEach((s) => collect(s.data));
     const ogCore =
       $('meta[property="og:title"]').length +
       $('meta[property="og:description"]').length +
@@ -624,21 +1906,37 @@ async function lightweightSampleAnalyze(url) {
       status,
       ok: true,
       ct,
+      finalUrl,
+      redirected,
+      title,
+      metaDescription: metaDesc,
       titleLen: textLen(title),
       metaDescLen: textLen(metaDesc),
       canonical: !!canonical,
+      canonicalUrl: canonical ? absUrl(canonical, finalUrl) : "",
+      canonicalHref: canonical,
+      canonicalHeader: linkHeader.find((l) => /(^|\s)canonical(\s|$)/i.test(l.rel || ""))?.url || "",
       robots: robotsMeta,
+      xRobotsTag: res.headers.get("x-robots-tag") || "",
       lang: !!lang,
       h1Count,
+      h1,
       h2Count,
       wordCount,
+      contentWords: content.words,
+      contentHash: content.hash,
       orderIssues: orderIssues.length,
-      jsonLdCount,
+      jsonLdCount: sdCounts["json-ld"],
+      microdataCount: sdCounts.microdata,
+      rdfaCount: sdCounts.rdfa,
       types,
+      structuredValidation: validateStructuredData(structured, finalUrl),
       images: { count: imgs.length, missingAlt },
       ogCore,
       hreflangCount,
       hreflangXDefault,
+      hreflang,
+      hreflangHeader,
       forms: { inputs: inputs.length, unlabeled },
       legal: { hasImpressumLink, hasDatenschutzLink },
     };
@@ -656,113 +1954,1281 @@ const compilePatterns = (arr) =>
       } catch {
         return null;
       }
-    })
-    .filter(Boolean);
-const matchAny = (res, s) => !res?.length || res.some((re) => re.test(s));
-const matchNone = (res, s) => !res?.length || !res.some((re) => re.test(s));
+    })
+    .filter(Boolean);
+const matchAny = (res, s) => !res?.length || res.some((re) => re.test(s));
+const matchNone = (res, s) => !res?.length || !res.some((re) => re.test(s));
+
+// ---------- Concurrency ----------
+// Einfache Semaphore: höchstens `max` gleichzeitige Aufrufe, Rest wartet (FIFO);
+// optional Mindestabstand zwischen zwei Starts (robots.txt Crawl-delay)
+function createLimiter(max, minIntervalMs = 0) {
+  let active = 0;
+  let nextStart = 0;
+  const queue = [];
+  return async function limit(fn) {
+    if (active >= max) await new Promise((resolve) => queue.push(resolve));
+    else active++;
+    if (minIntervalMs) {
+      const wait = nextStart - Date.now();
+      nextStart = Math.max(Date.now(), nextStart) + minIntervalMs;
+      if (wait > 0) await new Promise((resolve) => setTimeout(resolve, wait));
+    }
+    try {
+      return await fn();
+    } finally {
+      const next = queue.shift();
+      if (next) next();
+      else active--;
+    }
+  };
+}
+// je Host eine eigene Semaphore → Zielserver nicht überlasten
+function createHostLimiter(perHost, { delayFor } = {}) {
+  const byHost = new Map();
+  return function limitHost(url, fn) {
+    let host = "";
+    try {
+      host = new URL(url).host;
+    } catch {
+      host = "";
+    }
+    if (!byHost.has(host)) {
+      const delayMs = (delayFor?.(host) || 0) * 1000;
+      byHost.set(host, delayMs ? createLimiter(1, delayMs) : createLimiter(perHost));
+    }
+    return byHost.get(host)(fn);
+  };
+}
+const noLimit = (_url, fn) => fn();
+
+// Eingebundene Ressourcen für den Linkcheck (Tag → kind)
+const RESOURCE_SELECTOR = "img[src], script[src], link[rel~='stylesheet'][href]";
+const RESOURCE_KINDS = { img: "image", script: "script", link: "css" };
+
+// ---------- Common-path probe ----------
+async function probeCommonPaths(
+  origin,
+  { signal, analyze = lightweightSampleAnalyze, limitHost = noLimit, isAllowed = () => true } = {}
+) {
+  const candidates = [
+    "/geo",
+    "/leistungen",
+    "/service",
+    "/kontakt",
+    "/impressum",
+    "/datenschutz",
+    "/faq",
+    "/standorte",
+    "/ueber-uns",
+    "/portfolio",
+    "/cases",
+    "/blog",
+    "/news",
+  ]
+    .flatMap((p) => [p, p + "/"])
+    .filter((p) => isAllowed(origin + p));
+  const results = await Promise.all(
+    candidates.map((p) =>
+      limitHost(origin + p, async () => (signal?.aborted ? null : analyze(origin + p, { signal })))
+    )
+  );
+  const found = candidates.filter((_, i) => results[i]?.ok).map((p) => origin + p);
+  return Array.from(new Set(found));
+}
+
+// ---------- Crawl (BFS; optional rendered) ----------
+async function crawlInternal(
+  startUrl,
+  {
+    maxPages = 500,
+    includeParams = false,
+    render = true,
+    keepHashSections = true,
+    seeds = [],
+    includePatterns = [],
+    excludePatterns = [],
+    concurrency = 1,
+    limitHost = noLimit,
+    isAllowed = () => true,
+    onDiscovered,
+    onBlocked,
+    onVisited,
+    onLinks,
+    signal,
+  } = {}
+) {
+  const start = new URL(startUrl);
+  const registrable = start.host.split(".").slice(-2).join(".");
+  const incRE = compilePatterns(includePatterns);
+  const excRE = compilePatterns(excludePatterns.length ? excludePatterns : [DEFAULT_EXCLUDE]);
+
+  const seedList = [
+    start.href,
+    ...seeds.filter((s) => {
+      try {
+        const u = new URL(s);
+        return u.host.split(".").slice(-2).join(".") === registrable;
+      } catch {
+        return false;
+      }
+    }),
+  ];
+
+  const seen = new Set(seedList);
+  const out = seedList.filter((u) => isAllowed(u));
+  const q = [...out];
+  seedList.forEach((u) => (isAllowed(u) ? onDiscovered : onBlocked)?.(u));
+  let visited = 0;
+
+  // Links mit Ankertext (bei Bild-Links der alt-Text) und eingebundene Ressourcen (kind)
+  async function collectHrefs(ctx, u) {
+    const hrefs = [];
+    if (render) {
+      const page = await ctx.newPage();
+      try {
+        await page.goto(u, { waitUntil: "domcontentloaded", timeout: 25000 });
+        await page.waitForLoadState("networkidle", { timeout: 10000 }).catch(() => {});
+        hrefs.push(
+          ...(await page.$$eval("a[href]", (els) =>
+            els
+              .map((a) => ({ href: a.getAttribute("href"), text: a.textContent.trim() || a.querySelector("img[alt]")?.alt || "" }))
+              .filter((l) => l.href)
+          )),
+          ...(await page.$$eval(RESOURCE_SELECTOR, (els) =>
+            els.map((el) => ({ tag: el.tagName.toLowerCase(), href: el.getAttribute(el.tagName === "LINK" ? "href" : "src") }))
+          )).map(({ tag, href }) => ({ href, text: "", kind: RESOURCE_KINDS[tag] }))
+        );
+      } finally {
+        await page.close().catch(() => {});
+      }
+    } else {
+      const r = await fetch(u, { headers: { "User-Agent": UA }, redirect: "follow", signal });
+      const ct = r.headers.get("content-type") || "";
+      if (!isHtmlCT(ct)) return hrefs;
+      const html = await r.text();
+      const $ = loadHTML(html);
+      $("a[href]").each((_, a) =>
+        hrefs.push({ href: $(a).attr("href"), text: $(a).text().trim() || $(a).find("img[alt]").attr("alt") || "" })
+      );
+      $(RESOURCE_SELECTOR).each((_, el) =>
+        hrefs.push({ href: $(el).attr(el.tagName === "link" ? "href" : "src"), text: "", kind: RESOURCE_KINDS[el.tagName] })
+      );
+    }
+    return hrefs;
+  }
+
+  function enqueueLinks(hrefs, u) {
+    const links = []; // interne Ziele dieser Seite für den Linkgraphen
+    const refs = []; // alle Verweise für den Linkcheck: internal, external, image, script, css
+    for (const { href, text, kind } of hrefs) {
+      try {
+        const abs = new URL(href, u);
+        if (!["http:", "https:"].includes(abs.protocol)) continue;
+        const reg2 = abs.host.split(".").slice(-2).join(".");
+        const ref = new URL(abs);
+        ref.hash = "";
+        refs.push({ url: ref.href, kind: kind || (reg2 === registrable ? "internal" : "external"), text: text.replace(/\s+/g, " ") });
+        if (kind || reg2 !== registrable) continue;
+        if (!includeParams) abs.search = "";
+        if (!keepHashSections) abs.hash = "";
+        const s = abs.toString();
+        if (ASSET_RE.test(abs.pathname)) continue;
+        if (!matchAny(incRE, s)) continue;
+        if (!matchNone(excRE, s)) continue;
+        links.push({ url: s, text: text.replace(/\s+/g, " ") });
+        if (!seen.has(s) && seen.size < maxPages * 6) {
+          seen.add(s);
+          if (!isAllowed(s)) {
+            onBlocked?.(s);
+            continue;
+          }
+          q.push(s);
+          out.push(s);
+          onDiscovered?.(s);
+        }
+      } catch {}
+    }
+    onLinks?.(u, links, refs);
+  }
+
+  // BFS mit mehreren Workern; ein Worker wartet, solange andere noch Links liefern können
+  const visitAll = async (ctx) => {
+    let inFlight = 0;
+    const idle = [];
+    const wakeAll = () => idle.splice(0).forEach((resolve) => resolve());
+    const worker = async () => {
+      while (!signal?.aborted && out.length < maxPages) {
+        if (!q.length) {
+          if (!inFlight) break;
+          await new Promise((resolve) => idle.push(resolve));
+          continue;
+        }
+        const u = q.shift();
+        inFlight++;
+        try {
+          const hrefs = await limitHost(u, () => collectHrefs(ctx, u));
+          enqueueLinks(hrefs, u);
+        } catch {
+          // Seite nicht erreichbar → keine Links
+        } finally {
+          inFlight--;
+          visited++;
+          onVisited?.({ visited, found: out.length });
+          wakeAll();
+        }
+      }
+      wakeAll();
+    };
+    await Promise.all(Array.from({ length: Math.max(1, concurrency) }, worker));
+  };
+  if (render) {
+    await browserPool.withContext(visitAll, { signal }).catch((e) => {
+      if (!signal?.aborted) throw e;
+    });
+  } else await visitAll(null);
+  return Array.from(new Set(out));
+}
+
+// ---------- Interner Linkgraph ----------
+// Aus den Links der gecrawlten Seiten (crawlInternal → onLinks): eingehende/ausgehende Links
+// je URL (verschiedene Seiten), Klicktiefe ab Start-URL (BFS), interner PageRank (0–100,
+// relativ zur stärksten Seite) und häufigste Ankertexte. Knoten ohne #Fragment (unabhängig von
+// keepHashSections). Sitemap-URLs ohne eingehenden Link sind echte Orphans – nur bei
+// vollständigem Crawl, sonst „nicht verifiziert“; „wichtig“ sind Sitemap-URLs (ohne Sitemap alle Seiten).
+const LINK_GRAPH_DAMPING = 0.85;
+const LINK_GRAPH_ITERATIONS = 40;
+const LINK_GRAPH_TOP = 25;
+const LINK_GRAPH_ANCHORS = 5;
+
+// links: Map Quelle → [{ url, text }], complete: Crawl nicht am Seitenlimit abgebrochen
+function buildLinkGraph({ startUrl, links, sitemapUrls = [], complete = true }) {
+  const index = new Map();
+  const nodes = [];
+  const node = (u) => {
+    const url = hrefKey(u);
+    if (!index.has(url)) {
+      index.set(url, nodes.length);
+      nodes.push({ url, depth: null, inlinks: 0, outlinks: 0, rank: 0, inSitemap: false, anchors: new Map() });
+    }
+    return index.get(url);
+  };
+  node(startUrl);
+
+  const edges = new Map(); // "i j" → Anzahl Links
+  for (const [from, targets] of links) {
+    const i = node(from);
+    for (const { url, text } of targets) {
+      const j = node(url);
+      if (i === j) continue;
+      edges.set(`${i} ${j}`, (edges.get(`${i} ${j}`) || 0) + 1);
+      if (text) nodes[j].anchors.set(text, (nodes[j].anchors.get(text) || 0) + 1);
+    }
+  }
+  sitemapUrls.forEach((u) => (nodes[node(u)].inSitemap = true));
+
+  const out = nodes.map(() => []);
+  const into = nodes.map(() => []);
+  for (const k of edges.keys()) {
+    const [i, j] = k.split(" ").map(Number);
+    out[i].push(j);
+    into[j].push(i);
+  }
+  nodes.forEach((n, i) => {
+    n.inlinks = into[i].length;
+    n.outlinks = out[i].length;
+  });
+
+  // Klicktiefe (BFS ab Start)
+  nodes[0].depth = 0;
+  for (const q = [0]; q.length; ) {
+    const i = q.shift();
+    for (const j of out[i])
+      if (nodes[j].depth === null) {
+        nodes[j].depth = nodes[i].depth + 1;
+        q.push(j);
+      }
+  }
+
+  // PageRank; Seiten ohne Outlinks verteilen ihr Gewicht gleichmäßig
+  const N = nodes.length;
+  let pr = new Array(N).fill(1 / N);
+  for (let it = 0; it < LINK_GRAPH_ITERATIONS; it++) {
+    const dangling = pr.reduce((sum, v, i) => (out[i].length ? sum : sum + v), 0);
+    const next = new Array(N).fill((1 - LINK_GRAPH_DAMPING) / N + (LINK_GRAPH_DAMPING * dangling) / N);
+    pr.forEach((v, i) => out[i].forEach((j) => (next[j] += (LINK_GRAPH_DAMPING * v) / out[i].length)));
+    pr = next;
+  }
+  const max = Math.max(...pr);
+  nodes.forEach((n, i) => {
+    n.rank = Math.round((1000 * pr[i]) / max) / 10;
+    n.anchors = [...n.anchors]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, LINK_GRAPH_ANCHORS)
+      .map(([text, count]) => ({ text, count }));
+  });
+
+  const orphans = nodes.filter((n, i) => n.inSitemap && !n.inlinks && i !== 0).map((n) => n.url);
+  const important = nodes.some((n) => n.inSitemap) ? nodes.filter((n) => n.inSitemap) : nodes;
+  const reachable = important.filter((n) => n.depth !== null && n.depth > 0);
+  return {
+    startUrl,
+    complete,
+    nodes,
+    edges: [...edges].map(([k, count]) => [...k.split(" ").map(Number), count]),
+    maxDepth: Math.max(0, ...nodes.map((n) => n.depth ?? 0)),
+    orphans: complete ? orphans : [],
+    unverifiedOrphans: complete ? [] : orphans,
+    deepest: [...reachable].sort((a, b) => b.depth - a.depth || a.inlinks - b.inlinks).slice(0, LINK_GRAPH_TOP),
+    weakest: [...reachable].sort((a, b) => a.inlinks - b.inlinks || a.rank - b.rank).slice(0, LINK_GRAPH_TOP),
+  };
+}
+
+// GraphML (yEd, Gephi, Cytoscape); Knotenattribute wie in linkGraph.nodes
+function linkGraphToGraphml(g) {
+  const keys = [
+    ["url", "node", "string"],
+    ["depth", "node", "int"],
+    ["inlinks", "node", "int"],
+    ["outlinks", "node", "int"],
+    ["rank", "node", "double"],
+    ["inSitemap", "node", "boolean"],
+    ["links", "edge", "int"],
+  ];
+  const data = (k, v) => (v === null || v === undefined ? "" : `<data key="${k}">${esc(v)}</data>`);
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+    ...keys.map(([id, target, type]) => `  <key id="${id}" for="${target}" attr.name="${id}" attr.type="${type}"/>`),
+    '  <graph id="links" edgedefault="directed">',
+    ...g.nodes.map(
+      (n, i) =>
+        `    <node id="n${i}">${keys
+          .filter(([, target]) => target === "node")
+          .map(([k]) => data(k, n[k]))
+          .join("")}</node>`
+    ),
+    ...g.edges.map(([i, j, count]) => `    <edge source="n${i}" target="n${j}">${data("links", count)}</edge>`),
+    "  </graph>",
+    "</graphml>",
+  ].join("\n");
+}
+
+// ---------- Linkcheck ----------
+// Status aller beim Crawl gefundenen Verweise (interne/externe Links, Bilder, Skripte, CSS)
+// über fetchStatus. Interne Seiten aus der Light-Analyse werden nicht erneut abgerufen, übrige
+// interne HTML-Ziele per analyze nachgeladen; fremde Hosts laufen einzeln mit Pause und
+// insgesamt höchstens LINK_CHECK_EXTERNAL_PARALLEL gleichzeitig. Soft-404: 200, aber Title/H1 einer Fehlerseite oder
+// derselbe Inhalt wie bei einer sicher nicht existierenden URL (probe).
+const LINK_CHECK_EXTERNAL_DELAY = 0.25; // Sekunden zwischen Anfragen je fremdem Host
+const LINK_CHECK_EXTERNAL_PARALLEL = 8; // fremde Hosts gleichzeitig
+const LINK_CHECK_MAX_SOURCES = 20;
+const LINK_KINDS = ["internal", "external", "image", "script", "css"];
+const SOFT_404_RE = /^(?:error\s*)?404\b|\b404\s*(?:error|fehler)|not found|nicht gefunden|(?:existiert|gibt es) nicht|does(?: not|n't) exist/i;
+
+function isSoft404(p, probe) {
+  if (!p?.ok || p.status !== 200 || p.url === probe?.url) return false;
+  if (SOFT_404_RE.test(p.title || "") || SOFT_404_RE.test(p.h1 || "")) return true;
+  if (!probe?.ok || probe.status !== 200) return false;
+  if (p.contentHash && probe.contentHash) return hammingDistance(p.contentHash, probe.contentHash) <= SIMHASH_MAX_DISTANCE;
+  return !!p.title && normText(p.title) === normText(probe.title);
+}
+
+// refs: Map Seite → [{ url, kind, text }] (crawlInternal → onLinks), known: Map URL → Light-Page,
+// analyze(url) lädt interne Seiten für die Soft-404-Prüfung (Promise<Light-Page|null>)
+async function checkLinks({ refs, known = new Map(), probe, origin, max = 1000, analyze, limitHost = noLimit, isAllowed = () => true, signal }) {
+  const targets = new Map();
+  const pagesOf = new Map();
+  for (const [page, list] of refs)
+    for (const { url, kind, text } of list) {
+      if (url === page) continue;
+      if (!targets.has(url)) {
+        targets.set(url, { url, kind, sources: [] });
+        pagesOf.set(url, new Set());
+      }
+      const seen = pagesOf.get(url);
+      if (seen.has(page)) continue;
+      seen.add(page);
+      if (targets.get(url).sources.length < LINK_CHECK_MAX_SOURCES) targets.get(url).sources.push({ page, text });
+    }
+  for (const [url, pages] of pagesOf) targets.get(url).sourceCount = pages.size;
+
+  const originHost = new URL(origin).host;
+  const limitOther = createHostLimiter(1, { delayFor: () => LINK_CHECK_EXTERNAL_DELAY });
+  const limitExternal = createLimiter(LINK_CHECK_EXTERNAL_PARALLEL);
+  const list = [...targets.values()];
+  const check = [...list].sort((a, b) => LINK_KINDS.indexOf(a.kind) - LINK_KINDS.indexOf(b.kind)).slice(0, max);
+  await Promise.all(
+    check.map(async (e) => {
+      const p = known.get(e.url);
+      if (p) {
+        Object.assign(e, { status: p.status ?? 0, finalUrl: p.finalUrl || "", error: p.status ? undefined : p.reason });
+        if (e.kind === "internal") e.soft404 = isSoft404(p, probe);
+        return;
+      }
+      const host = new URL(e.url).host;
+      if (host === originHost && !isAllowed(e.url)) {
+        e.blocked = true;
+        return;
+      }
+      const status = () => (signal?.aborted ? {} : fetchStatus(e.url, { signal }));
+      if (host !== originHost) {
+        Object.assign(e, await limitOther(e.url, () => limitExternal(status)));
+        return;
+      }
+      Object.assign(e, await limitHost(e.url, status));
+      if (e.kind === "internal" && e.status === 200 && isHtmlCT(e.contentType) && analyze)
+        e.soft404 = isSoft404(await analyze(e.url).catch(() => null), probe);
+    })
+  );
+
+  const isBroken = (e) => e.status === 0 || e.status >= 400 || e.soft404;
+  const broken = check
+    .filter(isBroken)
+    .sort((a, b) => LINK_KINDS.indexOf(a.kind) - LINK_KINDS.indexOf(b.kind) || b.sourceCount - a.sourceCount);
+  return {
+    checked: check.filter((e) => typeof e.status === "number").length,
+    skipped: list.length - check.length,
+    blocked: check.filter((e) => e.blocked).length,
+    counts: Object.fromEntries(LINK_KINDS.map((k) => [k, check.filter((e) => e.kind === k).length])),
+    soft404Probe: probe?.ok && probe.status === 200,
+    broken,
+  };
+}
+
+// Kaputte Verweise je Quellseite (für evaluateRules)
+function linkCheckEntries(lc) {
+  const byPage = new Map();
+  for (const e of lc?.broken || [])
+    for (const src of e.sources) {
+      if (!byPage.has(src.page)) byPage.set(src.page, { url: src.page, broken: [] });
+      byPage.get(src.page).broken.push({ url: e.url, kind: e.kind, status: e.status, soft404: !!e.soft404, text: src.text });
+    }
+  return [...byPage.values()];
+}
+
+// ---------- Redirect-Audit ----------
+// Vollständige Hop-Listen (Status + Ziel je Sprung, ohne automatisches Folgen) für alle
+// entdeckten URLs, die laut Light-Analyse weiterleiten oder noch nicht abgerufen wurden,
+// plus http/https- und www-Varianten der Startseite. Daneben: Trailing-Slash-Dubletten und
+// interne Links auf weiterleitende URLs (je Quellseite).
+const REDIRECT_MAX_HOPS = 10;
+const REDIRECT_MAX_URLS = 1000;
+const REDIRECT_SLASH_PROBES = 10;
+const TEMPORARY_REDIRECTS = [302, 307];
+
+async function traceRedirects(url, { signal, ua = UA } = {}) {
+  const hops = [];
+  const seen = new Set();
+  let cur = url;
+  for (let i = 0; i <= REDIRECT_MAX_HOPS; i++) {
+    if (seen.has(cur)) return { url, hops, finalUrl: cur, loop: true };
+    seen.add(cur);
+    let r;
+    try {
+      r = await fetch(cur, { headers: { "User-Agent": ua }, redirect: "manual", signal: fetchSignal(signal) });
+      r.body?.cancel().catch(() => {});
+    } catch (e) {
+      return { url, hops, finalUrl: cur, status: 0, error: e.message };
+    }
+    const location = r.headers.get("location");
+    if (r.status < 300 || r.status >= 400 || !location) return { url, hops, finalUrl: cur, status: r.status };
+    const next = absUrl(location, cur);
+    hops.push({ url: cur, status: r.status, location: next });
+    cur = next;
+  }
+  return { url, hops, finalUrl: cur, tooMany: true };
+}
+
+// http/https- und www-Varianten der Start-URL (ohne die Start-URL selbst)
+function originVariants(origin) {
+  const u = new URL(origin);
+  const hosts = [u.host, u.host.startsWith("www.") ? u.host.slice(4) : `www.${u.host}`];
+  return ["http:", "https:"]
+    .flatMap((proto) => hosts.map((host) => `${proto}//${host}/`))
+    .filter((v) => v !== `${origin}/`);
+}
+
+// Sprung, der nur Protokoll, www oder Trailing Slash ändert – ein dauerhafter Umzug per Definition
+function normalizationHop(h) {
+  try {
+    const a = new URL(h.url);
+    const b = new URL(h.location);
+    const bare = (x) => `${x.host.replace(/^www\./, "")}${x.pathname.replace(/\/$/, "")}${x.search}`;
+    return a.href !== b.href && bare(a) === bare(b);
+  } catch {
+    return false;
+  }
+}
+
+const toggleSlash = (u) => {
+  const x = new URL(u);
+  if (x.pathname === "/" || /\.\w+$/.test(x.pathname)) return "";
+  x.pathname = x.pathname.endsWith("/") ? x.pathname.slice(0, -1) : `${x.pathname}/`;
+  return x.href;
+};
+
+// urls: entdeckte URLs, known: Map URL → Light-Page, refs: Map Seite → Verweise (crawlInternal),
+// analyze(url) für Trailing-Slash-Proben (Promise<Light-Page|null>)
+async function auditRedirects({ urls, known = new Map(), refs = new Map(), origin, analyze, limitHost = noLimit, isAllowed = () => true, signal }) {
+  const variants = originVariants(origin);
+  const candidates = [...new Set(urls)].filter((u) => isAllowed(u) && (!known.get(u)?.ok || known.get(u).redirected));
+  const toTrace = [...variants, ...candidates.slice(0, REDIRECT_MAX_URLS)];
+  const traces = await Promise.all(
+    toTrace.map((u) => limitHost(u, () => (signal?.aborted ? null : traceRedirects(u, { signal }))))
+  );
+  const byUrl = new Map(traces.filter(Boolean).map((tr) => [tr.url, tr]));
+  const chains = [...byUrl.values()].filter((tr) => tr.hops.length || tr.loop);
+  chains.forEach((tr) => {
+    tr.temporary = tr.hops.filter((h) => TEMPORARY_REDIRECTS.includes(h.status));
+    tr.temporaryNormalization = tr.temporary.filter(normalizationHop);
+  });
+
+  // Host-Normalisierung: jede Variante muss (per Weiterleitung) auf der Start-Origin landen
+  const normalization = [];
+  const target = new URL(origin);
+  for (const v of variants) {
+    const tr = byUrl.get(v);
+    if (!tr || tr.error) continue; // Variante nicht erreichbar (z. B. kein DNS-Eintrag)
+    const final = new URL(tr.finalUrl);
+    if (final.protocol === target.protocol && final.host === target.host) continue;
+    const kind = new URL(v).host === target.host || final.protocol !== target.protocol ? "http" : "host";
+    normalization.push({ url: v, kind, finalUrl: tr.finalUrl, status: tr.status ?? null });
+  }
+
+  // Trailing Slash: beide Schreibweisen liefern 200 ohne Weiterleitung und ohne Canonical aufeinander
+  const servesOwn = (p, other) =>
+    p?.ok && p.status === 200 && !p.redirected && (!p.canonicalUrl || hrefKey(p.canonicalUrl) !== hrefKey(other));
+  const pages = [...known.values()].filter((p) => p.ok && !p.redirected && p.status === 200);
+  const slashSeen = new Set();
+  for (const p of pages) {
+    const v = toggleSlash(p.url);
+    if (!v || slashSeen.has(p.url) || !known.has(v)) continue;
+    slashSeen.add(v);
+    if (servesOwn(p, v) && servesOwn(known.get(v), p.url)) normalization.push({ url: p.url, kind: "slash", finalUrl: v, status: 200 });
+  }
+  const probes = pages.filter((p) => toggleSlash(p.url) && !known.has(toggleSlash(p.url))).slice(0, REDIRECT_SLASH_PROBES);
+  for (const p of probes) {
+    const v = toggleSlash(p.url);
+    const q = isAllowed(v) ? await analyze(v).catch(() => null) : null;
+    if (servesOwn(p, v) && servesOwn(q, p.url)) normalization.push({ url: p.url, kind: "slash", finalUrl: v, status: 200 });
+  }
+
+  // Interne Links auf weiterleitende URLs, je Quellseite
+  const originHost = target.host;
+  const redirecting = (u) => {
+    const tr = byUrl.get(u);
+    if (tr?.hops.length) return tr;
+    const p = known.get(u);
+    return p?.redirected ? { hops: [], finalUrl: p.finalUrl, status: p.status } : null;
+  };
+  const linkSources = [];
+  for (const [page, list] of refs) {
+    const links = [];
+    const seen = new Set();
+    for (const { url, kind, text } of list) {
+      if (seen.has(url) || kind !== "internal" || new URL(url).host !== originHost) continue;
+      seen.add(url);
+      const tr = redirecting(url);
+      if (tr) links.push({ url, text, finalUrl: tr.finalUrl, hops: tr.hops.length || 1, status: tr.hops[0]?.status ?? null });
+    }
+    if (links.length) linkSources.push({ url: page, links });
+  }
+
+  return {
+    traced: byUrl.size,
+    skipped: Math.max(0, candidates.length - REDIRECT_MAX_URLS),
+    chains,
+    normalization,
+    linkSources,
+  };
+}
+
+// Hop-Liste als Text: „URL —301→ URL —302→ URL“
+const hopsText = (tr) => [...tr.hops.map((h) => `${h.url} —${h.status}→`), tr.loop ? `${tr.finalUrl} (↺)` : tr.finalUrl].join(" ");
+
+// ---------- KI-Crawler-Audit ----------
+// ua: null → reiner robots.txt-Token ohne eigenen Crawler (kein HTTP-Test möglich)
+const AI_CRAWLERS = [
+  { token: "GPTBot", vendor: "OpenAI", purpose: "Training", ua: "Mozilla/5.0 AppleWebKit/537.36 (KHTML, like Gecko; compatible; GPTBot/1.2; +https://openai.com/gptbot)" },
+  { token: "OAI-SearchBot", vendor: "OpenAI", purpose: "ChatGPT-Suche", ua: "Mozilla/5.0 AppleWebKit/537.36 (KHTML, like Gecko; compatible; OAI-SearchBot/1.0; +https://openai.com/searchbot)" },
+  { token: "ChatGPT-User", vendor: "OpenAI", purpose: "Nutzer-Abruf", ua: "Mozilla/5.0 AppleWebKit/537.36 (KHTML, like Gecko); compatible; ChatGPT-User/1.0; +https://openai.com/bot" },
+  { token: "ClaudeBot", vendor: "Anthropic", purpose: "Training", ua: "Mozilla/5.0 AppleWebKit/537.36 (KHTML, like Gecko; compatible; ClaudeBot/1.0; +claudebot@anthropic.com)" },
+  { token: "Claude-SearchBot", vendor: "Anthropic", purpose: "Claude-Suche", ua: "Mozilla/5.0 AppleWebKit/537.36 (KHTML, like Gecko; compatible; Claude-SearchBot/1.0; +https://www.anthropic.com)" },
+  { token: "Claude-User", vendor: "Anthropic", purpose: "Nutzer-Abruf", ua: "Mozilla/5.0 AppleWebKit/537.36 (KHTML, like Gecko; compatible; Claude-User/1.0; +https://www.anthropic.com)" },
+  { token: "PerplexityBot", vendor: "Perplexity", purpose: "Suche/Index", ua: "Mozilla/5.0 AppleWebKit/537.36 (KHTML, like Gecko; compatible; PerplexityBot/1.0; +https://perplexity.ai/perplexitybot)" },
+  { token: "Perplexity-User", vendor: "Perplexity", purpose: "Nutzer-Abruf", ua: "Mozilla/5.0 AppleWebKit/537.36 (KHTML, like Gecko; compatible; Perplexity-User/1.0; +https://perplexity.ai/perplexity-user)" },
+  { token: "Google-Extended", vendor: "Google", purpose: "Gemini/Vertex AI", ua: null },
+  { token: "Applebot-Extended", vendor: "Apple", purpose: "Apple Intelligence", ua: null },
+  { token: "Amazonbot", vendor: "Amazon", purpose: "Alexa/Suche", ua: "Mozilla/5.0 AppleWebKit/537.36 (KHTML, like Gecko; compatible; Amazonbot/0.1; +https://developer.amazon.com/support/amazonbot) Chrome/119.0.6045.214 Safari/537.36" },
+  { token: "meta-externalagent", vendor: "Meta", purpose: "Training/Meta AI", ua: "meta-externalagent/1.1 (+https://developers.facebook.com/docs/sharing/webmasters/crawler)" },
+  { token: "Bytespider", vendor: "ByteDance", purpose: "Training", ua: "Mozilla/5.0 (Linux; Android 5.0) AppleWebKit/537.36 (KHTML, like Gecko) Mobile Safari/537.36 (compatible; Bytespider; spider-feedback@bytedance.com)" },
+  { token: "CCBot", vendor: "Common Crawl", purpose: "offene Trainingsdaten", ua: "CCBot/2.0 (https://commoncrawl.org/faq/)" },
+];
+// Crawler, deren Sperre direkt Sichtbarkeit in generativen Antworten kostet
+const AI_CRAWLERS_KEY = ["GPTBot", "OAI-SearchBot", "ChatGPT-User", "ClaudeBot", "PerplexityBot", "Google-Extended"];
+// Nur eindeutige Marker von Bot-Schutz-Seiten (Cloudflare, PerimeterX, DataDome); Wörter wie
+// „captcha“ oder „access denied“ stehen auch auf normalen Seiten (Kontaktformular, FAQ)
+const CHALLENGE_RE = /cf-chl|challenge-platform|px-captcha|_pxCaptcha|captcha-delivery\.com|ddos-guard/i;
+const CHALLENGE_COOKIE_RE = /(?:^|[;,]\s*)(?:datadome|_px\w*)=/i;
+// Typische Titel von Block-/Challenge-Seiten; zählen nur, wenn der normale Abruf sie nicht hat
+const BLOCK_TITLE_RE = /just a moment|attention required|access denied|verify you are human|ddos protection/i;
+
+async function probeAs(url, ua, { signal } = {}) {
+  try {
+    const r = await fetch(url, {
+      headers: { "User-Agent": ua, Accept: "text/html,*/*" },
+      redirect: "follow",
+      signal: fetchSignal(signal),
+    });
+    const body = await readTextCapped(r, 20000);
+    const challenge =
+      !!r.headers.get("cf-mitigated") || CHALLENGE_COOKIE_RE.test(r.headers.get("set-cookie") || "") || CHALLENGE_RE.test(body);
+    const title = (/<title[^>]*>([^<]*)/i.exec(body)?.[1] || "").trim();
+    return { status: r.status, challenge, title };
+  } catch (e) {
+    return { status: 0, challenge: false, error: e.message };
+  }
+}
+
+// Bot-Abruf gegen den normalen Abruf: Challenge-Marker oder Block-Titel, die dort fehlen
+const challengedVs = (http, baseline) =>
+  (http.challenge && !baseline.challenge) ||
+  (BLOCK_TITLE_RE.test(http.title || "") && !BLOCK_TITLE_RE.test(baseline.title || ""));
+
+// access: allowed | partial (einzelne URLs gesperrt) | disallowed (robots.txt) | blocked (HTTP/WAF)
+async function auditAiCrawlers(origin, robots, { urls = [], signal, limitHost = noLimit } = {}) {
+  const home = `${origin}/`;
+  const baseline = await limitHost(home, () => probeAs(home, UA, { signal }));
+  const baselineOk = baseline.status >= 200 && baseline.status < 400 && !baseline.challenge;
+  const explicit = new Set(robots.agents());
+
+  const crawlers = await Promise.all(
+    AI_CRAWLERS.map(async (c) => {
+      const v = robots.verdict(home, c.token);
+      const blockedUrls = urls.filter((u) => !robots.isAllowed(u, c.token)).length;
+      const http = c.ua && !signal?.aborted ? await limitHost(home, () => probeAs(home, c.ua, { signal })) : null;
+      // nur als Block werten, wenn der normale Abruf funktioniert
+      if (http) http.challenge = challengedVs(http, baseline);
+      const httpBlocked =
+        !!http && baselineOk && (http.challenge || http.status === 0 || [401, 403, 429].includes(http.status) || http.status >= 500);
+      const access = !v.allowed ? "disallowed" : httpBlocked ? "blocked" : blockedUrls ? "partial" : "allowed";
+      return {
+        token: c.token,
+        vendor: c.vendor,
+        purpose: c.purpose,
+        key: AI_CRAWLERS_KEY.includes(c.token),
+        robots: v.allowed ? "allowed" : "disallowed",
+        rule: v.rule,
+        explicitGroup: explicit.has(robotsToken(c.token)),
+        blockedUrls,
+        http,
+        access,
+      };
+    })
+  );
+  return { baseline, crawlers };
+}
+
+// ---------- llms.txt ----------
+// Aufbau laut llmstxt.org: # Titel, > Kurzfassung, optional Fließtext, ## Abschnitte mit "- [Name](URL): Notiz"
+function parseLlmsTxt(text) {
+  const out = { h1: [], summary: "", sections: [], looseLinks: 0, badItems: 0, firstLine: null };
+  let section = null;
+  let inCode = false;
+  for (const raw of (text || "").split(/\r?\n/)) {
+    const line = raw.trimEnd();
+    if (/^\s*```/.test(line)) {
+      inCode = !inCode;
+      continue;
+    }
+    if (inCode || !line.trim()) continue;
+    if (out.firstLine === null) out.firstLine = line;
+    let m;
+    if ((m = line.match(/^#\s+(.+)/))) {
+      out.h1.push(m[1].trim());
+      continue;
+    }
+    if ((m = line.match(/^##\s+(.+)/))) {
+      out.sections.push((section = { title: m[1].trim(), links: [] }));
+      continue;
+    }
+    if ((m = line.match(/^>\s?(.*)/)) && !section && !out.summary) {
+      out.summary = m[1].trim();
+      continue;
+    }
+    if ((m = line.match(/^\s*[-*+]\s+(.*)/))) {
+      const lm = m[1].match(/^\[([^\]]+)\]\(([^)\s]+)\)(?::\s*(.*))?/);
+      if (!lm) {
+        out.badItems++;
+        continue;
+      }
+      const link = { text: lm[1], url: lm[2], notes: lm[3] || "" };
+      if (section) section.links.push(link);
+      else out.looseLinks++;
+    }
+  }
+  return out;
+}
+
+// Status einer URL: erst HEAD, bei 4xx/5xx/Fehler GET (viele Server behandeln HEAD falsch)
+async function fetchStatus(url, { signal, ua = UA } = {}) {
+  for (const method of ["HEAD", "GET"]) {
+    const s = fetchSignal(signal);
+    try {
+      const r = await fetch(url, { method, headers: { "User-Agent": ua }, redirect: "follow", signal: s });
+      if (method === "GET") r.body?.cancel().catch(() => {});
+      if (method === "HEAD" && r.status >= 400) continue;
+      return { status: r.status, finalUrl: r.url, contentType: r.headers.get("content-type") || "" };
+    } catch (e) {
+      if (method === "GET" || s.aborted) return { status: 0, error: e.message };
+    }
+  }
+  return { status: 0 };
+}
+
+async function fetchLlmsFile(u, { signal } = {}) {
+  try {
+    const r = await fetch(u, { headers: { "User-Agent": UA }, redirect: "follow", signal });
+    const contentType = r.headers.get("content-type") || "";
+    const text = r.ok ? await r.text() : "";
+    // Soft-404: Server liefert statt der Datei eine HTML-Seite
+    const isHtml = isHtmlCT(contentType) || /^\s*<(!doctype|html)/i.test(text);
+    return { url: u, found: r.ok && !isHtml && !!text.trim(), httpStatus: r.status, contentType, text, servedAsHtml: r.ok && isHtml };
+  } catch (e) {
+    return { url: u, found: false, httpStatus: 0, contentType: "", text: "", error: e.message };
+  }
+}
+
+const LLMS_MAX_LINK_CHECKS = 50;
+
+async function checkLlmsTxt(origin, { signal, limitHost = noLimit } = {}) {
+  const [main, full] = await Promise.all([
+    limitHost(origin, () => fetchLlmsFile(`${origin}/llms.txt`, { signal })),
+    limitHost(origin, () => fetchLlmsFile(`${origin}/llms-full.txt`, { signal })),
+  ]);
+  // Nur Befunde (Fakten) – die Bewertung übernehmen die llms-Regeln im Regelwerk
+  const res = {
+    llmsTxt: {
+      url: main.url,
+      found: main.found,
+      httpStatus: main.httpStatus,
+      contentType: main.contentType,
+      bytes: main.text.length,
+      servedAsHtml: !!main.servedAsHtml,
+    },
+    llmsFullTxt: { url: full.url, found: full.found, httpStatus: full.httpStatus, bytes: full.text.length, title: "" },
+  };
+  if (full.found) res.llmsFullTxt.title = parseLlmsTxt(full.text).h1[0] || "";
+  if (!main.found) return res;
+
+  const doc = parseLlmsTxt(main.text);
+  const links = doc.sections.flatMap((sec) => sec.links);
+  Object.assign(res.llmsTxt, {
+    title: doc.h1[0] || "",
+    h1Count: doc.h1.length,
+    h1First: /^#\s/.test(doc.firstLine || ""),
+    summary: doc.summary,
+    sections: doc.sections.map((sec) => ({ title: sec.title, links: sec.links.length })),
+    linkCount: links.length,
+    badItems: doc.badItems + doc.looseLinks,
+  });
+
+  // Links prüfen (absolut + erreichbar)
+  const invalid = [];
+  const toCheck = [];
+  for (const l of links) {
+    try {
+      const abs = new URL(l.url);
+      if (!["http:", "https:"].includes(abs.protocol)) invalid.push(l.url);
+      else toCheck.push(abs.toString());
+    } catch {
+      invalid.push(l.url);
+    }
+  }
+  const checked = await Promise.all(
+    Array.from(new Set(toCheck))
+      .slice(0, LLMS_MAX_LINK_CHECKS)
+      .map((u) => limitHost(u, async () => ({ url: u, ...(await fetchStatus(u, { signal })) })))
+  );
+  res.llmsTxt.checkedLinks = checked.length;
+  res.llmsTxt.invalidLinks = invalid;
+  res.llmsTxt.unreachable = checked.filter((c) => !c.status || c.status >= 400).map((c) => ({ url: c.url, status: c.status }));
+  return res;
+}
+
+// llms.txt-Vorschlag aus Hauptseite + analysierten Seiten (nur 2xx, indexierbar)
+const LLMS_LEGAL_RE = /impressum|datenschutz|privacy|agb|cookie|imprint|legal/i;
+
+function proposeLlmsTxt(origin, main, pages, t = translator()) {
+  const host = new URL(origin).host;
+  const titleParts = (main.meta.title || "").split(/\s+[|–—-]\s+/).filter(Boolean);
+  const siteName = (titleParts.length > 1 ? titleParts[titleParts.length - 1] : titleParts[0]) || host;
+  const sections = new Map(); // Abschnitt → Zeilen
+  const seen = new Set();
+  const label = (seg) => seg.replace(/[-_]+/g, " ").replace(/^./, (c) => c.toUpperCase());
+  const mainSection = t("llms.mainSection");
+  const optionalSection = t("llms.optionalSection");
+
+  for (const p of pages) {
+    if (!p?.ok || p.status !== 200 || seen.has(p.url) || seen.size >= 300) continue;
+    if ((p.robots || "").toLowerCase().includes("noindex")) continue;
+    seen.add(p.url);
+    let path = "/";
+    try {
+      path = new URL(p.url).pathname;
+    } catch {
+      continue;
+    }
+    const seg = path.split("/").filter(Boolean)[0] || "";
+    const name = LLMS_LEGAL_RE.test(path) ? optionalSection : seg && path.split("/").filter(Boolean).length > 1 ? label(seg) : mainSection;
+    if (!sections.has(name)) sections.set(name, []);
+    const lines = sections.get(name);
+    if (lines.length >= 25) continue;
+    const title = (p.title || "").trim() || path;
+    const desc = (p.metaDescription || "").replace(/\s+/g, " ").trim();
+    // Weiterleitungen/Duplikate liefern identische Titel+Beschreibung → nur einmal aufnehmen
+    if (seen.has(`${title}\n${desc}`)) continue;
+    seen.add(`${title}\n${desc}`);
+    lines.push(`- [${title.replace(/[[\]]/g, "")}](${p.url})${desc ? `: ${desc}` : ""}`);
+  }
+
+  const order = [...sections.keys()]
+    .filter((k) => k !== optionalSection)
+    .sort((a, b) => (a === mainSection ? -1 : b === mainSection ? 1 : sections.get(b).length - sections.get(a).length));
+  if (sections.has(optionalSection)) order.push(optionalSection);
+
+  const out = [`# ${siteName.trim()}`, "", `> ${(main.meta.metaDescription || t("llms.summaryPlaceholder")).trim()}`, ""];
+  for (const k of order) out.push(`## ${k}`, "", ...sections.get(k), "");
+  return out.join("\n");
+}
+
+// ---------- hreflang-Cluster ----------
+// Seitenübergreifender Abgleich der Alternates aus HTML (<link>), Link-Header und Sitemap
+// (xhtml:link). Seiten, die sich gegenseitig referenzieren, bilden einen Cluster.
+// Geprüft je Seite: Sprach-/Regionscodes (ISO 639-1 / ISO 3166-1 Alpha-2), Selbstreferenz,
+// Rückverweise, Zielstatus (200, keine Weiterleitung, indexierbar, selbstkanonisch) und
+// Widersprüche zwischen den Quellen. Unbekannte Ziele werden (gedeckelt) nachgeladen.
+const HREFLANG_MAX_TARGETS = 200;
+const HREFLANG_SOURCES = ["html", "header", "sitemap"];
+const ISO_639_1 = new Set(
+  (
+    "aa ab ae af ak am an ar as av ay az ba be bg bh bi bm bn bo br bs ca ce ch co cr cs cu cv cy da de dv dz ee el en eo " +
+    "es et eu fa ff fi fj fo fr fy ga gd gl gn gu gv ha he hi ho hr ht hu hy hz ia id ie ig ii ik io is it iu ja jv ka kg " +
+    "ki kj kk kl km kn ko kr ks ku kv kw ky la lb lg li ln lo lt lu lv mg mh mi mk ml mn mr ms mt my na nb nd ne ng nl nn " +
+    "no nr nv ny oc oj om or os pa pi pl ps pt qu rm rn ro ru rw sa sc sd se sg si sk sl sm sn so sq sr ss st su sv sw ta " +
+    "te tg th ti tk tl tn to tr ts tt tw ty ug uk ur uz ve vi vo wa wo xh yi yo za zh zu"
+  ).split(" ")
+);
+const ISO_3166_1 = new Set(
+  (
+    "AD AE AF AG AI AL AM AO AQ AR AS AT AU AW AX AZ BA BB BD BE BF BG BH BI BJ BL BM BN BO BQ BR BS BT BV BW BY BZ CA CC " +
+    "CD CF CG CH CI CK CL CM CN CO CR CU CV CW CX CY CZ DE DJ DK DM DO DZ EC EE EG EH ER ES ET FI FJ FK FM FO FR GA GB GD " +
+    "GE GF GG GH GI GL GM GN GP GQ GR GS GT GU GW GY HK HM HN HR HT HU ID IE IL IM IN IO IQ IR IS IT JE JM JO JP KE KG KH " +
+    "KI KM KN KP KR KW KY KZ LA LB LC LI LK LR LS LT LU LV LY MA MC MD ME MF MG MH MK ML MM MN MO MP MQ MR MS MT MU MV MW " +
+    "MX MY MZ NA NC NE NF NG NI NL NO NP NR NU NZ OM PA PE PF PG PH PK PL PM PN PR PS PT PW PY QA RE RO RS RU RW SA SB SC " +
+    "SD SE SG SH SI SJ SK SL SM SN SO SR SS ST SV SX SY SZ TC TD TF TG TH TJ TK TL TM TN TO TR TT TV TW TZ UA UG UM US UY " +
+    "UZ VA VC VE VG VI VN VU WF WS YE YT ZA ZM ZW"
+  ).split(" ")
+);
+
+// "de", "de-AT", "zh-Hant-TW", "x-default"
+function hreflangCodeValid(code) {
+  if (code.toLowerCase() === "x-default") return true;
+  const m = /^([a-z]{2})(?:-([a-z]{4}))?(?:-([a-z]{2}))?$/i.exec(code);
+  return !!m && ISO_639_1.has(m[1].toLowerCase()) && (!m[3] || ISO_3166_1.has(m[3].toUpperCase()));
+}
+
+const hrefKey = (u) => {
+  try {
+    const x = new URL(u);
+    x.hash = "";
+    return x.href;
+  } catch {
+    return u;
+  }
+};
+
+// pages: Light-Pages (lightweightSampleAnalyze), sitemap: { loc: [{ lang, href }] },
+// analyze(url) lädt fehlende Ziele (Promise<Light-Page|null>)
+async function auditHreflang({ pages, sitemap = {}, analyze }) {
+  const byUrl = new Map();
+  const remember = (p) => {
+    if (!p) return;
+    byUrl.set(hrefKey(p.url), p);
+    if (p.finalUrl && !byUrl.has(hrefKey(p.finalUrl))) byUrl.set(hrefKey(p.finalUrl), p);
+  };
+  pages.forEach(remember);
+
+  // Alternates je Seite und Quelle
+  const entries = new Map();
+  const entry = (url) => {
+    const k = hrefKey(url);
+    if (!entries.has(k)) entries.set(k, { url: k, html: [], header: [], sitemap: [] });
+    return entries.get(k);
+  };
+  for (const p of pages) {
+    if (!p?.ok) continue;
+    if (p.hreflang?.length) entry(p.url).html = p.hreflang;
+    if (p.hreflangHeader?.length) entry(p.url).header = p.hreflangHeader;
+  }
+  for (const [loc, list] of Object.entries(sitemap)) entry(loc).sitemap = list;
+  if (!entries.size) return null;
+
+  // Ziele ohne Analyse nachladen (gedeckelt)
+  const targets = new Set();
+  for (const e of entries.values())
+    for (const src of HREFLANG_SOURCES) e[src].forEach((a) => targets.add(hrefKey(a.href)));
+  const missing = [...targets].filter((k) => !byUrl.has(k));
+  const load = missing.slice(0, HREFLANG_MAX_TARGETS);
+  (await Promise.all(load.map((u) => analyze(u).catch(() => null)))).forEach(remember);
+
+  // Alternates der Ziele (Rückverweise): Quellen vereinigt, Ziele ohne Eintrag über ihre Analyse
+  const alternatesOf = (k) => {
+    const e = entries.get(k);
+    const p = byUrl.get(k);
+    const list = e ? HREFLANG_SOURCES.flatMap((src) => e[src]) : [...(p?.hreflang || []), ...(p?.hreflangHeader || [])];
+    return new Set(list.map((a) => hrefKey(a.href)));
+  };
+
+  // Cluster: Union-Find über Seite ↔ Alternate
+  const parent = new Map();
+  const find = (k) => {
+    if (!parent.has(k)) parent.set(k, k);
+    while (parent.get(k) !== k) k = parent.get(k);
+    return k;
+  };
+  const union = (a, b) => parent.set(find(a), find(b));
+
+  const out = [];
+  for (const e of entries.values()) {
+    const self = byUrl.get(e.url);
+    const selfKeys = new Set([e.url, self?.finalUrl && hrefKey(self.finalUrl)].filter(Boolean));
+    const used = HREFLANG_SOURCES.filter((src) => e[src].length);
+
+    // alle Alternates (Quelle je Sprache+Ziel zusammengefasst)
+    const all = new Map();
+    for (const src of used)
+      for (const a of e[src]) {
+        const k = `${a.lang.toLowerCase()} ${hrefKey(a.href)}`;
+        if (!all.has(k)) all.set(k, { lang: a.lang, href: hrefKey(a.href), sources: [] });
+        if (!all.get(k).sources.includes(src)) all.get(k).sources.push(src);
+      }
+    const alternates = [...all.values()];
+    alternates.forEach((a) => union(e.url, a.href));
+
+    const invalidCodes = [...new Set(alternates.map((a) => a.lang).filter((l) => !hreflangCodeValid(l)))];
+    const selfMissing = !alternates.some((a) => selfKeys.has(a.href));
+
+    // Widersprüche: eine Sprache → mehrere Ziele bzw. Quellen mit abweichenden Angaben
+    const conflicts = [];
+    const langs = [...new Set(alternates.map((a) => a.lang.toLowerCase()))];
+    for (const lang of langs) {
+      const forLang = alternates.filter((a) => a.lang.toLowerCase() === lang);
+      const hrefs = [...new Set(forLang.map((a) => a.href))];
+      const missingIn = used.filter((src) => !forLang.some((a) => a.sources.includes(src)));
+      if (hrefs.length > 1 || (used.length > 1 && missingIn.length))
+        conflicts.push({ lang, hrefs, sources: used.filter((src) => !missingIn.includes(src)), missingIn });
+    }
+
+    const noReturn = [];
+    const broken = [];
+    const notIndexable = [];
+    for (const a of alternates) {
+      if (selfKeys.has(a.href)) continue;
+      const p = byUrl.get(a.href);
+      if (!p) continue; // nicht geprüft (Deckel/robots)
+      if (!p.ok && p.reason !== "HTTP") continue;
+      const redirected = p.finalUrl && hrefKey(p.finalUrl) !== a.href;
+      if (!p.ok || p.status !== 200 || redirected) {
+        broken.push({ lang: a.lang, href: a.href, status: p.status, finalUrl: redirected ? p.finalUrl : "" });
+        continue;
+      }
+      if ((p.robots || "").toLowerCase().includes("noindex")) notIndexable.push({ lang: a.lang, href: a.href, reason: "noindex" });
+      else if (p.canonicalUrl && hrefKey(p.canonicalUrl) !== a.href)
+        notIndexable.push({ lang: a.lang, href: a.href, reason: "canonical", canonical: p.canonicalUrl });
+      const back = alternatesOf(a.href);
+      if (![...selfKeys].some((k) => back.has(k))) noReturn.push({ lang: a.lang, href: a.href });
+    }
 
-// ---------- Common-path probe ----------
-async function probeCommonPaths(origin) {
-  const candidates = [
-    "/geo",
-    "/leistungen",
-    "/service",
-    "/kontakt",
-    "/impressum",
-    "/datenschutz",
-    "/faq",
-    "/standorte",
-    "/ueber-uns",
-    "/portfolio",
-    "/cases",
-    "/blog",
-    "/news",
-  ].flatMap((p) => [p, p + "/"]);
-  const found = [];
-  for (const p of candidates) {
-    const r = await lightweightSampleAnalyze(origin + p);
-    if (r.ok) found.push(origin + p);
+    out.push({ url: e.url, sources: used, alternates, invalidCodes, selfMissing, conflicts, noReturn, broken, notIndexable });
   }
-  return Array.from(new Set(found));
+
+  // Cluster-Nummern in Reihenfolge des ersten Auftretens
+  const ids = new Map();
+  out.forEach((e) => {
+    const root = find(e.url);
+    if (!ids.has(root)) ids.set(root, ids.size + 1);
+    e.cluster = ids.get(root);
+  });
+  const clusters = [...ids.values()].map((id) => {
+    const members = out.filter((e) => e.cluster === id);
+    return {
+      id,
+      pages: members.length,
+      languages: [...new Set(members.flatMap((e) => e.alternates.map((a) => a.lang)))].sort(),
+      problems: members.reduce((n, e) => n + hreflangProblemCount(e), 0),
+    };
+  });
+  return { pages: out, clusters, targetsChecked: load.length, targetsSkipped: missing.length - load.length };
 }
 
-// ---------- Crawl (BFS; optional rendered) ----------
-async function crawlInternal(
-  startUrl,
-  { maxPages = 500, includeParams = false, render = true, keepHashSections = true, seeds = [], includePatterns = [], excludePatterns = [] } = {}
-) {
-  const start = new URL(startUrl);
-  const registrable = start.host.split(".").slice(-2).join(".");
-  const incRE = compilePatterns(includePatterns);
-  const excRE = compilePatterns(excludePatterns.length ? excludePatterns : [DEFAULT_EXCLUDE]);
+const hreflangProblemCount = (e) =>
+  e.invalidCodes.length + e.conflicts.length + e.noReturn.length + e.broken.length + e.notIndexable.length + (e.selfMissing ? 1 : 0);
 
-  const seedList = [
-    start.href,
-    ...seeds.filter((s) => {
-      try {
-        const u = new URL(s);
-        return u.host.split(".").slice(-2).join(".") === registrable;
-      } catch {
-        return false;
-      }
-    }),
-  ];
+// ---------- Canonical-Graph ----------
+// Jede Seite mit Canonical (HTML und/oder Link-Header) zeigt auf ein Ziel; Ziele werden
+// (gedeckelt) nachgeladen und über mehrere Sprünge verfolgt. Seiten mit demselben Endziel
+// bilden einen Canonical-Cluster. Probleme je Seite stehen in problems (Schlüssel s. u.).
+const CANONICAL_MAX_TARGETS = 200;
+const CANONICAL_MAX_HOPS = 5;
+const CANONICAL_PROBLEMS = ["headerConflict", "broken", "redirect", "noindex", "loop", "chain", "crossDomain", "relative", "sitemap"];
 
-  const seen = new Set(seedList);
-  const out = [...seedList];
-  const q = [...seedList];
+// Einheitliche Sicht auf Light-Pages (lightweightSampleAnalyze) und gerenderte Seiten
+const lightCanonicalSignals = (p) =>
+  p && {
+    url: p.url,
+    finalUrl: p.finalUrl || p.url,
+    status: p.status,
+    ok: p.ok,
+    noindex: `${p.robots || ""} ${p.xRobotsTag || ""}`.toLowerCase().includes("noindex"),
+    href: p.canonicalHref || "",
+    canonical: p.canonicalUrl || "",
+    header: p.canonicalHeader || "",
+  };
+const deepCanonicalSignals = (u, d) => ({
+  url: u,
+  finalUrl: d.finalUrl || u,
+  status: d.http.status,
+  ok: d.http.status >= 200 && d.http.status < 300,
+  noindex: !d.flags.indexable,
+  href: d.meta.canonical || "",
+  canonical: d.meta.canonical ? absUrl(d.meta.canonical, d.finalUrl || u) : "",
+  header: d.meta.canonicalHeader || "",
+});
 
-  const chromium = render ? await getChromium() : null;
-  const browser = render ? await chromium.launch({ headless: true }) : null;
-  const ctx = render ? await browser.newContext({ userAgent: UA }) : null;
+const hostOf = (u) => {
+  try {
+    return new URL(u).hostname.toLowerCase();
+  } catch {
+    return "";
+  }
+};
 
-  while (q.length && out.length < maxPages) {
-    const u = q.shift();
-    try {
-      const hrefs = [];
-      if (render) {
-        const page = await ctx.newPage();
-        await page.goto(u, { waitUntil: "domcontentloaded", timeout: 25000 });
-        await page.waitForLoadState("networkidle", { timeout: 10000 }).catch(() => {});
-        hrefs.push(
-          ...(await page.$$eval("a[href]", (els) =>
-            els.map((a) => a.getAttribute("href")).filter(Boolean)
-          ))
-        );
-        await page.close();
-      } else {
-        const r = await fetch(u, { headers: { "User-Agent": UA }, redirect: "follow" });
-        const ct = r.headers.get("content-type") || "";
-        if (!isHtmlCT(ct)) continue;
-        const html = await r.text();
-        const $ = loadHTML(html);
-        $("a[href]").each((_, a) => hrefs.push($(a).attr("href")));
-      }
-      for (let href of hrefs) {
-        try {
-          const abs = new URL(href, u);
-          if (!["http:", "https:"].includes(abs.protocol)) continue;
-          const reg2 = abs.host.split(".").slice(-2).join(".");
-          if (reg2 !== registrable) continue;
-          if (!includeParams) abs.search = "";
-          if (!keepHashSections) abs.hash = "";
-          const s = abs.toString();
-          if (ASSET_RE.test(abs.pathname)) continue;
-          if (!matchAny(incRE, s)) continue;
-          if (!matchNone(excRE, s)) continue;
-          if (!seen.has(s) && seen.size < maxPages * 6) {
-            seen.add(s);
-            q.push(s);
-            out.push(s);
+// pages: Signale (gerenderte Seiten zuerst), sitemapUrls: URLs der Sitemap,
+// analyze(url) lädt fehlende Ziele (Promise<Light-Page|null>)
+async function auditCanonicals({ pages, sitemapUrls = [], analyze }) {
+  const byUrl = new Map();
+  const remember = (s) => {
+    if (!s) return;
+    for (const k of [hrefKey(s.url), hrefKey(s.finalUrl)]) if (!byUrl.has(k)) byUrl.set(k, s);
+  };
+  pages.forEach(remember);
+
+  const targetOf = (s) => (s?.ok ? hrefKey(s.canonical || s.header) : "");
+  const isSelf = (s, k) => k === hrefKey(s.url) || k === hrefKey(s.finalUrl);
+  const subjects = new Map();
+  for (const s of pages) if (s?.ok && (s.canonical || s.header) && !subjects.has(hrefKey(s.url))) subjects.set(hrefKey(s.url), s);
+  if (!subjects.size) return null;
+
+  // Ziele rundenweise nachladen (Ketten), insgesamt gedeckelt
+  let budget = CANONICAL_MAX_TARGETS;
+  let skipped = 0;
+  let frontier = [...subjects.values()];
+  for (let hop = 0; hop < CANONICAL_MAX_HOPS && frontier.length; hop++) {
+    const missing = [...new Set(frontier.map(targetOf).filter((k) => k && !byUrl.has(k)))];
+    const load = missing.slice(0, budget);
+    budget -= load.length;
+    skipped += missing.length - load.length;
+    const loaded = await Promise.all(load.map((u) => analyze(u).catch(() => null)));
+    loaded.forEach((p) => remember(lightCanonicalSignals(p)));
+    frontier = load.map((k) => byUrl.get(k)).filter((s) => s && targetOf(s) && !isSelf(s, targetOf(s)));
+  }
+
+  const sitemapSet = new Set(sitemapUrls.map(hrefKey));
+  const out = [];
+  for (const [url, s] of subjects) {
+    const target = targetOf(s);
+    const e = { url, href: s.href, canonical: s.canonical, header: s.header, target, self: isSelf(s, target), final: target, problems: [] };
+    const problem = (key) => e.problems.push(key);
+    if (s.href && !/^https?:\/\//i.test(s.href)) problem("relative");
+    if (s.canonical && s.header && hrefKey(s.canonical) !== hrefKey(s.header)) problem("headerConflict");
+    if (e.self) e.final = hrefKey(s.finalUrl);
+    else {
+      if (hostOf(target) !== hostOf(s.finalUrl)) problem("crossDomain");
+      if (sitemapSet.has(url)) problem("sitemap");
+      const t = byUrl.get(target);
+      if (t) {
+        e.targetStatus = t.status;
+        if (!t.ok) problem("broken");
+        else {
+          if (hrefKey(t.finalUrl) !== target) {
+            e.redirectedTo = t.finalUrl;
+            problem("redirect");
           }
-        } catch {}
+          if (t.noindex) problem("noindex");
+        }
+        // Kette verfolgen, bis ein Ziel auf sich selbst zeigt (oder unbekannt ist)
+        const chain = [url, target];
+        for (let cur = t; cur && chain.length <= CANONICAL_MAX_HOPS + 1; ) {
+          const next = targetOf(cur);
+          if (!next || isSelf(cur, next)) break;
+          if (chain.includes(next)) {
+            e.loop = true;
+            chain.push(next);
+            break;
+          }
+          chain.push(next);
+          cur = byUrl.get(next);
+        }
+        if (chain.length > 2) {
+          e.chain = chain;
+          problem(e.loop ? "loop" : "chain");
+        }
+        e.final = e.loop ? "" : chain[chain.length - 1];
       }
-    } catch {}
+    }
+    out.push(e);
   }
-  if (browser) await browser.close();
-  return Array.from(new Set(out));
+
+  // Cluster je Endziel; reine Selbstreferenzen ohne Probleme bleiben außen vor
+  const byFinal = new Map();
+  for (const e of out) {
+    const k = e.final || e.target;
+    if (!byFinal.has(k)) byFinal.set(k, []);
+    byFinal.get(k).push(e);
+  }
+  const clusters = [];
+  for (const [target, members] of byFinal) {
+    if (members.every((e) => e.self && !e.problems.length)) continue;
+    const problems = {};
+    members.forEach((e) => e.problems.forEach((p) => (problems[p] = (problems[p] || 0) + 1)));
+    const t = byUrl.get(target);
+    clusters.push({
+      target,
+      targetStatus: t?.status ?? null,
+      pages: members.length,
+      urls: members.filter((e) => !e.self).map((e) => e.url),
+      problems,
+    });
+  }
+  clusters.sort((a, b) => canonicalProblemCount(b) - canonicalProblemCount(a) || b.pages - a.pages);
+  return {
+    pages: out,
+    clusters,
+    selfCount: out.filter((e) => e.self).length,
+    targetsChecked: CANONICAL_MAX_TARGETS - budget,
+    targetsSkipped: skipped,
+  };
+}
+
+const canonicalProblemCount = (c) => Object.values(c.problems).reduce((n, x) => n + x, 0);
+
+// ---------- Duplikate ----------
+// Gleiche Titles, Descriptions und H1 (normalisiert) sowie fast gleiche Hauptinhalte über
+// SimHash (64 Bit) auf 3-Wort-Shingles. Seiten mit noindex oder fremdem Canonical zählen nicht.
+const DUPLICATE_FIELDS = { title: (p) => p.title, description: (p) => p.metaDescription, h1: (p) => p.h1 };
+const SIMHASH_MAX_DISTANCE = 3;
+const SIMHASH_MIN_WORDS = 50;
+const SHINGLE_SIZE = 3;
+const BOILERPLATE = "script,style,noscript,template,svg,nav,header,footer,aside,form,[role=navigation],[role=banner],[role=contentinfo]";
+
+// FNV-1a (32 Bit) mit Startwert; zwei Läufe ergeben die 64 Bit des SimHash
+function fnv1a(str, seed) {
+  let h = seed >>> 0;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193) >>> 0;
+  }
+  return h;
+}
+
+function simhash(words) {
+  const v = new Array(64).fill(0);
+  for (let i = 0; i + SHINGLE_SIZE <= words.length; i++) {
+    const shingle = words.slice(i, i + SHINGLE_SIZE).join(" ");
+    const parts = [fnv1a(shingle, 0x811c9dc5), fnv1a(shingle, 0x01000193)];
+    for (let b = 0; b < 64; b++) v[b] += (parts[b >> 5] >>> (b & 31)) & 1 ? 1 : -1;
+  }
+  const out = [0, 0];
+  for (let b = 0; b < 64; b++) if (v[b] > 0) out[b >> 5] |= 1 << (b & 31);
+  return out.map((x) => (x >>> 0).toString(16).padStart(8, "0")).join("");
+}
+
+function hammingDistance(a, b) {
+  let d = 0;
+  for (let i = 0; i < 16; i += 8) {
+    let x = (parseInt(a.slice(i, i + 8), 16) ^ parseInt(b.slice(i, i + 8), 16)) >>> 0;
+    for (; x; x &= x - 1) d++;
+  }
+  return d;
+}
+
+// Hauptinhalt: <main>/<article>/[role=main], sonst <body> ohne Navigation, Header, Footer usw.
+function contentFingerprint($) {
+  const root = ["main", "[role=main]", "article"].map((sel) => $(sel).first()).find((el) => el.length) || $("body");
+  const clone = root.clone();
+  clone.find(BOILERPLATE).remove();
+  const words = clone.text().toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+  return { words: words.length, hash: words.length >= SIMHASH_MIN_WORDS ? simhash(words) : "" };
+}
+
+const normText = (s) => (s || "").replace(/\s+/g, " ").trim().toLowerCase();
+
+// pages: Light-Pages; Ergebnis: Gruppen je Art mit allen Mitgliedern
+function findDuplicates(pages) {
+  const seen = new Set();
+  const candidates = pages.filter((p) => {
+    if (!p?.ok || seen.has(hrefKey(p.finalUrl || p.url))) return false;
+    seen.add(hrefKey(p.finalUrl || p.url));
+    const foreignCanonical = p.canonicalUrl && ![p.url, p.finalUrl].some((u) => hrefKey(u) === hrefKey(p.canonicalUrl));
+    return !foreignCanonical && !`${p.robots || ""} ${p.xRobotsTag || ""}`.toLowerCase().includes("noindex");
+  });
+
+  const groups = [];
+  for (const [kind, get] of Object.entries(DUPLICATE_FIELDS)) {
+    const byValue = new Map();
+    for (const p of candidates) {
+      const v = normText(get(p));
+      if (!v) continue;
+      if (!byValue.has(v)) byValue.set(v, { kind, value: get(p).trim(), urls: [] });
+      byValue.get(v).urls.push(p.url);
+    }
+    groups.push(...[...byValue.values()].filter((g) => g.urls.length > 1));
+  }
+
+  // Near-Duplicates: paarweiser Abstand, Gruppen über Union-Find
+  const hashed = candidates.filter((p) => p.contentHash);
+  const parent = hashed.map((_, i) => i);
+  const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+  const closest = new Map();
+  for (let i = 0; i < hashed.length; i++)
+    for (let j = i + 1; j < hashed.length; j++) {
+      const d = hammingDistance(hashed[i].contentHash, hashed[j].contentHash);
+      if (d > SIMHASH_MAX_DISTANCE) continue;
+      parent[find(i)] = find(j);
+      for (const k of [i, j]) closest.set(k, Math.min(closest.get(k) ?? 64, d));
+    }
+  const byRoot = new Map();
+  hashed.forEach((p, i) => {
+    if (!closest.has(i)) return;
+    const r = find(i);
+    if (!byRoot.has(r)) byRoot.set(r, { kind: "content", value: "", urls: [], similarity: 100 });
+    const g = byRoot.get(r);
+    g.urls.push(p.url);
+    g.similarity = Math.min(g.similarity, Math.round((100 * (64 - closest.get(i))) / 64));
+  });
+  groups.push(...byRoot.values());
+
+  groups.sort((a, b) => b.urls.length - a.urls.length);
+  groups.forEach((g, i) => (g.id = i + 1));
+  return { groups, pagesChecked: candidates.length, contentChecked: hashed.length };
 }
 
+// Eine Zeile je Mitglied und Gruppe (für evaluateRules)
+const duplicateEntries = (dup) =>
+  (dup?.groups || []).flatMap((g) => g.urls.map((url) => ({ url, group: g, others: g.urls.filter((u) => u !== url) })));
+
 // ---------- Findings (8 Spalten) ----------
 const mkFinding = (url, category, location, status, issue, fix, example, impact = "mittel") => ({
   url,
@@ -775,245 +3241,850 @@ const mkFinding = (url, category, location, status, issue, fix, example, impact
   impact,
 });
 
-// Regeln für Light-Pages
-function findingsForQuickPage(p) {
-  const F = [];
-  if (!p || !p.ok) {
-    if (typeof p?.status === "number" && (p.status < 200 || p.status >= 400))
-      F.push(
-        mkFinding(
-          p.url,
-          "Indexierung",
-          "HTTP",
-          "Fehler",
-          `HTTP-Status ${p.status}`,
-          "2xx/3xx sicherstellen",
-          "Server/Route prüfen",
-          "hoch"
-        )
-      );
-    return F;
+// ---------- Regelwerk ----------
+// Jede Regel hat eine stabile ID, Kategorie/Ort, Schweregrad + Impact und Default-Parameter
+// (Schwellwerte); die Texte stehen in den Katalogen unter rules.<id> (i18n/*.js). Platzhalter
+// {name} kommen aus den Parametern bzw. aus dem Rückgabeobjekt von check(subject, params, t).
+// check je Scope: falsy = ok, true/Objekt = Befund.
+//   light: Light-Page (lightweightSampleAnalyze), fetch: Light-Page mit HTTP-Fehler,
+//   deep: gerenderte Seite (analyzeSinglePage), ai-crawler: Eintrag aus auditAiCrawlers,
+//   llms: Ergebnis von checkLlmsTxt, hreflang: Seite aus auditHreflang,
+//   canonical: Seite aus auditCanonicals, duplicate: Mitglied einer Gruppe aus findDuplicates,
+//   links: Quellseite mit kaputten Verweisen aus checkLinks, redirect: Hop-Liste aus auditRedirects,
+//   normalization: http/www/Slash-Problem aus auditRedirects, redirect-links: Quellseite mit Links auf Weiterleitungen
+const TITLE_LEN = { min: 30, max: 65 };
+const META_DESC_LEN = { min: 80, max: 180 };
+
+const RULES = [
+  // Indexierung / Technik
+  {
+    id: "http-status",
+    category: "Indexierung",
+    location: "HTTP",
+    severity: "Fehler",
+    impact: "hoch",
+    check: { fetch: (p) => typeof p.status === "number" && (p.status < 200 || p.status >= 400) && { status: p.status } },
+  },
+  {
+    id: "not-indexable",
+    category: "Indexierung",
+    location: "HTTP",
+    severity: "Fehler",
+    impact: "hoch",
+    check: { deep: (d) => !d.flags.indexable },
+  },
+  {
+    id: "meta-noindex",
+    category: "Technik/Indexierung",
+    location: "<meta robots>",
+    severity: "Fehler",
+    impact: "hoch",
+    check: { light: (p) => (p.robots || "").toLowerCase().includes("noindex") },
+  },
+  {
+    id: "redirect-chain",
+    category: "Technik/Indexierung",
+    location: "HTTP",
+    severity: "Hinweis",
+    impact: "niedrig",
+    params: { maxHops: 1 },
+    check: { redirect: (e, { maxHops }) => !e.loop && !e.tooMany && e.hops.length > maxHops && { hops: e.hops.length, chain: hopsText(e) } },
+  },
+  {
+    id: "redirect-loop",
+    category: "Technik/Indexierung",
+    location: "HTTP",
+    severity: "Fehler",
+    impact: "hoch",
+    check: { redirect: (e) => (e.loop || e.tooMany) && { chain: hopsText(e) } },
+  },
+  {
+    id: "redirect-temporary",
+    category: "Technik/Indexierung",
+    location: "HTTP",
+    severity: "Warnung",
+    impact: "mittel",
+    check: {
+      redirect: (e) =>
+        e.temporaryNormalization.length > 0 && {
+          status: e.temporaryNormalization[0].status,
+          from: e.temporaryNormalization[0].url,
+          target: e.temporaryNormalization[0].location,
+        },
+    },
+  },
+  {
+    id: "redirect-http-https",
+    category: "Technik/Indexierung",
+    location: "HTTP",
+    severity: "Fehler",
+    impact: "hoch",
+    check: { normalization: (e) => e.kind === "http" && { finalUrl: e.finalUrl } },
+  },
+  {
+    id: "redirect-host-normalization",
+    category: "Technik/Indexierung",
+    location: "HTTP",
+    severity: "Warnung",
+    impact: "mittel",
+    check: { normalization: (e) => e.kind === "host" && { finalUrl: e.finalUrl } },
+  },
+  {
+    id: "trailing-slash-duplicate",
+    category: "Technik/Indexierung",
+    location: "URL",
+    severity: "Warnung",
+    impact: "mittel",
+    check: { normalization: (e) => e.kind === "slash" && { variant: e.finalUrl } },
+  },
+  {
+    id: "internal-link-redirect",
+    category: "Links",
+    location: "<a href>",
+    severity: "Hinweis",
+    impact: "niedrig",
+    check: {
+      "redirect-links": (e) => ({ count: e.links.length, list: listPreview(e.links, (l) => `${l.url} → ${l.finalUrl}`) }),
+    },
+  },
+  {
+    id: "canonical-missing",
+    category: "Technik/Indexierung",
+    location: "<head>",
+    severity: "Warnung",
+    impact: "mittel",
+    check: { light: (p) => !p.canonical, deep: (d) => !d.meta.canonical },
+  },
+  {
+    id: "canonical-header-conflict",
+    category: "Technik/Indexierung",
+    location: "Link-Header",
+    severity: "Fehler",
+    impact: "hoch",
+    check: { canonical: (e) => e.problems.includes("headerConflict") && { html: e.canonical, header: e.header } },
+  },
+  {
+    id: "canonical-target-broken",
+    category: "Technik/Indexierung",
+    location: "<link rel='canonical'>",
+    severity: "Fehler",
+    impact: "hoch",
+    check: { canonical: (e) => e.problems.includes("broken") && { target: e.target, status: e.targetStatus ?? "—" } },
+  },
+  {
+    id: "canonical-target-redirect",
+    category: "Technik/Indexierung",
+    location: "<link rel='canonical'>",
+    severity: "Warnung",
+    impact: "mittel",
+    check: { canonical: (e) => e.problems.includes("redirect") && { target: e.target, finalUrl: e.redirectedTo } },
+  },
+  {
+    id: "canonical-target-noindex",
+    category: "Technik/Indexierung",
+    location: "<link rel='canonical'>",
+    severity: "Fehler",
+    impact: "hoch",
+    check: { canonical: (e) => e.problems.includes("noindex") && { target: e.target } },
+  },
+  {
+    id: "canonical-loop",
+    category: "Technik/Indexierung",
+    location: "<link rel='canonical'>",
+    severity: "Fehler",
+    impact: "hoch",
+    check: { canonical: (e) => e.problems.includes("loop") && { chain: e.chain.join(" → ") } },
+  },
+  {
+    id: "canonical-chain",
+    category: "Technik/Indexierung",
+    location: "<link rel='canonical'>",
+    severity: "Warnung",
+    impact: "mittel",
+    check: { canonical: (e) => e.problems.includes("chain") && { chain: e.chain.join(" → "), hops: e.chain.length - 1 } },
+  },
+  {
+    id: "canonical-cross-domain",
+    category: "Technik/Indexierung",
+    location: "<link rel='canonical'>",
+    severity: "Warnung",
+    impact: "mittel",
+    check: { canonical: (e) => e.problems.includes("crossDomain") && { target: e.target } },
+  },
+  {
+    id: "canonical-relative",
+    category: "Technik/Indexierung",
+    location: "<link rel='canonical'>",
+    severity: "Hinweis",
+    impact: "niedrig",
+    check: { canonical: (e) => e.problems.includes("relative") && { href: e.href } },
+  },
+  {
+    id: "canonical-sitemap-mismatch",
+    category: "Technik/Indexierung",
+    location: "Sitemap",
+    severity: "Warnung",
+    impact: "mittel",
+    check: { canonical: (e) => e.problems.includes("sitemap") && { target: e.target } },
+  },
+
+  // Links (Linkcheck, je Quellseite)
+  {
+    id: "broken-internal-link",
+    category: "Links",
+    location: "<a href>",
+    severity: "Fehler",
+    impact: "hoch",
+    check: { links: (e) => brokenVars(e.broken.filter((b) => b.kind === "internal" && !b.soft404)) },
+  },
+  {
+    id: "soft-404-link",
+    category: "Links",
+    location: "<a href>",
+    severity: "Warnung",
+    impact: "mittel",
+    check: { links: (e) => brokenVars(e.broken.filter((b) => b.soft404)) },
+  },
+  {
+    id: "broken-external-link",
+    category: "Links",
+    location: "<a href>",
+    severity: "Warnung",
+    impact: "mittel",
+    check: { links: (e) => brokenVars(e.broken.filter((b) => b.kind === "external")) },
+  },
+  {
+    id: "broken-resource",
+    category: "Links",
+    location: "<img>/<script>/<link>",
+    severity: "Fehler",
+    impact: "mittel",
+    check: { links: (e) => brokenVars(e.broken.filter((b) => !["internal", "external"].includes(b.kind))) },
+  },
+
+  // Onpage
+  {
+    id: "title-length",
+    category: "Onpage",
+    location: "<title>",
+    severity: "Hinweis",
+    impact: "niedrig",
+    params: { ...TITLE_LEN },
+    check: { light: (p, { min, max }) => p.titleLen < min || p.titleLen > max },
+  },
+  {
+    id: "meta-description-missing",
+    category: "Onpage",
+    location: "<meta description>",
+    severity: "Warnung",
+    impact: "mittel",
+    check: { light: (p) => !p.metaDescLen },
+  },
+  {
+    id: "meta-description-length",
+    category: "Onpage",
+    location: "<meta description>",
+    severity: "Hinweis",
+    impact: "niedrig",
+    params: { ...META_DESC_LEN },
+    check: { light: (p, { min, max }) => p.metaDescLen > 0 && (p.metaDescLen < min || p.metaDescLen > max) },
+  },
+  {
+    id: "duplicate-title",
+    category: "Onpage",
+    location: "<title>",
+    severity: "Warnung",
+    impact: "mittel",
+    check: { duplicate: (e) => e.group.kind === "title" && duplicateVars(e) },
+  },
+  {
+    id: "duplicate-description",
+    category: "Onpage",
+    location: "<meta description>",
+    severity: "Hinweis",
+    impact: "niedrig",
+    check: { duplicate: (e) => e.group.kind === "description" && duplicateVars(e) },
+  },
+  {
+    id: "duplicate-h1",
+    category: "Struktur & Semantik",
+    location: "<h1>",
+    severity: "Hinweis",
+    impact: "niedrig",
+    check: { duplicate: (e) => e.group.kind === "h1" && duplicateVars(e) },
+  },
+
+  // Struktur & Semantik
+  {
+    id: "h1-count",
+    category: "Struktur & Semantik",
+    location: "Body",
+    severity: "Warnung",
+    impact: "mittel",
+    check: { light: (p) => p.h1Count !== 1 && { count: p.h1Count } },
+  },
+  {
+    id: "h2-missing",
+    category: "Struktur & Semantik",
+    location: "Body",
+    severity: "Hinweis",
+    impact: "niedrig",
+    check: { light: (p) => p.h2Count < 1 },
+  },
+  {
+    id: "heading-order",
+    category: "Struktur & Semantik",
+    location: "Headings",
+    severity: "Hinweis",
+    impact: "niedrig",
+    check: { light: (p) => p.orderIssues > 0 },
+  },
+
+  // Content
+  {
+    id: "thin-content",
+    category: "Content",
+    location: "Body",
+    severity: "Warnung",
+    impact: "mittel",
+    params: { minWords: 200 },
+    check: { light: (p, { minWords }) => typeof p.wordCount === "number" && p.wordCount < minWords },
+  },
+  {
+    id: "near-duplicate-content",
+    category: "Content",
+    location: "Body",
+    severity: "Warnung",
+    impact: "mittel",
+    check: { duplicate: (e) => e.group.kind === "content" && { ...duplicateVars(e), similarity: e.group.similarity } },
+  },
+  {
+    id: "article-author-date",
+    category: "Content",
+    location: "JSON-LD",
+    severity: "Hinweis",
+    impact: "niedrig",
+    check: { deep: (d) => d.flags.hasArticle && (!d.flags.articleFields.author || !d.flags.articleFields.datePublished) },
+  },
+
+  // Strukturierte Daten
+  {
+    id: "jsonld-missing",
+    category: "Strukturierte Daten",
+    location: "<head>",
+    severity: "Warnung",
+    impact: "mittel",
+    check: {
+      light: (p) => !p.jsonLdCount && !p.microdataCount && !p.rdfaCount,
+      deep: (d) => !d.flags.hasStructuredData,
+    },
+  },
+  {
+    id: "jsonld-not-in-head",
+    category: "Strukturierte Daten",
+    location: "<head>",
+    severity: "Hinweis",
+    impact: "niedrig",
+    check: { deep: (d) => d.flags.hasJSONLD && !d.flags.jsonLdInHead },
+  },
+  {
+    id: "schema-errors",
+    category: "Strukturierte Daten",
+    location: "JSON-LD",
+    severity: "Fehler",
+    impact: "hoch",
+    check: {
+      light: (p, _p, t) => schemaVars(p.structuredValidation, "error", t),
+      deep: (d, _p, t) => schemaVars(d.structuredData.validation, "error", t),
+    },
+  },
+  {
+    id: "schema-warnings",
+    category: "Strukturierte Daten",
+    location: "JSON-LD",
+    severity: "Hinweis",
+    impact: "niedrig",
+    check: {
+      light: (p, _p, t) => schemaVars(p.structuredValidation, "warning", t),
+      deep: (d, _p, t) => schemaVars(d.structuredData.validation, "warning", t),
+    },
+  },
+  {
+    id: "nap-incomplete",
+    category: "GEO/NAP",
+    location: "JSON-LD",
+    severity: "Warnung",
+    impact: "mittel",
+    check: { deep: (d) => d.flags.hasLocalBusiness && (!d.flags.localFields.telephone || !d.flags.localFields.address) },
+  },
+  {
+    id: "opening-hours-missing",
+    category: "GEO/NAP",
+    location: "JSON-LD",
+    severity: "Hinweis",
+    impact: "niedrig",
+    check: { deep: (d) => d.flags.hasLocalBusiness && !d.flags.localFields.hours },
+  },
+  {
+    id: "product-offer-missing",
+    category: "Shop/Product",
+    location: "JSON-LD",
+    severity: "Fehler",
+    impact: "hoch",
+    check: {
+      deep: (d) => d.flags.hasProduct && (!d.flags.productFields.offer || !d.flags.productFields.price || !d.flags.productFields.currency),
+    },
+  },
+
+  // Social / International / Barrierefreiheit / Recht
+  {
+    id: "og-missing",
+    category: "Social Preview",
+    location: "OG",
+    severity: "Hinweis",
+    impact: "niedrig",
+    check: { light: (p) => !p.ogCore },
+  },
+  {
+    id: "lang-missing",
+    category: "Internationalisierung",
+    location: "<html lang>",
+    severity: "Warnung",
+    impact: "niedrig",
+    check: { light: (p) => !p.lang },
+  },
+  {
+    id: "hreflang-x-default",
+    category: "Internationalisierung",
+    location: "<link rel='alternate'>",
+    severity: "Hinweis",
+    impact: "niedrig",
+    check: { light: (p) => p.hreflangCount > 0 && !p.hreflangXDefault },
+  },
+  {
+    id: "hreflang-invalid-code",
+    category: "Internationalisierung",
+    location: "hreflang",
+    severity: "Fehler",
+    impact: "mittel",
+    check: { hreflang: (e) => e.invalidCodes.length > 0 && { codes: e.invalidCodes.join(", ") } },
+  },
+  {
+    id: "hreflang-target-broken",
+    category: "Internationalisierung",
+    location: "hreflang",
+    severity: "Fehler",
+    impact: "hoch",
+    check: {
+      hreflang: (e) =>
+        e.broken.length > 0 && {
+          count: e.broken.length,
+          list: listPreview(e.broken, (b) => (b.finalUrl ? `${b.href} → ${b.finalUrl}` : `${b.href} (${b.status})`)),
+        },
+    },
+  },
+  {
+    id: "hreflang-target-not-indexable",
+    category: "Internationalisierung",
+    location: "hreflang",
+    severity: "Warnung",
+    impact: "mittel",
+    check: {
+      hreflang: (e) =>
+        e.notIndexable.length > 0 && {
+          count: e.notIndexable.length,
+          list: listPreview(e.notIndexable, (x) => (x.reason === "noindex" ? `${x.href} (noindex)` : `${x.href} → ${x.canonical}`)),
+        },
+    },
+  },
+  {
+    id: "hreflang-no-return",
+    category: "Internationalisierung",
+    location: "hreflang",
+    severity: "Warnung",
+    impact: "mittel",
+    check: {
+      hreflang: (e) => e.noReturn.length > 0 && { count: e.noReturn.length, list: listPreview(e.noReturn, (x) => x.href) },
+    },
+  },
+  {
+    id: "hreflang-conflict",
+    category: "Internationalisierung",
+    location: "hreflang",
+    severity: "Warnung",
+    impact: "mittel",
+    check: {
+      hreflang: (e) =>
+        e.conflicts.length > 0 && {
+          count: e.conflicts.length,
+          list: listPreview(e.conflicts, (c) => `${c.lang}: ${c.hrefs.join(" | ")}${c.missingIn.length ? ` (−${c.missingIn.join("/")})` : ""}`),
+        },
+    },
+  },
+  {
+    id: "hreflang-self-missing",
+    category: "Internationalisierung",
+    location: "hreflang",
+    severity: "Hinweis",
+    impact: "niedrig",
+    check: { hreflang: (e) => e.selfMissing },
+  },
+  {
+    id: "form-labels",
+    category: "Barrierefreiheit",
+    location: "Formulare",
+    severity: "Hinweis",
+    impact: "niedrig",
+    params: { maxUnlabeledPct: 50 },
+    check: { light: (p, { maxUnlabeledPct }) => p.forms?.inputs > 0 && (100 * p.forms.unlabeled) / p.forms.inputs > maxUnlabeledPct },
+  },
+  {
+    id: "impressum-link",
+    category: "Recht",
+    location: "Footer/Navi",
+    severity: "Hinweis",
+    impact: "niedrig",
+    check: { light: (p) => !p.legal?.hasImpressumLink },
+  },
+  {
+    id: "privacy-link",
+    category: "Recht",
+    location: "Footer/Navi",
+    severity: "Hinweis",
+    impact: "niedrig",
+    check: { light: (p) => !p.legal?.hasDatenschutzLink },
+  },
+
+  // Performance / Rendering
+  {
+    id: "big-images",
+    category: "Performance",
+    location: "Assets",
+    severity: "Hinweis",
+    impact: "niedrig",
+    params: { maxCount: 3 },
+    check: { deep: (d, { maxCount }) => d.flags.bigImages > maxCount && { count: d.flags.bigImages } },
+  },
+  {
+    id: "lazy-load",
+    category: "Performance",
+    location: "<img>",
+    severity: "Hinweis",
+    impact: "niedrig",
+    params: { minPct: 50, minImages: 8 },
+    check: { deep: (d, { minPct, minImages }) => d.flags.lazyRatio < minPct && d.images.count > minImages && { pct: d.flags.lazyRatio } },
+  },
+  {
+    id: "csr-delta",
+    category: "Rendering",
+    location: "CSR",
+    severity: "Warnung",
+    impact: "mittel",
+    params: { maxPct: 50 },
+    check: { deep: (d, { maxPct }) => d.flags.renderDeltaPct != null && d.flags.renderDeltaPct > maxPct && { pct: d.flags.renderDeltaPct } },
+  },
+
+  // KI-Crawler (je Crawler ein Befund; „key“ = wichtige Crawler laut AI_CRAWLERS_KEY)
+  {
+    id: "ai-crawler-disallowed",
+    category: "GEO/KI-Crawler",
+    location: "robots.txt",
+    severity: "Warnung",
+    impact: "mittel",
+    check: { "ai-crawler": (c) => c.key && c.access === "disallowed" && aiVars(c) },
+  },
+  {
+    id: "ai-crawler-disallowed-other",
+    category: "GEO/KI-Crawler",
+    location: "robots.txt",
+    severity: "Hinweis",
+    impact: "niedrig",
+    check: { "ai-crawler": (c) => !c.key && c.access === "disallowed" && aiVars(c) },
+  },
+  {
+    id: "ai-crawler-blocked",
+    category: "GEO/KI-Crawler",
+    location: "HTTP/WAF",
+    severity: "Fehler",
+    impact: "hoch",
+    check: { "ai-crawler": (c, _p, t) => c.key && c.access === "blocked" && aiBlockVars(c, t) },
+  },
+  {
+    id: "ai-crawler-blocked-other",
+    category: "GEO/KI-Crawler",
+    location: "HTTP/WAF",
+    severity: "Fehler",
+    impact: "mittel",
+    check: { "ai-crawler": (c, _p, t) => !c.key && c.access === "blocked" && aiBlockVars(c, t) },
+  },
+  {
+    id: "ai-crawler-partial",
+    category: "GEO/KI-Crawler",
+    location: "robots.txt",
+    severity: "Hinweis",
+    impact: "niedrig",
+    check: { "ai-crawler": (c) => c.key && c.access === "partial" && { ...aiVars(c), count: c.blockedUrls } },
+  },
+
+  // llms.txt
+  {
+    id: "llms-missing",
+    category: "GEO/LLM",
+    location: "/llms.txt",
+    severity: "Hinweis",
+    impact: "mittel",
+    check: { llms: (l) => !l.llmsTxt.found && !l.llmsTxt.servedAsHtml },
+  },
+  {
+    id: "llms-soft-404",
+    category: "GEO/LLM",
+    location: "/llms.txt",
+    severity: "Hinweis",
+    impact: "mittel",
+    check: { llms: (l) => !l.llmsTxt.found && l.llmsTxt.servedAsHtml },
+  },
+  {
+    id: "llms-h1-missing",
+    category: "GEO/LLM",
+    location: "/llms.txt",
+    severity: "Fehler",
+    impact: "hoch",
+    check: { llms: (l) => l.llmsTxt.found && !l.llmsTxt.h1Count },
+  },
+  {
+    id: "llms-h1-position",
+    category: "GEO/LLM",
+    location: "/llms.txt",
+    severity: "Warnung",
+    impact: "niedrig",
+    check: { llms: (l) => l.llmsTxt.found && l.llmsTxt.h1Count > 0 && !l.llmsTxt.h1First },
+  },
+  {
+    id: "llms-h1-multiple",
+    category: "GEO/LLM",
+    location: "/llms.txt",
+    severity: "Warnung",
+    impact: "niedrig",
+    check: { llms: (l) => l.llmsTxt.h1Count > 1 && { count: l.llmsTxt.h1Count } },
+  },
+  {
+    id: "llms-summary-missing",
+    category: "GEO/LLM",
+    location: "/llms.txt",
+    severity: "Hinweis",
+    impact: "niedrig",
+    check: { llms: (l) => l.llmsTxt.found && !l.llmsTxt.summary },
+  },
+  {
+    id: "llms-no-sections",
+    category: "GEO/LLM",
+    location: "/llms.txt",
+    severity: "Warnung",
+    impact: "mittel",
+    check: { llms: (l) => l.llmsTxt.found && (!l.llmsTxt.sections.length || !l.llmsTxt.linkCount) },
+  },
+  {
+    id: "llms-bad-items",
+    category: "GEO/LLM",
+    location: "/llms.txt",
+    severity: "Hinweis",
+    impact: "niedrig",
+    check: { llms: (l) => l.llmsTxt.badItems > 0 && { count: l.llmsTxt.badItems } },
+  },
+  {
+    id: "llms-content-type",
+    category: "GEO/LLM",
+    location: "/llms.txt",
+    severity: "Hinweis",
+    impact: "niedrig",
+    check: {
+      llms: (l) =>
+        l.llmsTxt.found && l.llmsTxt.contentType && !/text\/(plain|markdown)/i.test(l.llmsTxt.contentType) && { contentType: l.llmsTxt.contentType },
+    },
+  },
+  {
+    id: "llms-invalid-links",
+    category: "GEO/LLM",
+    location: "/llms.txt",
+    severity: "Warnung",
+    impact: "mittel",
+    check: { llms: (l) => l.llmsTxt.invalidLinks?.length > 0 && { count: l.llmsTxt.invalidLinks.length, first: l.llmsTxt.invalidLinks[0] } },
+  },
+  {
+    id: "llms-unreachable-links",
+    category: "GEO/LLM",
+    location: "/llms.txt",
+    severity: "Warnung",
+    impact: "mittel",
+    check: {
+      llms: (l, _p, t) =>
+        l.llmsTxt.unreachable?.length > 0 && {
+          count: l.llmsTxt.unreachable.length,
+          list: l.llmsTxt.unreachable
+            .slice(0, 3)
+            .map((u) => `${u.url} (${u.status || t("common.error")})`)
+            .join(", "),
+        },
+    },
+  },
+];
+const RULES_BY_ID = new Map(RULES.map((r) => [r.id, r]));
+
+// Kurzliste für Befundtexte: erste drei Einträge + Anzahl der übrigen
+const listPreview = (items, fmt) =>
+  items.slice(0, 3).map(fmt).join(", ") + (items.length > 3 ? ` (+${items.length - 3})` : "");
+
+// Anzahl + Liste kaputter Verweise einer Seite („URL (Status) – Ankertext“)
+const brokenVars = (items) =>
+  items.length > 0 && {
+    count: items.length,
+    list: listPreview(items, (b) => `${b.url} (${b.soft404 ? "Soft-404" : b.status || "—"})${b.text ? ` – ${b.text}` : ""}`),
+  };
+
+// Gruppe + übrige Mitglieder einer Duplikat-Gruppe
+const duplicateVars = (e) => ({ group: e.group.id, count: e.others.length, list: listPreview(e.others, (u) => u) });
+
+const aiVars = (c) => ({ subject: c.token, token: c.token, vendor: c.vendor });
+
+function aiBlockVars(c, t) {
+  return { ...aiVars(c), status: c.http?.status || "—", challenge: c.http?.challenge ? t("ai.challenge") : "" };
+}
+
+// Anzahl + erstes Beispiel (Block, JSON-Pfad, Meldung) aus validateStructuredData
+function schemaVars(validation, severity, t) {
+  const count = validation?.[severity === "error" ? "errors" : "warnings"];
+  if (!count) return false;
+  const b = validation.blocks.find((x) => x.issues.some((i) => i.severity === severity));
+  const first = b?.issues.find((i) => i.severity === severity);
+  return {
+    count,
+    example: first ? t("schema.example", { block: b.block + 1, path: first.path, message: schemaMessage(first, t) }) : "",
+  };
+}
+
+// Request-Konfiguration ({ id: false | { enabled, params } }) → Map id → { enabled, params }
+function resolveRules(overrides = {}) {
+  const out = new Map();
+  for (const rule of RULES) {
+    const o = overrides[rule.id];
+    const enabled = typeof o === "boolean" ? o : o?.enabled ?? true;
+    out.set(rule.id, { enabled, params: { ...rule.params, ...(typeof o === "object" ? o.params : null) } });
   }
-  // Title/Description – strengere Ideal-Spannen
-  if (p.titleLen < 50 || p.titleLen > 60)
-    F.push(
-      mkFinding(
-        p.url,
-        "Onpage",
-        "<title>",
-        "Hinweis",
-        "Title ideal 50–60 Zeichen",
-        "präzise, klickstark formulieren",
-        "<title>Keyword | Marke</title>",
-        "niedrig"
-      )
-    );
-  if (!p.metaDescLen)
-    F.push(
-      mkFinding(
-        p.url,
-        "Onpage",
-        "<meta description>",
-        "Warnung",
-        "Description fehlt",
-        "unique Description ergänzen",
-        "<meta name='description' content='…'>",
-        "mittel"
-      )
-    );
-  else if (p.metaDescLen < 140 || p.metaDescLen > 180)
-    F.push(
-      mkFinding(
-        p.url,
-        "Onpage",
-        "<meta description>",
-        "Hinweis",
-        "Description ideal 140–180 Zeichen",
-        "kurz, unique, CTA",
-        "<meta name='description' ...>",
-        "niedrig"
-      )
-    );
+  return out;
+}
+const DEFAULT_RULES = resolveRules();
 
-  if (!p.canonical)
-    F.push(
-      mkFinding(
-        p.url,
-        "Technik/Indexierung",
-        "<head>",
-        "Warnung",
-        "Canonical fehlt",
-        "<link rel='canonical'> setzen",
-        "<link rel='canonical' href='…'>",
-        "mittel"
-      )
-    );
-  const robots = (p.robots || "").toLowerCase();
-  if (robots.includes("noindex"))
-    F.push(
-      mkFinding(
-        p.url,
-        "Technik/Indexierung",
-        "<meta robots>",
-        "Fehler",
-        "noindex gesetzt",
-        "Indexierung erlauben",
-        "<meta name='robots' content='index,follow'>",
-        "hoch"
-      )
-    );
-  if (!p.lang)
-    F.push(
-      mkFinding(
-        p.url,
-        "Internationalisierung",
-        "<html lang>",
-        "Warnung",
-        "Sprachangabe fehlt",
-        "lang-Attribut setzen",
-        "<html lang='de'>",
-        "niedrig"
-      )
-    );
-  if (p.h1Count !== 1)
-    F.push(
-      mkFinding(
-        p.url,
-        "Struktur & Semantik",
-        "Body",
-        "Warnung",
-        "Genau eine H1 je Seite empfohlen",
-        "präzise H1 setzen",
-        "<h1>Seitenfokus</h1>",
-        "mittel"
-      )
-    );
-  if (p.h2Count < 1)
-    F.push(
-      mkFinding(
-        p.url,
-        "Struktur & Semantik",
-        "Body",
-        "Hinweis",
-        "Mindestens eine H2 sinnvoll",
-        "Abschnitte strukturieren",
-        "<h2>Abschnitt</h2>",
-        "niedrig"
-      )
-    );
-  if (p.orderIssues > 0)
-    F.push(
-      mkFinding(
-        p.url,
-        "Struktur & Semantik",
-        "Headings",
-        "Hinweis",
-        "Überschriften-Sprünge",
-        "hierarchisch gliedern",
-        "H2→H3→H4…",
-        "niedrig"
-      )
-    );
-  if (typeof p.wordCount === "number" && p.wordCount < 200)
-    F.push(
-      mkFinding(
-        p.url,
-        "Content",
-        "Body",
-        "Warnung",
-        "Sehr wenig Text (<200 Wörter)",
-        "Informationsdichte erhöhen",
-        "Antworten/FAQs integrieren",
-        "mittel"
-      )
-    );
-  if (!p.jsonLdCount)
-    F.push(
-      mkFinding(
-        p.url,
-        "Strukturierte Daten",
-        "<head>",
-        "Warnung",
-        "Kein JSON-LD vorhanden",
-        "passendes Schema.org ergänzen",
-        '{"@context":"https://schema.org","@type":"…"}',
-        "mittel"
-      )
-    );
-  if (!p.ogCore)
-    F.push(
-      mkFinding(
-        p.url,
-        "Social Preview",
-        "OG",
-        "Hinweis",
-        "OpenGraph-Basis fehlt",
-        "og:title/description/image setzen",
-        "og:title …",
-        "niedrig"
-      )
-    );
-  if (p.hreflangCount > 0 && !p.hreflangXDefault)
-    F.push(
-      mkFinding(
-        p.url,
-        "Internationalisierung",
-        "<link rel='alternate'>",
-        "Hinweis",
-        "x-default fehlt",
-        "x-default ergänzen",
-        "<link rel='alternate' hreflang='x-default' …>",
-        "niedrig"
-      )
-    );
-  if (p.forms?.inputs > 0 && p.forms.unlabeled / p.forms.inputs > 0.5)
-    F.push(
-      mkFinding(
-        p.url,
-        "Barrierefreiheit",
-        "Formulare",
-        "Hinweis",
-        ">50% Inputs ohne Label/ARIA",
-        "Beschriftungen ergänzen",
-        "<label for='…'>",
-        "niedrig"
-      )
-    );
-  if (!p.legal?.hasImpressumLink)
-    F.push(
-      mkFinding(
-        p.url,
-        "Recht",
-        "Footer/Navi",
-        "Hinweis",
-        "Impressum-Link nicht gefunden",
-        "sichtbar verlinken",
-        "/impressum",
-        "niedrig"
-      )
-    );
-  if (!p.legal?.hasDatenschutzLink)
-    F.push(
-      mkFinding(
-        p.url,
-        "Recht",
-        "Footer/Navi",
-        "Hinweis",
-        "Datenschutz-Link nicht gefunden",
-        "sichtbar verlinken",
-        "/datenschutz",
-        "niedrig"
-      )
-    );
+const DEFAULT_T = translator();
+
+function evaluateRules(scope, url, subject, { rules = DEFAULT_RULES, t = DEFAULT_T } = {}) {
+  const F = [];
+  for (const rule of RULES) {
+    const check = rule.check[scope];
+    const cfg = rules.get(rule.id);
+    if (!check || !cfg?.enabled) continue;
+    const hit = check(subject, cfg.params, t);
+    if (!hit) continue;
+    const vars = { ...cfg.params, ...(typeof hit === "object" ? hit : null) };
+    const text = (field) => fillText(t.raw(`rules.${rule.id}.${field}`), vars);
+    F.push({
+      ruleId: rule.id,
+      // stabiles, nicht übersetztes Subjekt für Regeln mit mehreren Befunden je URL (Run-Vergleich)
+      ...(vars.subject != null ? { subject: String(vars.subject) } : {}),
+      ...mkFinding(url, rule.category, rule.location, rule.severity, text("issue"), text("fix"), text("example"), rule.impact),
+    });
+  }
   return F;
 }
 
+// Light-Pages
+function findingsForQuickPage(p, ctx) {
+  if (!p) return [];
+  return evaluateRules(p.ok ? "light" : "fetch", p.url, p, ctx);
+}
+
+// Deep-Pages (gerendert)
+function findingsForDeepPage(u, d, ctx) {
+  return evaluateRules("deep", u, d, ctx);
+}
+
+// KI-Crawler-Zugriff (eine Zeile je gesperrtem Crawler)
+function findingsForAiCrawlers(origin, audit, ctx) {
+  return (audit?.crawlers || []).flatMap((c) => evaluateRules("ai-crawler", `${origin}/`, c, ctx));
+}
+
+function findingsForLlms(origin, check, ctx) {
+  return evaluateRules("llms", `${origin}/llms.txt`, check, ctx);
+}
+
+// hreflang: je Seite aus auditHreflang
+function findingsForHreflang(entry, ctx) {
+  return evaluateRules("hreflang", entry.url, entry, ctx);
+}
+
+// Canonical: je Seite aus auditCanonicals
+function findingsForCanonical(entry, ctx) {
+  return evaluateRules("canonical", entry.url, entry, ctx);
+}
+
+// Duplikate: je Mitglied einer Gruppe aus findDuplicates
+function findingsForDuplicate(entry, ctx) {
+  return evaluateRules("duplicate", entry.url, entry, ctx);
+}
+
+// Linkcheck: je Quellseite mit kaputten Verweisen
+function findingsForLinks(entry, ctx) {
+  return evaluateRules("links", entry.url, entry, ctx);
+}
+
+// Redirect-Ketten je URL (auditRedirects)
+function findingsForRedirect(e, ctx) {
+  return evaluateRules("redirect", e.url, e, ctx);
+}
+
+// http/www/Slash-Varianten (auditRedirects)
+function findingsForNormalization(e, ctx) {
+  return evaluateRules("normalization", e.url, e, ctx);
+}
+
+// Quellseiten mit internen Links auf Weiterleitungen (auditRedirects)
+function findingsForRedirectLinks(e, ctx) {
+  return evaluateRules("redirect-links", e.url, e, ctx);
+}
+
+// Kurzform einer gerenderten Seite für Ergebnis und Export
+function deepPageSummary(u, d) {
+  return {
+    url: u,
+    finalUrl: d.finalUrl,
+    status: d.http.status,
+    redirectChain: d.http.redirectChain,
+    indexable: d.flags.indexable,
+    title: d.meta.title,
+    titleLength: d.meta.titleLength,
+    metaDescriptionLength: d.meta.metaDescriptionLength,
+    canonical: d.meta.canonical || "",
+    lang: d.meta.lang || "",
+    h1Count: d.headings.h1Count,
+    h2Count: d.flags.h2Count,
+    wordCount: d.flags.wordCount,
+    jsonLdTypes: Object.keys(d.structuredData.types || {}),
+    schemaErrors: d.structuredData.validation?.errors ?? 0,
+    schemaWarnings: d.structuredData.validation?.warnings ?? 0,
+    renderDeltaPct: d.flags.renderDeltaPct,
+    bigImages: d.flags.bigImages,
+    lazyRatio: d.flags.lazyRatio,
+  };
+}
+
 // ---------- Job Runner ----------
-async function runJob(jobId, url, opts) {
+async function runJob(jobId, url, opts, { signal } = {}) {
   const set = (patch) => {
     const cur = jobs.get(jobId) || {};
-    jobs.set(jobId, { ...cur, ...patch });
+    const next = jobs.set(jobId, { ...cur, ...patch });
+    if ("stage" in patch && patch.stage !== cur.stage) emitJob(jobId, "stage", { stage: patch.stage });
+    if ("status" in patch || "progress" in patch || "stage" in patch) emitJob(jobId, "status", jobStatus(next));
   };
+  const cancelled = () => !!signal?.aborted;
   const {
     seedSitemap,
     sampleSitemap,
@@ -1028,43 +4099,213 @@ async function runJob(jobId, url, opts) {
     includePatterns,
     excludePatterns,
     guessCommonPaths,
+    perHostConcurrency,
+    deepConcurrency,
+    respectRobots,
+    aiCrawlerAudit,
+    linkCheck,
+    maxLinkChecks,
     debug,
+    reportLanguage,
   } = opts;
+  const t = translator(reportLanguage);
+  const ruleCtx = { rules: resolveRules(opts.rules), t };
 
   try {
-    set({ status: "running", progress: 2 });
-    log(jobId, "info", "Job started", { url, opts: { ...opts, extraSeedsCount: (extraSeeds || []).length } });
+    set({ status: "running", progress: 2, stage: "Hauptseite" });
+    log(jobId, "info", "Job started", { url, opts: { ...redactOptions(opts), extraSeedsCount: (extraSeeds || []).length } });
 
     // 1) Main (deep)
-    const main = await analyzeSinglePage(url);
+    const main = await analyzeSinglePage(url, { signal });
+    if (cancelled()) {
+      set({ status: "cancelled" });
+      log(jobId, "info", "Job cancelled before main page was analyzed");
+      return;
+    }
     if (main.error) throw new Error(main.error);
     set({ progress: 18 });
 
-    const origin = normOrigin(main.finalUrl || url);
+    const mainUrl = main.finalUrl || url;
+    const origin = normOrigin(mainUrl);
+
+    // robots.txt vorab: Crawler und Stichproben halten sich daran (abschaltbar via respectRobots)
+    const rb = await fetchRobotsTxt(origin, { signal });
+    const robots = createRobotsMatcher(rb.parsed, rb.status);
+    const allowed = (u) => !respectRobots || robots.isAllowed(u, ROBOTS_AGENT);
+    const crawlDelay = respectRobots ? robots.crawlDelay(ROBOTS_AGENT) : 0;
+    if (rb.status === "unavailable" && respectRobots)
+      log(jobId, "warn", "robots.txt unavailable – treating site as disallowed (RFC 9309)", { status: rb.httpStatus });
+    if (crawlDelay) log(jobId, "info", "Honoring robots.txt crawl-delay", { seconds: crawlDelay });
+    const originHost = new URL(origin).host;
+    const limitHost = createHostLimiter(perHostConcurrency, {
+      delayFor: (host) => (host === originHost ? crawlDelay : 0),
+    });
+    const limitDeep = createLimiter(deepConcurrency);
+
+    // Fortschritt: 18 → 48 Discovery, danach Anteil erledigter Arbeit (Deep zählt 5×)
+    let discoveryFrac = 0;
+    let workTotal = 0;
+    let workDone = 0;
+    let lastProgress = 18;
+    const reportProgress = () => {
+      const workFrac = workTotal ? workDone / workTotal : 0;
+      const p = Math.min(99, Math.round(18 + 30 * discoveryFrac + 51 * workFrac * discoveryFrac));
+      if (p > lastProgress) {
+        lastProgress = p;
+        set({ progress: p });
+      }
+    };
+    // Stichproben- und Deep-Tasks werden erst nach der Discovery per Promise.all abgewartet:
+    // Handler sofort anhängen, damit ein frühes Reject keine unhandledRejection auslöst.
+    // Der Fehler selbst bleibt im zurückgegebenen Promise und lässt den Job dort scheitern.
+    const track = (weight, promise) => {
+      workTotal += weight;
+      const tracked = promise.finally(() => {
+        workDone += weight;
+        reportProgress();
+      });
+      tracked.catch(() => {});
+      return tracked;
+    };
+
+    // Live-Zähler (gedrosselt) für SSE/Status
+    let findingsCount = 0;
+    let lastCountsAt = 0;
+    const reportCounts = (force = false) => {
+      if (!force && Date.now() - lastCountsAt < 250) return;
+      lastCountsAt = Date.now();
+      set({ discoveredCount: allUrls.length, findingsCount });
+      emitJob(jobId, "discovered", { count: allUrls.length });
+    };
+    const emitFindings = (u, F) => {
+      if (!F.length) return;
+      findingsCount += F.length;
+      emitJob(jobId, "findings", { url: u, findings: F });
+      reportCounts();
+    };
+
+    // Light-Analyse je URL nur einmal (Sitemap- und Crawl-Stichprobe teilen sich das Ergebnis)
+    const lightCache = new Map(); // url -> Promise<page|null>
+    const light = (u) => {
+      if (!lightCache.has(u))
+        lightCache.set(u, limitHost(u, async () => (cancelled() ? null : lightweightSampleAnalyze(u, { signal }))));
+      return lightCache.get(u);
+    };
+    // Stichproben-Seite: Findings einmalig berechnen und sofort melden
+    const sample = (u) =>
+      light(u).then((p) => {
+        if (p && !p.findings) {
+          p.findings = findingsForQuickPage(p, ruleCtx);
+          emitFindings(u, p.findings);
+        }
+        return p;
+      });
+    const deep = (u) =>
+      limitDeep(() =>
+        limitHost(u, async () => {
+          if (cancelled()) return null;
+          const d = await analyzeSinglePage(u, { signal }).catch((e) => ({ error: e.message }));
+          if (cancelled()) return null;
+          if (d.error) {
+            log(jobId, "warn", "Deep analysis failed", { url: u, error: d.error });
+            return null;
+          }
+          if (debug) log(jobId, "info", "Deep analyzed page", { url: u });
+          const F = findingsForDeepPage(u, d, ruleCtx);
+          emitFindings(u, F);
+          return {
+            url: u,
+            findings: F,
+            flags: d.flags,
+            page: deepPageSummary(u, d),
+            schema: schemaRows(u, d.structuredData.validation, t),
+            canonical: deepCanonicalSignals(u, d),
+          };
+        })
+      );
+
+    // Discovery-Registry: jede neue URL startet sofort ihre Analysen
+    const allUrls = [];
+    const discovered = new Set();
+    const skippedByRobots = [];
+    const crawlSample = []; // Promises in Entdeckungsreihenfolge
+    const deepTasks = [];
+    const discover = (u) => {
+      if (discovered.has(u)) return;
+      discovered.add(u);
+      allUrls.push(u);
+      reportCounts();
+      if (cancelled()) return;
+      if (!allowed(u)) {
+        skippedByRobots.push(u);
+        return;
+      }
+      if (allUrls.length <= maxCrawlPages) crawlSample.push(track(1, sample(u)));
+      let isAsset = true;
+      try {
+        isAsset = ASSET_RE.test(new URL(u).pathname);
+      } catch {
+        isAsset = true;
+      }
+      if (deepTasks.length < deepAnalyzeLimit && u !== mainUrl && !isAsset) deepTasks.push(track(5, deep(u)));
+    };
 
-    // 2) Sitemap deep
-    const sm = seedSitemap
-      ? await getSitemapDeep(origin, Math.max(maxSamplePages, maxCrawlPages))
-      : { urls: [], disallow: [], sitemapListedInRobots: false };
+    // 2) Sitemap deep + 3) Common-Path-Probe parallel (+ llms.txt)
+    set({ stage: "Sitemap" });
+    const llmsTask = checkLlmsTxt(origin, { signal, limitHost }).catch((e) => {
+      log(jobId, "warn", "llms.txt check failed", { error: e.message });
+      return null;
+    });
+    let sitemapSample = [];
+    const [sm, guessed] = await Promise.all([
+      (seedSitemap && !cancelled()
+        ? getSitemapDeep(origin, Math.max(maxSamplePages, maxCrawlPages), { signal, robots: rb })
+        : Promise.resolve({
+            urls: [],
+            disallow: rb.parsed.disallow,
+            robotsTxtFound: rb.found,
+            robotsStatus: rb.status,
+            robotsGroups: rb.parsed.groups,
+            broadBlock: !robots.isAllowed(`${origin}/`, "*"),
+            sitemapListedInRobots: false,
+          })
+      ).then((r) => {
+        if (sampleSitemap && r.urls?.length && !cancelled())
+          sitemapSample = r.urls
+            .slice(0, maxSamplePages)
+            .filter(allowed)
+            .map((u) => track(1, sample(u)));
+        discoveryFrac += 0.15;
+        reportProgress();
+        return r;
+      }),
+      (guessCommonPaths && !cancelled()
+        ? probeCommonPaths(origin, { signal, analyze: (u) => light(u), limitHost: noLimit, isAllowed: allowed }).catch(
+            () => []
+          )
+        : Promise.resolve([])
+      ).then((r) => {
+        discoveryFrac += 0.05;
+        return r;
+      }),
+    ]);
     main.flags.robotsTxtFound = !!sm.robotsTxtFound;
     main.flags.sitemapFound = !!sm.sitemapFound;
     main.flags.sitemapListedInRobots = !!sm.sitemapListedInRobots;
 
-    // 3) Seeds (manual + guess)
-    let manualSeeds = Array.isArray(extraSeeds) ? extraSeeds.slice() : [];
-    if (guessCommonPaths) {
-      try {
-        const guessed = await probeCommonPaths(origin);
-        manualSeeds.push(...guessed);
-      } catch {}
-    }
-    manualSeeds = Array.from(new Set(manualSeeds));
+    // Seeds (manual + guess)
+    const manualSeeds = Array.from(new Set([...(Array.isArray(extraSeeds) ? extraSeeds : []), ...guessed]));
 
-    // 4) Discovery = sitemap + crawl + seeds
-    let discovered = new Set([...(sm.urls || []), ...manualSeeds]);
+    // 4) Discovery = sitemap + seeds + crawl
+    (sm.urls || []).forEach(discover);
+    manualSeeds.forEach(discover);
     let crawlList = [];
-    if (crawl) {
-      crawlList = await crawlInternal(main.finalUrl || url, {
+    const crawlBlocked = new Set(); // verlinkt, aber per robots.txt gesperrt
+    const crawlLinks = new Map(); // Seite → interne Links (Linkgraph)
+    const crawlRefs = new Map(); // Seite → alle Verweise inkl. Ressourcen (Linkcheck)
+    if (crawl && !cancelled()) {
+      set({ stage: "Crawl" });
+      crawlList = await crawlInternal(mainUrl, {
         maxPages: maxCrawlPages,
         render: renderCrawl,
         keepHashSections,
@@ -1072,10 +4313,38 @@ async function runJob(jobId, url, opts) {
         seeds: manualSeeds,
         includePatterns,
         excludePatterns,
+        concurrency: perHostConcurrency,
+        limitHost,
+        isAllowed: allowed,
+        onDiscovered: discover,
+        onBlocked: (u) => {
+          crawlBlocked.add(u);
+          discover(u);
+        },
+        onVisited: ({ visited, found }) => {
+          discoveryFrac = 0.2 + 0.8 * Math.min(1, visited / Math.max(1, Math.min(maxCrawlPages, found)));
+          reportProgress();
+        },
+        onLinks: (u, links, refs) => {
+          crawlLinks.set(u, links);
+          crawlRefs.set(u, refs);
+        },
+        signal,
       });
-      crawlList.forEach((u) => discovered.add(u));
     }
-    const allUrls = Array.from(discovered);
+    discoveryFrac = 1;
+    reportProgress();
+    reportCounts(true);
+    set({ stage: "Deep-Analyse" });
+
+    // KI-Crawler-Zugriff (robots.txt + HTTP-Probes) parallel zu den Analysen
+    const aiAuditTask =
+      aiCrawlerAudit && !cancelled()
+        ? auditAiCrawlers(origin, robots, { urls: allUrls, signal, limitHost }).catch((e) => {
+            log(jobId, "warn", "AI crawler audit failed", { error: e.message });
+            return null;
+          })
+        : Promise.resolve(null);
 
     // Coverage/Orphans
     const smSet = new Set(sm.urls || []);
@@ -1083,231 +4352,225 @@ async function runJob(jobId, url, opts) {
     const crawledSet = new Set(crawlList);
     const inSitemapOfDiscovered = [...discSet].filter((u) => smSet.has(u)).length;
     const sitemapCoveragePct = discSet.size ? Math.round((100 * inSitemapOfDiscovered) / discSet.size) : null;
-    const orphanCandidates = [...smSet].filter((u) => !crawledSet.has(u)).slice(0, 50);
+    const orphanCandidates = [...smSet].filter((u) => !crawledSet.has(u) && !crawlBlocked.has(u)).slice(0, 50);
+    const linkGraph = crawlLinks.size
+      ? buildLinkGraph({ startUrl: mainUrl, links: crawlLinks, sitemapUrls: sm.urls || [], complete: crawlList.length < maxCrawlPages })
+      : null;
 
-    set({ progress: 48 });
+    // Welche entdeckten URLs sind für welchen User-Agent gesperrt?
+    const robotsAgents = robots.agents();
+    if (!robotsAgents.includes(ROBOTS_AGENT)) robotsAgents.push(ROBOTS_AGENT);
+    const robotsBlocked = [];
+    for (const u of allUrls) {
+      const blockedFor = robotsAgents.filter((a) => !robots.isAllowed(u, a));
+      if (blockedFor.length) robotsBlocked.push({ url: u, agents: blockedFor, rule: robots.verdict(u, blockedFor[0]).rule });
+    }
 
-    // 5) Stichproben + Findings
+    // 5) Stichproben + 6) Deep Analyse abwarten, Findings je URL nur einmal
+    const [sitemapPages, crawlPages, deepResults, aiCrawlers, llmsCheck] = await Promise.all([
+      Promise.all(sitemapSample),
+      Promise.all(crawlSample),
+      Promise.all(deepTasks),
+      aiAuditTask,
+      llmsTask,
+    ]);
     const sampledPages = [];
     const crawlAnalyses = [];
     const findings = [];
+    const counted = new Set();
+    const addPage = (list, p) => {
+      if (!p) return;
+      if (!counted.has(p.url)) {
+        counted.add(p.url);
+        findings.push(...(p.findings || []));
+      }
+      if (p.ok) list.push(p);
+    };
+    sitemapPages.forEach((p) => addPage(sampledPages, p));
+    crawlPages.forEach((p) => addPage(crawlAnalyses, p));
+    deepResults.filter(Boolean).forEach((d) => findings.push(...d.findings));
+    if (aiCrawlers) {
+      const F = findingsForAiCrawlers(origin, aiCrawlers, ruleCtx);
+      emitFindings(`${origin}/`, F);
+      findings.push(...F);
+    }
+    let llms = null;
+    if (llmsCheck) {
+      const F = findingsForLlms(origin, llmsCheck, ruleCtx);
+      emitFindings(`${origin}/llms.txt`, F);
+      findings.push(...F);
+      llms = { ...llmsCheck, problems: F.map((f) => ({ ruleId: f.ruleId, status: f.status, issue: f.issue })) };
+      llms.proposed = proposeLlmsTxt(origin, main, [...sampledPages, ...crawlAnalyses], t);
+    }
 
-    if (sampleSitemap && sm.urls?.length) {
-      for (const u of sm.urls.slice(0, maxSamplePages)) {
-        const p = await lightweightSampleAnalyze(u);
-        const F = findingsForQuickPage(p);
-        p.findings = F;
-        if (p.ok) sampledPages.push(p);
+    // hreflang-Cluster: Light-Pages + Sitemap-Alternates, fehlende Ziele über den Light-Cache
+    const hreflang = cancelled()
+      ? null
+      : await auditHreflang({
+          pages: [...sitemapPages, ...crawlPages].filter(Boolean),
+          sitemap: sm.hreflang,
+          analyze: (u) => (allowed(u) && !cancelled() ? light(u) : Promise.resolve(null)),
+        }).catch((e) => {
+          log(jobId, "warn", "hreflang audit failed", { error: e.message });
+          return null;
+        });
+    if (hreflang) {
+      for (const e of hreflang.pages) {
+        const F = findingsForHreflang(e, ruleCtx);
+        emitFindings(e.url, F);
         findings.push(...F);
       }
     }
-    for (const u of allUrls.slice(0, Math.min(maxCrawlPages, allUrls.length))) {
-      const p = await lightweightSampleAnalyze(u);
-      const F = findingsForQuickPage(p);
-      p.findings = F;
-      if (p.ok) crawlAnalyses.push(p);
+
+    // Canonical-Graph: gerenderte Seiten vor Light-Pages, fehlende Ziele über den Light-Cache
+    const canonicals = cancelled()
+      ? null
+      : await auditCanonicals({
+          pages: [
+            deepCanonicalSignals(mainUrl, main),
+            ...deepResults.filter(Boolean).map((d) => d.canonical),
+            ...[...sitemapPages, ...crawlPages].map(lightCanonicalSignals),
+          ].filter(Boolean),
+          sitemapUrls: sm.urls || [],
+          analyze: (u) => (allowed(u) && !cancelled() ? light(u) : Promise.resolve(null)),
+        }).catch((e) => {
+          log(jobId, "warn", "Canonical audit failed", { error: e.message });
+          return null;
+        });
+    if (canonicals) {
+      for (const e of canonicals.pages) {
+        const F = findingsForCanonical(e, ruleCtx);
+        emitFindings(e.url, F);
+        findings.push(...F);
+      }
+    }
+
+    // Duplikate (Title/Description/H1, Near-Duplicates) über alle Light-Pages
+    const duplicates = findDuplicates([...sampledPages, ...crawlAnalyses]);
+    for (const e of duplicateEntries(duplicates)) {
+      const F = findingsForDuplicate(e, ruleCtx);
+      emitFindings(e.url, F);
       findings.push(...F);
     }
-    set({ progress: 74 });
-
-    // 6) Deep Analyse weiterer Seiten (rendered)
-    const deepTargets = allUrls
-      .filter((u) => u !== (main.finalUrl || url) && !ASSET_RE.test(new URL(u).pathname))
-      .slice(0, deepAnalyzeLimit);
-
-    for (let i = 0; i < deepTargets.length; i++) {
-      const u = deepTargets[i];
-      const d = await analyzeSinglePage(u);
-      if (!d.flags.indexable)
-        findings.push(
-          mkFinding(
-            u,
-            "Indexierung",
-            "HTTP",
-            "Fehler",
-            "Nicht indexierbar (Status/robots)",
-            "Status/robots prüfen",
-            "X-Robots/META anpassen",
-            "hoch"
-          )
-        );
-      if (d.http.redirectChain > 1)
-        findings.push(
-          mkFinding(
-            u,
-            "Technik/Indexierung",
-            "HTTP",
-            "Hinweis",
-            "Redirect-Kette",
-            "Weiterleitungen auflösen",
-            "301 → Ziel direkt",
-            "niedrig"
-          )
-        );
-      if (!d.meta.canonical)
-        findings.push(
-          mkFinding(
-            u,
-            "Technik/Indexierung",
-            "<head>",
-            "Warnung",
-            "Canonical fehlt",
-            "<link rel='canonical'> setzen",
-            "<link rel='canonical' href='…'>",
-            "mittel"
-          )
-        );
-      if (!d.flags.jsonLdInHead)
-        findings.push(
-          mkFinding(
-            u,
-            "Strukturierte Daten",
-            "<head>",
-            "Hinweis",
-            "JSON-LD nicht im <head>",
-            "JSON-LD früh laden",
-            "<script type='application/ld+json'>…</script>",
-            "niedrig"
-          )
-        );
-      if (!d.flags.hasJSONLD)
-        findings.push(
-          mkFinding(
-            u,
-            "Strukturierte Daten",
-            "<head>",
-            "Warnung",
-            "Kein JSON-LD",
-            "Schema.org ergänzen",
-            '{"@context":"https://schema.org","@type":"…"}',
-            "mittel"
-          )
-        );
-      if (d.flags.hasLocalBusiness) {
-        if (!d.flags.localFields.telephone || !d.flags.localFields.address)
-          findings.push(
-            mkFinding(
-              u,
-              "GEO/NAP",
-              "JSON-LD",
-              "Warnung",
-              "NAP unvollständig (Tel/Adresse)",
-              "telephone/address ergänzen",
-              '{"@type":"LocalBusiness","telephone":"…","address":{…}}',
-              "mittel"
-            )
-          );
-        if (!d.flags.localFields.hours)
-          findings.push(
-            mkFinding(
-              u,
-              "GEO/NAP",
-              "JSON-LD",
-              "Hinweis",
-              "Öffnungszeiten fehlen",
-              "openingHours ergänzen",
-              '{"openingHours":"Mo-Fr 09:00-17:00"}',
-              "niedrig"
-            )
-          );
-      }
-      if (d.flags.hasProduct) {
-        const pf = d.flags.productFields;
-        if (!pf.offer || !pf.price || !pf.currency)
-          findings.push(
-            mkFinding(
-              u,
-              "Shop/Product",
-              "JSON-LD",
-              "Fehler",
-              "Product ohne Preis/Währung",
-              "Offer ergänzen",
-              '{"@type":"Offer","price":"…","priceCurrency":"EUR"}',
-              "hoch"
-            )
-          );
+
+    // Linkcheck: Verweise aus dem Crawl, interne Seiten aus der Light-Analyse, Soft-404-Probe
+    const known = new Map();
+    [...sitemapPages, ...crawlPages].forEach((p) => p && !known.has(p.url) && known.set(p.url, p));
+    let linkCheckResult = null;
+    if (linkCheck && crawlRefs.size && !cancelled()) {
+      set({ stage: "Linkcheck" });
+      const probeUrl = `${origin}/${crypto.randomUUID()}`;
+      linkCheckResult = await checkLinks({
+        refs: crawlRefs,
+        known,
+        probe: allowed(probeUrl) ? await light(probeUrl) : null,
+        origin,
+        max: maxLinkChecks,
+        analyze: (u) => light(u),
+        limitHost,
+        isAllowed: allowed,
+        signal,
+      }).catch((e) => {
+        log(jobId, "warn", "Link check failed", { error: e.message });
+        return null;
+      });
+      for (const e of linkCheckEntries(linkCheckResult)) {
+        const F = findingsForLinks(e, ruleCtx);
+        emitFindings(e.url, F);
+        findings.push(...F);
       }
-      if (d.flags.hasArticle) {
-        const af = d.flags.articleFields;
-        if (!af.author || !af.datePublished)
-          findings.push(
-            mkFinding(
-              u,
-              "Content",
-              "JSON-LD",
-              "Hinweis",
-              "Autor/Datum fehlen",
-              "author/datePublished ergänzen",
-              '{"author":"…","datePublished":"YYYY-MM-DD"}',
-              "niedrig"
-            )
-          );
+    }
+
+    // Redirect-Audit: alle entdeckten URLs (+ eingegebene URL), Light-Pages als Vorwissen
+    if (!cancelled()) set({ stage: "Redirects" });
+    const redirects = cancelled()
+      ? null
+      : await auditRedirects({
+          urls: [url, ...allUrls],
+          known,
+          refs: crawlRefs,
+          origin,
+          analyze: (u) => light(u),
+          limitHost,
+          isAllowed: allowed,
+          signal,
+        }).catch((e) => {
+          log(jobId, "warn", "Redirect audit failed", { error: e.message });
+          return null;
+        });
+    if (redirects) {
+      const entries = [
+        ...redirects.chains.map((e) => [e, findingsForRedirect]),
+        ...redirects.normalization.map((e) => [e, findingsForNormalization]),
+        ...redirects.linkSources.map((e) => [e, findingsForRedirectLinks]),
+      ];
+      for (const [e, findingsFor] of entries) {
+        const F = findingsFor(e, ruleCtx);
+        emitFindings(e.url, F);
+        findings.push(...F);
       }
-      if (d.flags.bigImages > 3)
-        findings.push(
-          mkFinding(
-            u,
-            "Performance",
-            "Assets",
-            "Hinweis",
-            ">3 große Bilder (>500KB)",
-            "Bilder komprimieren / WebP/AVIF",
-            "<img src='…webp'>",
-            "niedrig"
-          )
-        );
-      if (d.flags.lazyRatio < 50 && d.images.count > 8)
-        findings.push(
-          mkFinding(
-            u,
-            "Performance",
-            "<img>",
-            "Hinweis",
-            "Wenig Lazy-Load",
-            'loading="lazy" ergänzen',
-            "<img loading='lazy'>",
-            "niedrig"
-          )
-        );
-      if (d.flags.renderDeltaPct != null && d.flags.renderDeltaPct > 50)
-        findings.push(
-          mkFinding(
-            u,
-            "Rendering",
-            "CSR",
-            "Warnung",
-            "Viele Inhalte erst clientseitig",
-            "SSR/SSG bevorzugen",
-            "Server-Rendering aktivieren",
-            "mittel"
-          )
-        );
-      set({ progress: 74 + Math.round(((i + 1) / Math.max(1, deepTargets.length)) * 20) });
-      if (debug) log(jobId, "info", "Deep analyzed page", { url: u });
     }
 
     // 7) Main Issues + Score
     const issues = [];
-    if (!main.flags.indexable) issues.push("Seite ist vermutlich nicht indexierbar (Status/robots).");
-    if (main.http.redirectChain > 1) issues.push("Redirect-Kette vorhanden – bitte auflösen.");
-    if (!main.meta.canonical) issues.push("Canonical-Tag fehlt.");
-    if (!main.flags.hasJSONLD) issues.push("Keine JSON-LD Daten gefunden.");
-    if (!main.flags.hasOrganization) issues.push("Organization Schema fehlt.");
-    if (!main.flags.hasWebsite) issues.push("WebSite Schema fehlt.");
-    if (!main.flags.hasSearchAction) issues.push("SearchAction im WebSite Schema fehlt.");
-    if (!main.flags.langSet) issues.push("<html lang> nicht gesetzt.");
-    if (main.headings.h1Count !== 1) issues.push(`H1-Anzahl ist ${main.headings.h1Count} (sollte 1 sein).`);
-    if (!main.flags.ogOk) issues.push("OpenGraph-Tags fehlen/unvollständig.");
-    if (!main.flags.ogComplete) issues.push("OG: Titel/Beschreibung/Bild nicht komplett.");
-    if (main.images.missingAltRatio > 0.2) issues.push("Zu viele Bilder ohne ALT-Text (>20%).");
-    if (!main.flags.metaDescGood) issues.push("Meta-Description fehlt/ist suboptimal (80–180).");
-    if (!main.flags.titleGood) issues.push("Title-Länge unideal (30–65).");
-    if (!main.flags.hOrderOk) issues.push("Überschriften-Sprünge erkannt.");
-    if (!main.flags.urlClean) issues.push("URL-Struktur evtl. unsauber (Länge/Parameter/Großbuchstaben).");
-    if (!main.flags.hasCaching) issues.push("Caching-Header wirken schwach – Cache-Control prüfen.");
-    if (sm.broadBlock) issues.push("robots.txt blockiert breitflächig (Disallow: /) – prüfen.");
-
-    const score = scoreFromFlags(main.flags);
+    const issue = (key, vars) => issues.push(t(`issues.${key}`, vars));
+    if (!main.flags.indexable) issue("notIndexable");
+    if (main.http.redirectChain > 1) issue("redirectChain");
+    if (!main.meta.canonical) issue("canonicalMissing");
+    if (!main.flags.hasStructuredData) issue("jsonLdMissing");
+    if (!main.flags.hasOrganization) issue("organizationMissing");
+    if (!main.flags.hasWebsite) issue("websiteMissing");
+    if (!main.flags.hasSearchAction) issue("searchActionMissing");
+    if (!main.flags.langSet) issue("langMissing");
+    if (main.headings.h1Count !== 1) issue("h1Count", { count: main.headings.h1Count });
+    if (!main.flags.ogOk) issue("ogMissing");
+    if (!main.flags.ogComplete) issue("ogIncomplete");
+    if (main.images.missingAltRatio > 0.2) issue("altMissing");
+    if (!main.flags.metaDescGood) issue("metaDescription", META_DESC_LEN);
+    if (!main.flags.titleGood) issue("titleLength", TITLE_LEN);
+    if (!main.flags.hOrderOk) issue("headingOrder");
+    if (!main.flags.urlClean) issue("urlUnclean");
+    if (!main.flags.hasCaching) issue("cachingWeak");
+    if (sm.broadBlock) issue("robotsBroadBlock");
+    const aiShut = (aiCrawlers?.crawlers || []).filter((c) => c.key && ["disallowed", "blocked"].includes(c.access));
+    if (aiShut.length) issue("aiCrawlersShut", { list: aiShut.map((c) => c.token).join(", ") });
+    if (rb.status === "unavailable") issue("robotsUnavailable");
+
+    const profile = resolveScoringProfile(opts.scoringProfile, t);
+    const score = scoreFromFlags(main.flags, profile, t);
+
+    // Gesamtsite: Startseite + Deep-Seiten (gerendert) + übrige Light-Seiten
+    const site = { robotsTxtFound: main.flags.robotsTxtFound, sitemapFound: main.flags.sitemapFound };
+    const scorePages = new Map([[mainUrl, { url: mainUrl, source: "deep", flags: main.flags }]]);
+    for (const d of deepResults.filter(Boolean))
+      if (!scorePages.has(d.url)) scorePages.set(d.url, { url: d.url, source: "deep", flags: { ...d.flags, ...site } });
+    for (const p of [...sitemapPages, ...crawlPages]) {
+      // nur HTTP-Fehler zählen als kaputte Seite; Netzwerk-/Parserfehler sind nicht bewertbar
+      if (!p || scorePages.has(p.url) || (!p.ok && (p.reason !== "HTTP" || typeof p.status !== "number"))) continue;
+      scorePages.set(
+        p.url,
+        p.ok ? { url: p.url, source: "light", flags: lightFlags(p, site) } : { url: p.url, source: "light", broken: true, status: p.status }
+      );
+    }
+    const siteScore = siteScoreFrom([...scorePages.values()], profile, t);
+    const deepPages = [
+      { ...deepPageSummary(mainUrl, main), score: score.total, findingsCount: findings.filter((f) => f.url === mainUrl).length },
+      ...deepResults
+        .filter(Boolean)
+        .map((d) => ({ ...d.page, score: scoreFromFlags({ ...d.flags, ...site }, profile, t).total, findingsCount: d.findings.length })),
+    ];
+
+    // schema.org-Validierung: gerenderte Seiten vor Light-Seiten, je URL einmal
+    const schemaValidation = [];
+    const schemaSeen = new Set();
+    const addSchema = (u, rows) => {
+      if (schemaSeen.has(u)) return;
+      schemaSeen.add(u);
+      schemaValidation.push(...rows);
+    };
+    addSchema(mainUrl, schemaRows(mainUrl, main.structuredData.validation, t));
+    deepResults.filter(Boolean).forEach((d) => addSchema(d.url, d.schema));
+    [...sampledPages, ...crawlAnalyses].forEach((p) => addSchema(p.url, schemaRows(p.url, p.structuredValidation, t)));
 
     // Zähler
     const severityCounts = { Fehler: 0, Warnung: 0, Hinweis: 0 };
@@ -1316,14 +4579,28 @@ async function runJob(jobId, url, opts) {
     });
     const pagesWithIssues = new Set(findings.map((f) => f.url)).size;
 
+    const branding = resolveBranding(opts.branding);
+    if (branding.id !== (opts.branding || DEFAULT_BRANDING.id))
+      log(jobId, "warn", "Branding profile not found, using default", { branding: opts.branding });
+
     const result = {
       requestedUrl: url,
+      reportLanguage: t.lang,
+      branding,
       main,
       robots: {
         found: !!sm.robotsTxtFound,
+        status: rb.status,
         disallow: sm.disallow,
         broadBlock: sm.broadBlock,
-        sitemapListedInRobots: !!sm.sitemapListedInRobots
+        sitemapListedInRobots: !!sm.sitemapListedInRobots,
+        groups: rb.parsed.groups,
+        respected: !!respectRobots,
+        crawlDelay,
+        agents: robotsAgents,
+        blocked: robotsBlocked.slice(0, 500),
+        blockedCount: robotsBlocked.length,
+        skippedCount: skippedByRobots.length,
       },
       sitemap: {
         found: !!sm.sitemapFound,
@@ -1332,54 +4609,877 @@ async function runJob(jobId, url, opts) {
         coveragePct: sitemapCoveragePct,
       },
       discoveredCount: allUrls.length,
+      aiCrawlers,
+      llms,
+      hreflang,
+      canonicals,
+      duplicates,
+      linkGraph,
+      linkCheck: linkCheckResult,
+      redirects,
       orphanCandidates,
       sampledPages,
       crawl: { count: crawlAnalyses.length, analyses: crawlAnalyses },
+      deepPages,
+      schemaValidation: schemaValidation.slice(0, SCHEMA_MAX_ROWS),
+      schemaValidationCount: schemaValidation.length,
       findings,
       counts: { pagesScanned: allUrls.length, pagesWithIssues, severityCounts },
       issues,
       score,
+      siteScore,
+      ...(cancelled() ? { partial: true } : {}),
     };
-    set({ status: "done", progress: 100, result });
-    log(jobId, "info", "Job finished");
+    if (cancelled()) {
+      set({ status: "cancelled", stage: null, findingsCount: findings.length, result });
+      log(jobId, "info", "Job cancelled – partial result kept");
+    } else {
+      set({ status: "done", progress: 100, stage: null, findingsCount: findings.length, result });
+      history.add(historySnapshot(jobId, result, allUrls));
+      log(jobId, "info", "Job finished");
+    }
   } catch (e) {
+    if (cancelled()) {
+      set({ status: "cancelled" });
+      log(jobId, "info", "Job cancelled", { error: e.message });
+      return;
+    }
     set({ status: "error", error: e.message });
     log(jobId, "error", "Job failed", { error: e.message });
   }
 }
 
 // ---------- API ----------
+const runningJobs = new Map(); // jobId -> AbortController
+
+// Scoring-Kriterien + eingebaute Profile – Grundlage für die scoringProfile-Option (?lang=en)
+app.get("/api/scoring-profiles", (req, res) => {
+  const t = translator(req.query.lang);
+  res.json({
+    criteria: SCORE_CRITERIA.map(({ id, group }) => ({ id, group, label: t(`criteria.${id}`) })),
+    profiles: Object.entries(SCORING_PROFILES).map(([id, p]) => ({ id, label: t(`profiles.${id}`), weights: p.weights })),
+  });
+});
+// Berichtssprachen (reportLanguage-Option)
+app.get("/api/report-languages", (_req, res) =>
+  res.json(REPORT_LANGUAGES.map((id) => ({ id, name: I18N[id].name, locale: I18N[id].locale })))
+);
+// Regelkatalog (IDs, Defaults, Texte je Berichtssprache) – Grundlage für die rules-Option von /api/analyze
+app.get("/api/rules", (_req, res) => {
+  const ts = REPORT_LANGUAGES.map((lang) => [lang, translator(lang)]);
+  res.json(
+    RULES.map((r) => ({
+      id: r.id,
+      scopes: Object.keys(r.check),
+      category: r.category,
+      location: r.location,
+      severity: r.severity,
+      impact: r.impact,
+      params: r.params || {},
+      text: Object.fromEntries(ts.map(([lang, t]) => [lang, { ...t.raw(`rules.${r.id}`) }])),
+    }))
+  );
+});
+
+// Job anlegen + starten (API und Zeitpläne); done erfüllt sich nach Ende von runJob
+function startJob(data, { scheduleId } = {}) {
+  const jobId = crypto.randomUUID();
+  jobs.set(jobId, { status: "queued", progress: 0, url: data.url, options: data, logs: [], ...(scheduleId ? { scheduleId } : {}) });
+  log(null, "info", "New job queued", { jobId, url: data.url, scheduleId });
+  const ctrl = new AbortController();
+  runningJobs.set(jobId, ctrl);
+  const done = runJob(jobId, data.url, data, { signal: ctrl.signal })
+    .finally(() => runningJobs.delete(jobId))
+    .then(() => {
+      notifyJob(jobId);
+    });
+  return { jobId, done };
+}
+
 app.post("/api/analyze", (req, res) => {
   const parsed = AnalyzeBody.safeParse(req.body);
   if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
-  const data = parsed.data;
-  const jobId = crypto.randomUUID();
-  jobs.set(jobId, { status: "queued", progress: 0, logs: [] });
-  log(null, "info", "New job queued", { jobId, url: data.url });
-  runJob(jobId, data.url, data);
-  res.json({ jobId });
+  res.json({ jobId: startJob(parsed.data).jobId });
+});
+app.post("/api/cancel/:jobId", (req, res) => {
+  const job = jobs.get(req.params.jobId);
+  if (!job) return res.status(404).json({ error: "Job not found" });
+  const ctrl = runningJobs.get(req.params.jobId);
+  if (!ctrl || !["queued", "running"].includes(job.status))
+    return res.status(409).json({ error: "Job not running", status: job.status });
+  const next = jobs.set(req.params.jobId, { ...job, status: "cancelling" });
+  emitJob(req.params.jobId, "status", jobStatus(next));
+  log(req.params.jobId, "info", "Cancel requested");
+  ctrl.abort();
+  res.json({ status: "cancelling" });
 });
 app.get("/api/status/:jobId", (req, res) => {
   const job = jobs.get(req.params.jobId);
   if (!job) return res.status(404).json({ error: "Job not found" });
-  res.json({ status: job.status, progress: job.progress ?? 0 });
+  res.json(jobStatus(job));
+});
+// Live-Stream: erst ein Snapshot (inkl. bisheriger Logs), danach nur noch Deltas
+app.get("/api/events/:jobId", (req, res) => {
+  const jobId = req.params.jobId;
+  const job = jobs.get(jobId);
+  if (!job) return res.status(404).json({ error: "Job not found" });
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
+  let id = 0;
+  const send = (type, data) => res.write(`id: ${++id}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+
+  send("snapshot", { ...jobStatus(job), logs: job.logs || [] });
+  if (TERMINAL_STATUSES.includes(job.status)) {
+    send("end", jobStatus(job));
+    return res.end();
+  }
+
+  const ping = setInterval(() => res.write(": ping\n\n"), 15000);
+  const cleanup = () => {
+    clearInterval(ping);
+    jobEvents.off(jobId, onEvent);
+  };
+  function onEvent({ type, data }) {
+    send(type, data);
+    if (type === "status" && TERMINAL_STATUSES.includes(data.status)) {
+      send("end", data);
+      cleanup();
+      res.end();
+    }
+  }
+  jobEvents.on(jobId, onEvent);
+  req.on("close", cleanup);
 });
 app.get("/api/result/:jobId", (req, res) => {
   const job = jobs.get(req.params.jobId);
   if (!job) return res.status(404).json({ error: "Job not found" });
-  if (job.status !== "done")
+  if (!job.result)
     return res.status(409).json({ error: "Job not finished", status: job.status });
   res.json(job.result);
 });
+// Historie: Domains, Läufe je Domain, Diff zweier Läufe
+app.get("/api/history", (_req, res) => res.json(history.hosts()));
+app.get("/api/history/:host", (req, res) => res.json(history.list(req.params.host)));
+app.get("/api/diff/:jobId", (req, res) => {
+  const { diff, error, code } = diffForJob(req.params.jobId, req.query.base);
+  if (error) return res.status(code).json({ error });
+  res.json(diff);
+});
 app.get("/api/logs/:jobId", (req, res) => {
   const job = jobs.get(req.params.jobId);
   if (!job) return res.status(404).json({ error: "Job not found" });
   res.json({ logs: job.logs || [] });
 });
 
+app.get("/api/llms/:jobId.txt", (req, res) => {
+  const job = jobs.get(req.params.jobId);
+  if (!job) return res.status(404).json({ error: "Job not found" });
+  if (!job.result)
+    return res.status(409).json({ error: "Job not finished", status: job.status });
+  if (!job.result.llms?.proposed) return res.status(404).json({ error: "No llms.txt proposal" });
+  const filename = `llms_${new URL(job.result.requestedUrl).hostname}.txt`;
+  res.setHeader("Content-Type", "text/plain; charset=utf-8");
+  res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+  res.send(job.result.llms.proposed);
+});
+
+// ---------- Webhooks ----------
+// Nach Jobende (done/error) und bei Regression gegenüber dem Vorlauf wird eine JSON-
+// Zusammenfassung an webhookUrl gePOSTet, optional HMAC-SHA256-signiert (X-GEO-Signature-256).
+// Wiederholung bei Netzwerkfehler/5xx/429 mit Backoff; jeder Versuch landet im Delivery-Log des Jobs.
+const PUBLIC_BASE_URL = (process.env.PUBLIC_BASE_URL || `http://localhost:${process.env.PORT || 3001}`).replace(/\/+$/, "");
+const WEBHOOK_MAX_ATTEMPTS = 5;
+const WEBHOOK_TIMEOUT_MS = 10_000;
+const WEBHOOK_BACKOFF_MS = 2000; // 2s, 4s, 8s, 16s
+const WEBHOOK_MAX_RETRY_AFTER_MS = 60_000;
+
+// Retry-After (Sekunden oder HTTP-Datum) in ms, null wenn fehlend/ungültig
+function retryAfterMs(value) {
+  if (!value) return null;
+  const ms = /^\d+$/.test(value.trim()) ? Number(value) * 1000 : Date.parse(value) - Date.now();
+  return Number.isFinite(ms) ? Math.max(0, ms) : null;
+}
+
+const redactOptions = (o) => (o?.webhookSecret ? { ...o, webhookSecret: "***" } : o);
+
+// Regression: Score gesunken (gleiches Profil) oder neue Fehler-Findings
+function regressionOf(diff) {
+  if (!diff) return null;
+  // "new" stammt aus matchFindings (url + ruleId + subject): geänderte Zahlen im Befundtext
+  // oder eine andere Sprache erzeugen hier keine neuen Fehler mehr
+  const newErrors = diff.findings.new.filter((f) => f.status === "Fehler").length;
+  // Score-Vergleich nur bei gleichem Scoring-Profil aussagekräftig
+  const dropped = !diff.score.profileChanged && ((diff.score.total.delta ?? 0) < 0 || (diff.score.site.delta ?? 0) < 0);
+  if (!dropped && !newErrors) return null;
+  return {
+    baseJobId: diff.base.jobId,
+    score: diff.score.total,
+    siteScore: diff.score.site,
+    newErrors,
+    newFindings: diff.findings.counts.new,
+    resolvedFindings: diff.findings.counts.resolved,
+  };
+}
+
+function webhookPayload(event, jobId, job, regression) {
+  const r = job.result;
+  return {
+    event,
+    jobId,
+    url: job.url,
+    status: job.status,
+    ...(job.scheduleId ? { scheduleId: job.scheduleId } : {}),
+    finishedAt: job.updatedAt,
+    score: r ? { total: r.score.total, profile: r.score.profile?.id || "standard" } : null,
+    siteScore: r?.siteScore?.total ?? null,
+    severityCounts: r?.counts.severityCounts ?? null,
+    pagesWithIssues: r?.counts.pagesWithIssues ?? null,
+    resultUrl: `${PUBLIC_BASE_URL}/api/result/${jobId}`,
+    reportUrl: `${PUBLIC_BASE_URL}/api/report/${jobId}.pdf`,
+    ...(regression ? { regression } : {}),
+    ...(job.error ? { error: job.error } : {}),
+    sentAt: new Date().toISOString(),
+  };
+}
+
+function recordDelivery(jobId, delivery) {
+  const job = jobs.get(jobId);
+  if (!job) return;
+  const others = (job.webhookDeliveries || []).filter((d) => d.id !== delivery.id);
+  jobs.set(jobId, { ...job, webhookDeliveries: [...others, delivery] });
+}
+
+async function deliverWebhook(jobId, { url, secret }, payload) {
+  const body = JSON.stringify(payload);
+  const delivery = { id: crypto.randomUUID(), event: payload.event, url, status: "pending", attempts: [], createdAt: new Date().toISOString() };
+  const headers = {
+    "Content-Type": "application/json",
+    "User-Agent": UA,
+    "X-GEO-Event": payload.event,
+    "X-GEO-Delivery": delivery.id,
+  };
+  if (secret) headers["X-GEO-Signature-256"] = `sha256=${crypto.createHmac("sha256", secret).update(body).digest("hex")}`;
+
+  for (let attempt = 1; attempt <= WEBHOOK_MAX_ATTEMPTS; attempt++) {
+    const t0 = Date.now();
+    let retry = true;
+    let retryAfter = null;
+    try {
+      const r = await fetch(url, { method: "POST", headers, body, signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS) });
+      r.body?.cancel().catch(() => {});
+      delivery.attempts.push({ at: new Date(t0).toISOString(), httpStatus: r.status, durationMs: Date.now() - t0 });
+      if (r.ok) {
+        delivery.status = "delivered";
+        delivery.deliveredAt = new Date().toISOString();
+        break;
+      }
+      retry = r.status >= 500 || r.status === 429;
+      retryAfter = retryAfterMs(r.headers.get("retry-after"));
+    } catch (e) {
+      delivery.attempts.push({ at: new Date(t0).toISOString(), httpStatus: null, error: e.message, durationMs: Date.now() - t0 });
+    }
+    if (!retry || attempt === WEBHOOK_MAX_ATTEMPTS) {
+      delivery.status = "failed";
+      break;
+    }
+    recordDelivery(jobId, delivery);
+    // Retry-After des Empfängers verlängert den Backoff (gedeckelt), verkürzt ihn aber nie
+    const wait = Math.max(WEBHOOK_BACKOFF_MS * 2 ** (attempt - 1), Math.min(retryAfter ?? 0, WEBHOOK_MAX_RETRY_AFTER_MS));
+    await new Promise((r) => setTimeout(r, wait));
+  }
+  recordDelivery(jobId, delivery);
+  const last = delivery.attempts[delivery.attempts.length - 1];
+  log(jobId, delivery.status === "delivered" ? "info" : "warn", `Webhook ${delivery.status}`, {
+    event: payload.event,
+    attempts: delivery.attempts.length,
+    httpStatus: last?.httpStatus,
+    error: last?.error,
+  });
+  return delivery;
+}
+
+// Nach runJob: Ereignis bestimmen und zustellen (abgebrochene Jobs lösen nichts aus)
+function notifyJob(jobId) {
+  const job = jobs.get(jobId);
+  const url = job?.options?.webhookUrl;
+  if (!url || !["done", "error"].includes(job.status)) return Promise.resolve(null);
+  const regression = job.status === "done" && history.has(jobId) ? regressionOf(diffForJob(jobId).diff) : null;
+  const event = job.status === "error" ? "job.failed" : regression ? "job.regressed" : "job.finished";
+  return deliverWebhook(jobId, { url, secret: job.options.webhookSecret }, webhookPayload(event, jobId, job, regression));
+}
+
+app.get("/api/webhooks/:jobId", (req, res) => {
+  const job = jobs.get(req.params.jobId);
+  if (!job) return res.status(404).json({ error: "Job not found" });
+  res.json({ webhookUrl: job.options?.webhookUrl || null, deliveries: job.webhookDeliveries || [] });
+});
+
+// ---------- Zeitpläne (wiederkehrende Audits) ----------
+// Im Server-Prozess: Zeitpläne liegen in DATA_DIR/schedules.json, ein Ticker startet fällige
+// Läufe über startJob. Ergebnisse landen wie jeder Lauf in der Historie; nach jedem Lauf
+// wird gegen den vorherigen Lauf derselben Domain verglichen. Zeiten = Server-Zeitzone.
+const SCHEDULES_FILE = path.join(DATA_DIR, "schedules.json");
+const SCHEDULE_TICK_MS = 30_000;
+
+// Cron (5 Felder: Minute Stunde Tag Monat Wochentag) mit * , - / und Namen (JAN, MON …)
+const CRON_FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "dom", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12, names: ["JAN", "FEB", "MAR", "APR", "MAY", "JUN", "JUL", "AUG", "SEP", "OCT", "NOV", "DEC"] },
+  { name: "dow", min: 0, max: 7, names: ["SUN", "MON", "TUE", "WED", "THU", "FRI", "SAT"] },
+];
+
+function parseCron(expr) {
+  const parts = (expr || "").trim().split(/\s+/);
+  if (parts.length !== 5) throw new Error("Cron expression needs 5 fields");
+  const out = {};
+  CRON_FIELDS.forEach((f, i) => {
+    const values = new Set();
+    const num = (v) => {
+      const idx = f.names ? f.names.indexOf(v.toUpperCase()) : -1;
+      const n = idx >= 0 ? idx + (f.name === "month" ? 1 : 0) : /^\d+$/.test(v) ? Number(v) : NaN;
+      if (!(n >= f.min && n <= f.max)) throw new Error(`Invalid ${f.name} value "${v}"`);
+      return n;
+    };
+    for (const item of parts[i].split(",")) {
+      const [range, stepRaw] = item.split("/");
+      const step = stepRaw === undefined ? 1 : Number(stepRaw);
+      if (!Number.isInteger(step) || step < 1) throw new Error(`Invalid ${f.name} step "${item}"`);
+      let [lo, hi] = [f.min, f.max];
+      if (range !== "*") {
+        const [a, b] = range.split("-");
+        lo = num(a);
+        hi = b === undefined ? (stepRaw === undefined ? lo : f.max) : num(b);
+        if (hi < lo) throw new Error(`Invalid ${f.name} range "${item}"`);
+      }
+      for (let v = lo; v <= hi; v += step) values.add(f.name === "dow" && v === 7 ? 0 : v);
+    }
+    out[f.name] = values;
+    // wie Vixie-Cron: jedes Feld, das mit * beginnt (auch */2), gilt für die Tag-ODER-Regel als uneingeschränkt
+    out[`${f.name}Any`] = parts[i].startsWith("*");
+  });
+  return out;
+}
+
+function nextCronTime(cron, from = Date.now()) {
+  const d = new Date(from);
+  d.setSeconds(0, 0);
+  d.setMinutes(d.getMinutes() + 1);
+  const limit = from + 5 * 366 * 24 * 3600 * 1000;
+  // Tag passt: Standard-Cron verknüpft Tag + Wochentag mit ODER, wenn beide eingeschränkt sind
+  const dayOk = (x) => {
+    const dom = cron.dom.has(x.getDate());
+    const dow = cron.dow.has(x.getDay());
+    if (cron.domAny || cron.dowAny) return dom && dow;
+    return dom || dow;
+  };
+  while (d.getTime() < limit) {
+    if (!cron.month.has(d.getMonth() + 1)) {
+      d.setMonth(d.getMonth() + 1, 1);
+      d.setHours(0, 0, 0, 0);
+    } else if (!dayOk(d)) {
+      d.setDate(d.getDate() + 1);
+      d.setHours(0, 0, 0, 0);
+    } else if (!cron.hour.has(d.getHours())) {
+      d.setHours(d.getHours() + 1, 0, 0, 0);
+    } else if (!cron.minute.has(d.getMinutes())) {
+      d.setMinutes(d.getMinutes() + 1, 0, 0);
+    } else return d.getTime();
+  }
+  return null;
+}
+
+// daily/weekly → Cron
+function scheduleToCron(s) {
+  if (s.type === "cron") return s.expr.trim();
+  const [h, m] = s.time.split(":").map(Number);
+  return s.type === "daily" ? `${m} ${h} * * *` : `${m} ${h} * * ${s.weekday}`;
+}
+
+const cronValid = (expr) => {
+  try {
+    return nextCronTime(parseCron(expr)) !== null;
+  } catch {
+    return false;
+  }
+};
+const HHMM = z.string().regex(/^([01]\d|2[0-3]):[0-5]\d$/, "Expected HH:MM");
+const ScheduleBody = z.object({
+  config: AnalyzeBody,
+  schedule: z.discriminatedUnion("type", [
+    z.object({ type: z.literal("daily"), time: HHMM.optional().default("03:00") }),
+    z.object({ type: z.literal("weekly"), weekday: z.number().int().min(0).max(6).optional().default(1), time: HHMM.optional().default("03:00") }),
+    z.object({ type: z.literal("cron"), expr: z.string().refine(cronValid, "Invalid cron expression") }),
+  ]),
+  label: z.string().max(120).optional(),
+  paused: z.boolean().optional().default(false),
+});
+
+// Kleine JSON-Datei-Ablage (Liste von Objekten mit id) – Zeitpläne, Branding-Profile
+function createJsonListStore(file, tag) {
+  const mem = new Map(); // id -> Eintrag
+  function save() {
+    const tmp = `${file}.tmp`;
+    try {
+      fs.writeFileSync(tmp, JSON.stringify([...mem.values()], null, 2));
+      fs.renameSync(tmp, file);
+    } catch (e) {
+      console.error(`[${tag}] write failed`, e.message);
+    }
+  }
+  try {
+    for (const s of JSON.parse(fs.readFileSync(file, "utf8"))) mem.set(s.id, s);
+  } catch (e) {
+    if (e.code !== "ENOENT") console.error(`[${tag}] unreadable file`, e.message);
+  }
+  return {
+    get: (id) => mem.get(id),
+    values: () => [...mem.values()],
+    set(id, s) {
+      mem.set(id, s);
+      save();
+      return s;
+    },
+    delete(id) {
+      const had = mem.delete(id);
+      if (had) save();
+      return had;
+    },
+  };
+}
+
+const schedules = createJsonListStore(SCHEDULES_FILE, "schedules");
+const nextRunFor = (s, from = Date.now()) => {
+  const t = nextCronTime(parseCron(s.cron), from);
+  return t ? new Date(t).toISOString() : null;
+};
+
+function runSchedule(s) {
+  const { jobId, done } = startJob(s.config, { scheduleId: s.id });
+  schedules.set(s.id, { ...s, lastRunAt: new Date().toISOString(), lastJobId: jobId, lastStatus: "running", nextRunAt: nextRunFor(s) });
+  log(null, "info", "Scheduled audit started", { scheduleId: s.id, jobId, url: s.config.url });
+  done.then(() => {
+    const cur = schedules.get(s.id);
+    if (!cur) return;
+    const job = jobs.get(jobId);
+    const { diff } = job?.status === "done" ? diffForJob(jobId) : {};
+    const lastDiff = diff
+      ? {
+          baseJobId: diff.base.jobId,
+          score: diff.score.total,
+          siteScore: diff.score.site,
+          findings: diff.findings.counts,
+          urls: diff.urls.counts,
+        }
+      : null;
+    schedules.set(s.id, { ...cur, lastStatus: job?.status || "error", lastDiff });
+    log(null, "info", "Scheduled audit finished", { scheduleId: s.id, jobId, status: job?.status, diff: lastDiff });
+  });
+}
+
+function tickSchedules() {
+  const now = Date.now();
+  for (const s of schedules.values()) {
+    if (s.paused || !s.nextRunAt || Date.parse(s.nextRunAt) > now) continue;
+    // Vorheriger Lauf noch aktiv → diesen Termin auslassen
+    if (s.lastJobId && runningJobs.has(s.lastJobId)) {
+      log(null, "warn", "Scheduled audit skipped, previous run still active", { scheduleId: s.id, jobId: s.lastJobId });
+      schedules.set(s.id, { ...s, nextRunAt: nextRunFor(s, now) });
+      continue;
+    }
+    runSchedule(s);
+  }
+}
+
+const publicSchedule = (s) => ({ ...s, config: redactOptions(s.config), running: !!(s.lastJobId && runningJobs.has(s.lastJobId)) });
+
+app.get("/api/schedules", (_req, res) => res.json(schedules.values().map(publicSchedule)));
+app.post("/api/schedules", (req, res) => {
+  const parsed = ScheduleBody.safeParse(req.body);
+  if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
+  const { config, schedule, label, paused } = parsed.data;
+  const s = {
+    id: crypto.randomUUID(),
+    label: label || new URL(config.url).host,
+    config,
+    schedule,
+    cron: scheduleToCron(schedule),
+    paused,
+    createdAt: new Date().toISOString(),
+    lastRunAt: null,
+    lastJobId: null,
+    lastStatus: null,
+    lastDiff: null,
+  };
+  s.nextRunAt = nextRunFor(s);
+  schedules.set(s.id, s);
+  log(null, "info", "Schedule created", { scheduleId: s.id, url: config.url, cron: s.cron });
+  res.status(201).json(publicSchedule(s));
+});
+app.get("/api/schedules/:id", (req, res) => {
+  const s = schedules.get(req.params.id);
+  if (!s) return res.status(404).json({ error: "Schedule not found" });
+  res.json(publicSchedule(s));
+});
+app.post("/api/schedules/:id/pause", (req, res) => {
+  const s = schedules.get(req.params.id);
+  if (!s) return res.status(404).json({ error: "Schedule not found" });
+  res.json(publicSchedule(schedules.set(s.id, { ...s, paused: true })));
+});
+app.post("/api/schedules/:id/resume", (req, res) => {
+  const s = schedules.get(req.params.id);
+  if (!s) return res.status(404).json({ error: "Schedule not found" });
+  res.json(publicSchedule(schedules.set(s.id, { ...s, paused: false, nextRunAt: nextRunFor(s) })));
+});
+app.delete("/api/schedules/:id", (req, res) => {
+  if (!schedules.delete(req.params.id)) return res.status(404).json({ error: "Schedule not found" });
+  log(null, "info", "Schedule deleted", { scheduleId: req.params.id });
+  res.status(204).end();
+});
+
+// ---------- Export (CSV/XLSX) ----------
+// Tabellen des Ergebnisses: Spalten [Katalogschlüssel export.columns.*, Feld | (row, t) => Wert].
+// CSV = eine Tabelle, XLSX = alle Tabellen als Blätter; Sprache = reportLanguage des Jobs.
+const yesNo = (v, t) => t(v ? "common.yesLower" : "common.noLower");
+const pageColumns = [
+  ["url", "url"],
+  ["http", "status"],
+  ["title", "title"],
+  ["titleLength", "titleLen"],
+  ["descriptionLength", "metaDescLen"],
+  ["canonical", (p, t) => yesNo(p.canonical, t)],
+  ["lang", (p, t) => yesNo(p.lang, t)],
+  ["h1", "h1Count"],
+  ["h2", "h2Count"],
+  ["words", "wordCount"],
+  ["jsonLd", "jsonLdCount"],
+  ["microdata", "microdataCount"],
+  ["rdfa", "rdfaCount"],
+  ["jsonLdTypes", (p) => Object.keys(p.types || {}).join(", ")],
+  ["findings", (p) => (p.findings || []).length],
+];
+const EXPORT_TABLES = {
+  findings: {
+    rows: (r) => r.findings || [],
+    columns: [
+      ["url", "url"],
+      ["category", (f, t) => t.term("category", f.category)],
+      ["location", (f, t) => t.term("location", f.location)],
+      ["status", (f, t) => t.term("severity", f.status)],
+      ["issue", "issue"],
+      ["fix", "fix"],
+      ["example", "example"],
+      ["impact", (f, t) => t.term("impact", f.impact)],
+      ["ruleId", "ruleId"],
+    ],
+  },
+  sitemap: { rows: (r) => r.sampledPages || [], columns: pageColumns },
+  crawl: { rows: (r) => r.crawl?.analyses || [], columns: pageColumns },
+  deep: {
+    rows: (r) => r.deepPages || [],
+    columns: [
+      ["url", "url"],
+      ["finalUrl", "finalUrl"],
+      ["http", "status"],
+      ["redirects", "redirectChain"],
+      ["indexable", (p, t) => yesNo(p.indexable, t)],
+      ["title", "title"],
+      ["titleLength", "titleLength"],
+      ["descriptionLength", "metaDescriptionLength"],
+      ["canonical", "canonical"],
+      ["lang", "lang"],
+      ["h1", "h1Count"],
+      ["h2", "h2Count"],
+      ["words", "wordCount"],
+      ["jsonLdTypes", (p) => p.jsonLdTypes.join(", ")],
+      ["schemaErrors", "schemaErrors"],
+      ["schemaWarnings", "schemaWarnings"],
+      ["renderDelta", "renderDeltaPct"],
+      ["bigImages", "bigImages"],
+      ["lazy", "lazyRatio"],
+      ["score", "score"],
+      ["findings", "findingsCount"],
+    ],
+  },
+  schema: {
+    rows: (r) => r.schemaValidation || [],
+    columns: [
+      ["url", "url"],
+      ["block", "block"],
+      ["syntax", (i) => SD_SYNTAX_LABELS[i.syntax] || i.syntax],
+      ["jsonLdTypes", "types"],
+      ["path", "path"],
+      ["status", (i, t) => t(`schema.severity.${i.severity}`)],
+      ["issue", "message"],
+      ["code", "code"],
+    ],
+  },
+  hreflang: {
+    rows: (r) => [...(r.hreflang?.pages || [])].sort((a, b) => a.cluster - b.cluster),
+    columns: [
+      ["cluster", "cluster"],
+      ["url", "url"],
+      ["languages", (e) => e.alternates.map((a) => `${a.lang}=${a.href}`).join(" ")],
+      ["sources", (e) => e.sources.join(", ")],
+      ["noReturn", (e) => e.noReturn.map((x) => x.href).join(" ")],
+      ["brokenTargets", (e) => [...e.broken, ...e.notIndexable].map((x) => x.href).join(" ")],
+      ["invalidCodes", (e) => e.invalidCodes.join(", ")],
+      ["conflicts", (e) => e.conflicts.map((c) => c.lang).join(", ")],
+      ["selfReference", (e, t) => yesNo(!e.selfMissing, t)],
+    ],
+  },
+  canonical: {
+    rows: (r) => r.canonicals?.pages || [],
+    columns: [
+      ["url", "url"],
+      ["canonicalTarget", "canonical"],
+      ["canonicalHeader", "header"],
+      ["targetStatus", (e) => e.targetStatus ?? ""],
+      ["clusterTarget", "final"],
+      ["chain", (e) => (e.chain || []).join(" → ")],
+      ["problems", (e, t) => e.problems.map((k) => t(`report.canonical.problems.${k}`)).join(", ")],
+    ],
+  },
+  duplicates: {
+    rows: (r) => (r.duplicates?.groups || []).flatMap((g) => g.urls.map((url) => ({ ...g, url }))),
+    columns: [
+      ["group", "id"],
+      ["kind", (g, t) => t(`report.duplicates.kinds.${g.kind}`)],
+      ["value", "value"],
+      ["similarity", (g) => g.similarity ?? ""],
+      ["url", "url"],
+    ],
+  },
+  links: {
+    rows: (r) => r.linkGraph?.nodes || [],
+    columns: [
+      ["url", "url"],
+      ["depth", (n) => n.depth ?? ""],
+      ["inlinks", "inlinks"],
+      ["outlinks", "outlinks"],
+      ["rank", "rank"],
+      ["inSitemap", (n, t) => yesNo(n.inSitemap, t)],
+      ["anchors", (n) => n.anchors.map((a) => `${a.text} (${a.count})`).join("; ")],
+    ],
+  },
+  brokenLinks: {
+    rows: (r) => (r.linkCheck?.broken || []).flatMap((e) => e.sources.map((src) => ({ ...e, ...src }))),
+    columns: [
+      ["sourcePage", "page"],
+      ["target", "url"],
+      ["kind", (e, t) => t(`report.linkCheck.kinds.${e.kind}`)],
+      ["status", (e) => (e.soft404 ? "Soft-404" : e.status || e.error || "")],
+      ["finalUrl", (e) => e.finalUrl || ""],
+      ["anchor", "text"],
+    ],
+  },
+  redirects: {
+    rows: (r) => r.redirects?.chains || [],
+    columns: [
+      ["url", "url"],
+      ["hops", (e) => hopsText(e)],
+      ["redirects", (e) => e.hops.length],
+      ["finalUrl", "finalUrl"],
+      ["finalStatus", (e) => e.status ?? e.error ?? ""],
+      ["temporary", (e, t) => yesNo(e.temporary.length > 0, t)],
+      ["loop", (e, t) => yesNo(!!(e.loop || e.tooMany), t)],
+    ],
+  },
+  orphans: {
+    rows: (r) => (r.orphanCandidates || []).map((url) => ({ url })),
+    columns: [["url", "url"]],
+  },
+};
+
+const exportCell = (row, col, t) => {
+  const v = typeof col[1] === "function" ? col[1](row, t) : row[col[1]];
+  return v ?? "";
+};
+
+// Semikolon + BOM: öffnet sich in deutschem Excel ohne Import-Dialog
+function toCsv(table, r) {
+  const t = translator(r.reportLanguage);
+  const quote = (v) => {
+    let s = String(v);
+    if (typeof v === "string" && /^[=+\-@]/.test(s)) s = `'${s}`; // Formel-Injection verhindern
+    return /[";\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  };
+  const lines = [table.columns.map((c) => quote(t(`export.columns.${c[0]}`))).join(";")];
+  for (const row of table.rows(r)) lines.push(table.columns.map((c) => quote(exportCell(row, c, t))).join(";"));
+  return "\uFEFF" + lines.join("\r\n") + "\r\n";
+}
+
+async function writeXlsx(r, stream) {
+  const t = translator(r.reportLanguage);
+  const wb = new ExcelJS.Workbook();
+  wb.creator = "GEO-Analyzer";
+  wb.created = new Date();
+  for (const [id, table] of Object.entries(EXPORT_TABLES)) {
+    const ws = wb.addWorksheet(t(`export.sheets.${id}`), { views: [{ state: "frozen", ySplit: 1 }] });
+    ws.columns = table.columns.map(([key]) => {
+      const header = t(`export.columns.${key}`);
+      return { header, width: key === "url" || key === "issue" ? 60 : Math.max(10, header.length + 2) };
+    });
+    for (const row of table.rows(r)) ws.addRow(table.columns.map((c) => exportCell(row, c, t)));
+    ws.getRow(1).font = { bold: true };
+    ws.autoFilter = { from: { row: 1, column: 1 }, to: { row: 1, column: table.columns.length } };
+  }
+  await wb.xlsx.write(stream);
+}
+
+const exportName = (r, ext) => `geo_${new URL(r.requestedUrl).hostname}_${new Date().toISOString().slice(0, 10)}.${ext}`;
+
+app.get("/api/export/:jobId.xlsx", async (req, res) => {
+  const job = jobs.get(req.params.jobId);
+  if (!job) return res.status(404).json({ error: "Job not found" });
+  if (!job.result) return res.status(409).json({ error: "Job not finished", status: job.status });
+  res.setHeader("Content-Type", "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
+  res.setHeader("Content-Disposition", `attachment; filename="${exportName(job.result, "xlsx")}"`);
+  try {
+    await writeXlsx(job.result, res);
+    res.end();
+  } catch (e) {
+    log(req.params.jobId, "error", "XLSX export failed", { error: e.message });
+    if (!res.headersSent) res.status(500).json({ error: "XLSX export failed" });
+    else res.destroy(e);
+  }
+});
+// Linkgraph als GraphML oder JSON (Knoten + Kanten mit Linkanzahl)
+app.get("/api/export/:jobId/links.:format(graphml|json)", (req, res) => {
+  const job = jobs.get(req.params.jobId);
+  if (!job) return res.status(404).json({ error: "Job not found" });
+  if (!job.result) return res.status(409).json({ error: "Job not finished", status: job.status });
+  const g = job.result.linkGraph;
+  if (!g) return res.status(404).json({ error: "No link graph (crawl disabled)" });
+  res.setHeader("Content-Disposition", `attachment; filename="${exportName(job.result, `links.${req.params.format}`)}"`);
+  if (req.params.format === "graphml") return res.type("application/graphml+xml").send(linkGraphToGraphml(g));
+  res.json({
+    startUrl: g.startUrl,
+    complete: g.complete,
+    nodes: g.nodes,
+    edges: g.edges.map(([source, target, count]) => ({ source: g.nodes[source].url, target: g.nodes[target].url, count })),
+  });
+});
+app.get("/api/export/:jobId/:table.csv", (req, res) => {
+  const job = jobs.get(req.params.jobId);
+  if (!job) return res.status(404).json({ error: "Job not found" });
+  if (!job.result) return res.status(409).json({ error: "Job not finished", status: job.status });
+  const table = EXPORT_TABLES[req.params.table];
+  if (!table) return res.status(404).json({ error: "Unknown table", tables: Object.keys(EXPORT_TABLES) });
+  res.setHeader("Content-Type", "text/csv; charset=utf-8");
+  res.setHeader("Content-Disposition", `attachment; filename="${exportName(job.result, `${req.params.table}.csv`)}"`);
+  res.send(toCsv(table, job.result));
+});
+
+// ---------- Branding (White-Label) ----------
+// Profile für Kopf, Deckblatt, Farben und Fußzeile von Browser-Bericht und PDF. Das Profil
+// wird beim Jobende ins Ergebnis übernommen (result.branding), spätere Änderungen wirken
+// nur auf neue Läufe. "default" ist eingebaut und nicht änderbar.
+const BRANDING_FILE = path.join(DATA_DIR, "branding.json");
+const DEFAULT_BRANDING = {
+  id: "default",
+  name: "DMVConsult",
+  logoUrl: null,
+  company: {
+    name: "DMVConsult – Beate Zöllner – dmv daten- & medienverarbeitung",
+    address: "In der Esmecke 31 – 59846 Sundern",
+    phone: "mobil 0171 64 79030",
+    email: "",
+    website: "",
+  },
+  colors: { primary: "#111111", accent: "#dddddd" },
+  footerText: "",
+  cover: { enabled: false },
+};
+
+const HEX_COLOR = z.string().regex(/^#[0-9a-fA-F]{6}$/, "Expected #RRGGBB");
+const BrandingBody = z
+  .object({
+    name: z.string().min(1).max(120),
+    // http(s)-URL oder eingebettetes Bild (data:image/…;base64) – wird im PDF mitgerendert
+    logoUrl: z
+      .string()
+      .max(300_000)
+      .refine(
+        (u) => /^https?:\/\/\S+$/i.test(u) || /^data:image\/(png|jpeg|gif|webp|svg\+xml);base64,[A-Za-z0-9+/=]+$/.test(u),
+        "Expected http(s) or data:image URL"
+      )
+      .nullable()
+      .optional()
+      .default(null),
+    company: z
+      .object({
+        name: z.string().max(200).optional().default(""),
+        address: z.string().max(200).optional().default(""),
+        phone: z.string().max(60).optional().default(""),
+        email: z.string().max(120).optional().default(""),
+        website: z.string().max(200).optional().default(""),
+      })
+      .strict()
+      .optional()
+      .default({}),
+    colors: z
+      .object({ primary: HEX_COLOR.optional().default("#111111"), accent: HEX_COLOR.optional().default("#dddddd") })
+      .strict()
+      .optional()
+      .default({}),
+    footerText: z.string().max(300).optional().default(""),
+    cover: z
+      .object({
+        enabled: z.boolean().optional().default(false),
+        title: z.string().max(200).optional(),
+        subtitle: z.string().max(300).optional(),
+      })
+      .strict()
+      .optional()
+      .default({}),
+  })
+  .strict();
+
+const brandings = createJsonListStore(BRANDING_FILE, "branding");
+const brandingExists = (id) => id === DEFAULT_BRANDING.id || !!brandings.get(id);
+const resolveBranding = (id) => (id && id !== DEFAULT_BRANDING.id && brandings.get(id)) || DEFAULT_BRANDING;
+
+app.get("/api/branding", (_req, res) => res.json([{ ...DEFAULT_BRANDING, builtIn: true }, ...brandings.values()]));
+app.post("/api/branding", (req, res) => {
+  const parsed = BrandingBody.safeParse(req.body);
+  if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
+  const b = { id: crypto.randomUUID(), ...parsed.data, createdAt: new Date().toISOString() };
+  brandings.set(b.id, b);
+  log(null, "info", "Branding profile created", { brandingId: b.id, name: b.name });
+  res.status(201).json(b);
+});
+app.get("/api/branding/:id", (req, res) => {
+  if (req.params.id === DEFAULT_BRANDING.id) return res.json({ ...DEFAULT_BRANDING, builtIn: true });
+  const b = brandings.get(req.params.id);
+  if (!b) return res.status(404).json({ error: "Branding profile not found" });
+  res.json(b);
+});
+app.put("/api/branding/:id", (req, res) => {
+  if (req.params.id === DEFAULT_BRANDING.id) return res.status(403).json({ error: "Built-in branding profile is read-only" });
+  const b = brandings.get(req.params.id);
+  if (!b) return res.status(404).json({ error: "Branding profile not found" });
+  const parsed = BrandingBody.safeParse(req.body);
+  if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
+  res.json(brandings.set(b.id, { id: b.id, ...parsed.data, createdAt: b.createdAt, updatedAt: new Date().toISOString() }));
+});
+app.delete("/api/branding/:id", (req, res) => {
+  if (req.params.id === DEFAULT_BRANDING.id) return res.status(403).json({ error: "Built-in branding profile is read-only" });
+  if (!brandings.delete(req.params.id)) return res.status(404).json({ error: "Branding profile not found" });
+  log(null, "info", "Branding profile deleted", { brandingId: req.params.id });
+  res.status(204).end();
+});
+
 // ---------- PDF ----------
 function esc(s) {
-  return (s ?? "").toString().replace(/[&<>]/g, (m) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;" }[m]));
+  return (s ?? "").toString().replace(/[&<>"]/g, (m) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" }[m]));
 }
 const td = (v) => `<td>${esc(v)}</td>`;
 function table(rows, headers, cls = "") {
@@ -1397,10 +5497,26 @@ function mark(v) {
 }
 
 function buildReportHtml(r) {
+  const t = translator(r.reportLanguage);
+  const b = r.branding || DEFAULT_BRANDING;
   const host = new URL(r.requestedUrl).host;
+  const created = new Date().toLocaleString(t.locale);
+  const company = [b.company.name, b.company.address, b.company.phone, b.company.email, b.company.website].filter(Boolean).join(" – ");
+  const logo = b.logoUrl ? `<img class="logo" src="${esc(b.logoUrl)}" alt="${esc(b.name)}">` : "";
   const main = r.main;
+  const group = (g) => t(`groups.${g}`);
   const issues = r.issues?.map((x) => `<li>${esc(x)}</li>`).join("") || "";
-  const sd = main.structuredData?.types || {};
+  // Top-Level-Entitäten je Syntax; ältere Ergebnisse ohne entities: Typzählung
+  const entities = main.structuredData?.entities;
+  const sd = entities
+    ? entities.reduce((acc, e) => {
+        for (const type of e.types) {
+          const k = `${type} · ${SD_SYNTAX_LABELS[e.syntax]}`;
+          acc[k] = (acc[k] || 0) + 1;
+        }
+        return acc;
+      }, {})
+    : main.structuredData?.types || {};
   const sdList = Object.keys(sd)
     .map((k) => `${esc(k)} (${sd[k]})`)
     .join(", ");
@@ -1426,67 +5542,451 @@ function buildReportHtml(r) {
 
   const findRows = (r.findings || []).map(
     (x) =>
-      `<tr>${td(x.url)}${td(x.category)}${td(x.location)}${td(x.status)}${td(x.issue)}${td(
-        x.fix
-      )}${td(x.example)}${td(x.impact)}</tr>`
+      `<tr>${td(x.url)}${td(t.term("category", x.category))}${td(t.term("location", x.location))}${td(
+        t.term("severity", x.status)
+      )}${td(x.issue)}${td(x.fix)}${td(x.example)}${td(t.term("impact", x.impact))}</tr>`
   );
 
   // --- Check-Matrix (deckt deine 14 Punkte ab) ---
   const idealTitle = main.meta.titleLength >= 50 && main.meta.titleLength <= 60;
   const idealDesc  = main.meta.metaDescriptionLength >= 140 && main.meta.metaDescriptionLength <= 180;
 
+  // [Themenfeld, Prüfpunkt, Status] – Schlüssel aus report.matrixGroups / report.matrix
   const matrix = [
-    ["Technik/Indexierung", "HTTP 2xx/3xx", mark(main.http.status >= 200 && main.http.status < 400)],
-    ["Technik/Indexierung", "Redirect-Kette ≤1", mark(main.http.redirectChain <= 1)],
-    ["Technik/Indexierung", "robots.txt erreichbar", mark(r.robots.found)],
-    ["Technik/Indexierung", "Sitemap in robots.txt verlinkt", mark(r.robots.sitemapListedInRobots)],
-    ["Technik/Indexierung", "Sitemap vorhanden", mark(r.sitemap.found)],
-    ["Technik/Indexierung", "No broad Disallow", mark(!r.robots.broadBlock)],
-    ["Technik/Indexierung", "<meta robots> nicht noindex", mark(!(main.meta.robotsMeta||"").toLowerCase().includes("noindex"))],
-    ["Technik/Indexierung", "Canonical vorhanden", mark(!!main.meta.canonical)],
-    ["Technik/Indexierung", "Sitemap-Abdeckung", `${r.sitemap.coveragePct ?? "—"}%`],
-
-    ["Internationalisierung", "hreflang vorhanden", mark(main.flags.hreflangCount>0 || "warn")],
-    ["Internationalisierung", "x-default vorhanden", mark(main.flags.hreflangCount>0 ? (main.flags.hreflangXDefault?"ok":"warn") : "warn")],
-
-    ["Performance/Rendering", "Große Bilder (>500KB) ≤3", mark(main.flags.bigImages<=3 ? "ok" : "warn")],
-    ["Performance/Rendering", "Lazy-Load sinnvoll", mark(main.flags.lazyRatio>=50 ? "ok" : "warn")],
-    ["Performance/Rendering", "CSR-Delta moderat", mark(main.flags.renderDeltaPct!=null && main.flags.renderDeltaPct<=50 ? "ok" : "warn")],
-    ["Performance/Rendering", "Caching-Header", mark(main.flags.hasCaching?"ok":"warn")],
-
-    ["Struktur/Semantik", "Title 50–60", mark(idealTitle ? "ok" : "warn")],
-    ["Struktur/Semantik", "Description 140–180", mark(idealDesc ? "ok" : "warn")],
-    ["Struktur/Semantik", "1× H1", mark(main.headings.h1Count===1)],
-    ["Struktur/Semantik", "H2 vorhanden", mark(main.flags.h2Count>=1 ? "ok":"warn")],
-    ["Struktur/Semantik", "Heading-Hierarchie", mark(main.flags.hOrderOk?"ok":"warn")],
-    ["Struktur/Semantik", "URL sauber", mark(main.flags.urlClean?"ok":"warn")],
-    ["Struktur/Semantik", "Breadcrumb (Schema)", mark(main.flags.hasBreadcrumb?"ok":"warn")],
-
-    ["OG/Social", "OG komplett (T/D/Img)", mark(main.flags.ogComplete?"ok":"warn")],
-    ["OG/Social", "Twitter Card", mark(main.flags.twitterOk?"ok":"warn")],
-    ["OG/Social", "summary_large_image", mark(main.flags.twitterLarge?"ok":"warn")],
-
-    ["Schema.org", "WebSite (+SearchAction)", mark(main.flags.hasWebsite && main.flags.hasSearchAction?"ok":"warn")],
-    ["Schema.org", "Organization/LocalBusiness", mark(main.flags.hasOrganization || main.flags.hasLocalBusiness?"ok":"warn")],
-    ["Schema.org", "FAQ/Breadcrumb/Article", mark((main.flags.hasFAQ||main.flags.hasBreadcrumb||main.flags.hasArticle)?"ok":"warn")],
-    ["Schema.org", "Product(+Offer)", mark(main.flags.hasProduct ? (main.flags.productFields.offer && main.flags.productFields.price && main.flags.productFields.currency ? "ok" : "warn") : "warn")],
-
-    ["Content & LLM", "≥200 Wörter", mark(main.flags.wordCount>=200?"ok":"warn")],
-    ["Content & LLM", "ALT-Quote ok", mark(main.images.missingAltRatio<=0.2?"ok":"warn")],
-    ["Content & LLM", "JSON-LD im <head>", mark(main.flags.jsonLdInHead?"ok":"warn")],
-
-    ["GEO/Local", "NAP vollständig", mark(main.flags.hasLocalBusiness ? ((main.flags.localFields.telephone && main.flags.localFields.address) ? "ok" : "warn") : "warn")],
-    ["GEO/Local", "Öffnungszeiten vorhanden", mark(main.flags.hasLocalBusiness ? (main.flags.localFields.hours?"ok":"warn") : "warn")],
-
-    ["Barrierefreiheit/Recht", "<html lang>", mark(!!main.meta.lang)],
-    ["Barrierefreiheit/Recht", "Form-Labels (Stichprobe)", "→ siehe Tabelle"],
-    ["Barrierefreiheit/Recht", "Impressum/Datenschutz verlinkt", "→ siehe Tabelle"],
+    ["indexing", "http", mark(main.http.status >= 200 && main.http.status < 400)],
+    ["indexing", "redirects", mark(main.http.redirectChain <= 1)],
+    ["indexing", "robotsFound", mark(r.robots.found)],
+    ["indexing", "sitemapInRobots", mark(r.robots.sitemapListedInRobots)],
+    ["indexing", "sitemapFound", mark(r.sitemap.found)],
+    ["indexing", "noBroadDisallow", mark(!r.robots.broadBlock)],
+    ["indexing", "noNoindex", mark(!(main.meta.robotsMeta||"").toLowerCase().includes("noindex"))],
+    ["indexing", "canonical", mark(!!main.meta.canonical)],
+    ["indexing", "sitemapCoverage", `${r.sitemap.coveragePct ?? "—"}%`],
+
+    ["i18n", "hreflang", mark(main.flags.hreflangCount>0 || "warn")],
+    ["i18n", "xDefault", mark(main.flags.hreflangCount>0 ? (main.flags.hreflangXDefault?"ok":"warn") : "warn")],
+
+    ["performance", "bigImages", mark(main.flags.bigImages<=3 ? "ok" : "warn")],
+    ["performance", "lazy", mark(main.flags.lazyRatio>=50 ? "ok" : "warn")],
+    ["performance", "csr", mark(main.flags.renderDeltaPct!=null && main.flags.renderDeltaPct<=50 ? "ok" : "warn")],
+    ["performance", "caching", mark(main.flags.hasCaching?"ok":"warn")],
+
+    ["structure", "title", mark(idealTitle ? "ok" : "warn")],
+    ["structure", "description", mark(idealDesc ? "ok" : "warn")],
+    ["structure", "h1", mark(main.headings.h1Count===1)],
+    ["structure", "h2", mark(main.flags.h2Count>=1 ? "ok":"warn")],
+    ["structure", "headingOrder", mark(main.flags.hOrderOk?"ok":"warn")],
+    ["structure", "urlClean", mark(main.flags.urlClean?"ok":"warn")],
+    ["structure", "breadcrumb", mark(main.flags.hasBreadcrumb?"ok":"warn")],
+
+    ["social", "og", mark(main.flags.ogComplete?"ok":"warn")],
+    ["social", "twitter", mark(main.flags.twitterOk?"ok":"warn")],
+    ["social", "twitterLarge", mark(main.flags.twitterLarge?"ok":"warn")],
+
+    ["schema", "website", mark(main.flags.hasWebsite && main.flags.hasSearchAction?"ok":"warn")],
+    ["schema", "organization", mark(main.flags.hasOrganization || main.flags.hasLocalBusiness?"ok":"warn")],
+    ["schema", "richTypes", mark((main.flags.hasFAQ||main.flags.hasBreadcrumb||main.flags.hasArticle)?"ok":"warn")],
+    ["schema", "product", mark(main.flags.hasProduct ? (main.flags.productFields.offer && main.flags.productFields.price && main.flags.productFields.currency ? "ok" : "warn") : "warn")],
+
+    ["content", "words", mark(main.flags.wordCount>=200?"ok":"warn")],
+    ["content", "alt", mark(main.images.missingAltRatio<=0.2?"ok":"warn")],
+    ["content", "jsonLdHead", mark(main.flags.jsonLdInHead?"ok":"warn")],
+    ["content", "aiCrawlers", r.aiCrawlers ? mark(r.aiCrawlers.crawlers.some((c)=>c.key && ["disallowed","blocked"].includes(c.access)) ? "warn" : "ok") : "—"],
+    ["content", "llms", r.llms ? mark(r.llms.llmsTxt.found ? (r.llms.problems.length ? "warn" : "ok") : "warn") : "—"],
+
+    ["local", "nap", mark(main.flags.hasLocalBusiness ? ((main.flags.localFields.telephone && main.flags.localFields.address) ? "ok" : "warn") : "warn")],
+    ["local", "hours", mark(main.flags.hasLocalBusiness ? (main.flags.localFields.hours?"ok":"warn") : "warn")],
+
+    ["a11y", "lang", mark(!!main.meta.lang)],
+    ["a11y", "formLabels", t("report.matrix.seeTable")],
+    ["a11y", "legalLinks", t("report.matrix.seeTable")],
   ];
 
-  const matrixRows = matrix.map(rw => `<tr>${td(rw[0])}${td(rw[1])}${td(rw[2])}</tr>`);
+  // KI-Crawler-Zugriff
+  const aiRows = (r.aiCrawlers?.crawlers || []).map(
+    (c) =>
+      `<tr>${td(c.token + (c.key ? " *" : ""))}${td(c.vendor)}${td(t.term("aiPurpose", c.purpose))}${td(
+        c.robots === "allowed"
+          ? `${t("report.ai.allowed")}${c.explicitGroup ? "" : t("report.ai.viaWildcard")}`
+          : t("report.ai.disallowed", { rule: c.rule || "" })
+      )}${td(c.blockedUrls)}${td(
+        c.http
+          ? `${c.http.status || t("report.ai.httpError")}${c.http.challenge ? t("report.ai.challenge") : ""}`
+          : t("report.ai.robotsOnly")
+      )}${td(t.raw(`report.ai.access.${c.access}`) || c.access)}</tr>`
+  );
+  const aiSection = r.aiCrawlers
+    ? `<h2>${esc(t("report.ai.title"))}</h2>
+  <p class="small">${esc(t("report.ai.baseline", { status: r.aiCrawlers.baseline?.status ?? "—" }))}${
+      r.aiCrawlers.baseline?.challenge ? esc(t("report.ai.baselineChallenge")) : ""
+    } · ${esc(t("report.ai.keyNote"))}</p>
+  ${table(aiRows, t("report.ai.headers"), "striped narrow")}`
+    : "";
+
+  // Vergleich mit einem früheren Lauf (nur wenn r.diff mitgegeben wird)
+  const df = r.diff;
+  const fmtDelta = (d) => (d.delta == null ? "—" : d.delta > 0 ? `+${d.delta}` : `${d.delta}`);
+  const deltaRow = (label, d) => `<tr>${td(label)}${td(d.from ?? "—")}${td(d.to ?? "—")}${td(fmtDelta(d))}</tr>`;
+  const diffFindingRows = (list) =>
+    list
+      .slice(0, 50)
+      .map((f) => `<tr>${td(f.url)}${td(t.term("category", f.category))}${td(t.term("severity", f.status))}${td(f.issue)}</tr>`);
+  const diffSection = df
+    ? `<h2>${esc(t("report.diff.title", { date: new Date(df.base.finishedAt).toLocaleString(t.locale) }))}</h2>
+  ${table(
+    [
+      deltaRow(t("report.scoreMain"), df.score.total),
+      ...Object.entries(df.score.breakdown).map(([g, d]) => deltaRow(t("report.diff.mainGroup", { group: group(g) }), d)),
+      deltaRow(t("report.scoreSite"), df.score.site),
+    ],
+    t("report.diff.headers"),
+    "narrow"
+  )}
+  <p class="small">${esc(
+    t("report.diff.summary", { ...df.findings.counts, ...df.urls.counts })
+  )}${df.score.profileChanged ? esc(t("report.diff.profileChanged")) : ""}</p>
+  ${df.findings.new.length ? `<h2>${esc(t("report.diff.newFindings"))}</h2>${table(diffFindingRows(df.findings.new), t("report.diff.findingHeaders"), "striped narrow")}` : ""}
+  ${df.findings.resolved.length ? `<h2>${esc(t("report.diff.resolvedFindings"))}</h2>${table(diffFindingRows(df.findings.resolved), t("report.diff.findingHeaders"), "striped narrow")}` : ""}
+  ${df.urls.added.length || df.urls.removed.length
+      ? `<h2>${esc(t("report.diff.urlChanges"))}</h2>${table(
+          [
+            ...df.urls.added.slice(0, 30).map((u) => `<tr>${td(u)}${td(t("report.diff.added"))}</tr>`),
+            ...df.urls.removed.slice(0, 30).map((u) => `<tr>${td(u)}${td(t("report.diff.removed"))}</tr>`),
+          ],
+          t("report.diff.urlHeaders"),
+          "narrow"
+        )}`
+      : ""}`
+    : "";
+
+  // Score-Herleitung: je Kriterium vergebene/mögliche Punkte
+  const scoreSection = r.score.points?.length
+    ? `<h2>${esc(t("report.score.title", { profile: r.score.profile?.label || t("profiles.standard") }))}</h2>
+  ${table(
+    r.score.points.map(
+      (p) => `<tr>${td(p.label)}${td(group(p.group))}${td(`${p.points}/${p.weight}`)}<td>${mark(p.passed ? "ok" : "fail")}</td></tr>`
+    ),
+    t("report.score.headers")
+  )}
+  <p class="small">${esc(
+    t("report.score.reached", {
+      earned: r.score.points.reduce((a, p) => a + p.points, 0),
+      max: r.score.maxPoints,
+      note: r.score.maxPoints > 100 ? t("report.score.capped") : r.score.maxPoints < 100 ? t("report.score.scaled") : "",
+    })
+  )}</p>`
+    : "";
+
+  // Gesamtsite: Verteilung je Bereich, schwächste Kriterien und Seiten
+  const ss = r.siteScore;
+  const siteScoreSection = ss?.pageCount
+    ? `<h2>${esc(t("report.site.title", { total: ss.total }))}</h2>
+  <p class="small">${esc(
+    t("report.site.summary", {
+      pages: ss.pageCount,
+      deep: ss.deepCount,
+      light: ss.pageCount - ss.deepCount - ss.brokenCount,
+      broken: ss.brokenCount,
+      high: ss.buckets["80-100"],
+      mid: ss.buckets["50-79"],
+      low: ss.buckets["0-49"],
+    })
+  )}</p>
+  ${table(
+    Object.entries(ss.groups).map(
+      ([g, v]) => `<tr>${td(group(g))}${td(v.avgPct == null ? "—" : `${v.avgPct}%`)}${td(v.buckets["80-100"])}${td(v.buckets["50-79"])}${td(v.buckets["0-49"])}</tr>`
+    ),
+    t("report.site.groupHeaders")
+  )}
+  <h2>${esc(t("report.site.weakCriteria"))}</h2>
+  ${table(
+    ss.criteria.filter((c) => c.passRate < 100).slice(0, 10).map((c) => `<tr>${td(c.label)}${td(group(c.group))}${td(`${c.passRate}%`)}${td(c.measured)}</tr>`),
+    t("report.site.criteriaHeaders")
+  )}
+  <h2>${esc(t("report.site.worstPages"))}</h2>
+  ${table(
+    ss.worstPages.map(
+      (p) =>
+        `<tr>${td(p.url)}${td(p.total)}${td(
+          p.broken ? t("report.site.broken", { status: p.status ?? "—" }) : t(p.source === "deep" ? "report.site.deep" : "report.site.light")
+        )}${td(p.missed.join(", "))}</tr>`
+    ),
+    t("report.site.pageHeaders"),
+    "narrow"
+  )}`
+    : "";
+
+  // llms.txt: Status, Probleme, Vorschlag
+  const llms = r.llms;
+  const llmsSection = llms
+    ? `<h2>${esc(t("report.llms.title"))}</h2>
+  <p class="small">/llms.txt: ${esc(
+    llms.llmsTxt.found
+      ? t("report.llms.found", { bytes: llms.llmsTxt.bytes, links: llms.llmsTxt.linkCount || 0, unreachable: llms.llmsTxt.unreachable?.length || 0 })
+      : t("report.llms.missing", { status: llms.llmsTxt.httpStatus || "—" })
+  )} · /llms-full.txt: ${esc(llms.llmsFullTxt.found ? t("report.llms.fullFound", { bytes: llms.llmsFullTxt.bytes }) : t("report.llms.fullMissing"))}</p>
+  ${llms.problems.length ? `<ul class="small">${llms.problems.map((x) => `<li><b>${esc(t.term("severity", x.status))}</b>: ${esc(x.issue)}</li>`).join("")}</ul>` : ""}
+  ${llms.proposed ? `<h2>${esc(t("report.llms.proposal"))}</h2><pre class="small" style="white-space:pre-wrap">${esc(llms.proposed.split("\n").slice(0, 60).join("\n"))}${llms.proposed.split("\n").length > 60 ? "\n…" : ""}</pre>` : ""}`
+    : "";
+
+  // hreflang-Cluster: eine Zeile je Seite mit hreflang (max. 200), nach Cluster sortiert
+  const hl = r.hreflang;
+  const hlSources = (e) => e.sources.map((x) => t(`report.hreflang.sources.${x}`)).join(", ");
+  const hreflangSection = hl
+    ? `<h2>${esc(t("report.hreflang.title"))}</h2>
+  <p class="small">${esc(
+    t("report.hreflang.summary", {
+      clusters: hl.clusters.length,
+      pages: hl.pages.length,
+      problems: hl.clusters.reduce((n, c) => n + c.problems, 0),
+    }) + (hl.targetsSkipped ? t("report.hreflang.skipped", { count: hl.targetsSkipped }) : "")
+  )}</p>
+  ${table(
+    [...hl.pages]
+      .sort((a, b) => a.cluster - b.cluster)
+      .slice(0, 200)
+      .map(
+        (e) =>
+          `<tr>${td(e.cluster)}${td(e.url)}${td(e.alternates.map((a) => a.lang).join(", "))}${td(hlSources(e))}${td(
+            e.noReturn.length
+          )}${td(e.broken.length + e.notIndexable.length)}${td(e.invalidCodes.join(", ") || "—")}${td(e.conflicts.length)}${td(
+            t(e.selfMissing ? "common.no" : "common.yes")
+          )}</tr>`
+      ),
+    t("report.hreflang.headers"),
+    "striped narrow"
+  )}`
+    : "";
+
+  // Canonical-Cluster: Endziele mit fremden Seiten oder Problemen (max. 100)
+  const cg = r.canonicals;
+  const canonicalProblems = (problems) =>
+    CANONICAL_PROBLEMS.filter((k) => problems[k])
+      .map((k) => `${t(`report.canonical.problems.${k}`)} (${problems[k]})`)
+      .join(", ");
+  const canonicalSection = cg
+    ? `<h2>${esc(t("report.canonical.title"))}</h2>
+  <p class="small">${esc(
+    t("report.canonical.summary", { pages: cg.pages.length, self: cg.selfCount, clusters: cg.clusters.length }) +
+      (cg.targetsSkipped ? t("report.canonical.skipped", { count: cg.targetsSkipped }) : "")
+  )}</p>
+  ${table(
+    cg.clusters
+      .slice(0, 100)
+      .map(
+        (c) =>
+          `<tr>${td(c.target || "—")}${td(c.targetStatus ?? "—")}${td(c.pages)}${td(
+            listPreview(c.urls, (u) => u) || "—"
+          )}${td(canonicalProblems(c.problems) || "—")}</tr>`
+      ),
+    t("report.canonical.headers"),
+    "striped narrow"
+  )}`
+    : "";
+
+  // Duplikate: Gruppen nach Größe (max. 100)
+  const dup = r.duplicates;
+  const dupValue = (g) => (g.kind === "content" ? t("report.duplicates.similarity", { similarity: g.similarity }) : g.value);
+  const duplicatesSection = dup?.groups.length
+    ? `<h2>${esc(t("report.duplicates.title"))}</h2>
+  <p class="small">${esc(
+    t("report.duplicates.summary", { groups: dup.groups.length, pages: dup.pagesChecked, content: dup.contentChecked })
+  )}</p>
+  ${table(
+    dup.groups
+      .slice(0, 100)
+      .map(
+        (g) =>
+          `<tr>${td(g.id)}${td(t(`report.duplicates.kinds.${g.kind}`))}${td(dupValue(g))}${td(g.urls.length)}${td(
+            listPreview(g.urls, (u) => u)
+          )}</tr>`
+      ),
+    t("report.duplicates.headers"),
+    "striped narrow"
+  )}`
+    : "";
+
+  // Interner Linkgraph: tiefste und am schwächsten verlinkte wichtige Seiten, echte Orphans
+  const lg = r.linkGraph;
+  const linkRows = (list) =>
+    list.map(
+      (n) =>
+        `<tr>${td(n.url)}${td(n.depth)}${td(n.inlinks)}${td(n.rank)}${td(
+          n.anchors.map((a) => `${a.text} (${a.count})`).join(", ") || "—"
+        )}</tr>`
+    );
+  const linkGraphSection = lg
+    ? `<h2>${esc(t("report.linkGraph.title"))}</h2>
+  <p class="small">${esc(
+    t("report.linkGraph.summary", { pages: lg.nodes.length, links: lg.edges.length, depth: lg.maxDepth, orphans: lg.orphans.length }) +
+      (lg.complete ? "" : t("report.linkGraph.incomplete"))
+  )}</p>
+  ${lg.deepest.length ? `<p><b>${esc(t("report.linkGraph.deepest"))}</b></p>${table(linkRows(lg.deepest), t("report.linkGraph.headers"), "striped narrow")}` : ""}
+  ${lg.weakest.length ? `<p><b>${esc(t("report.linkGraph.weakest"))}</b></p>${table(linkRows(lg.weakest), t("report.linkGraph.headers"), "striped narrow")}` : ""}
+  ${[
+    ["orphans", lg.orphans],
+    ["unverifiedOrphans", lg.unverifiedOrphans || []],
+  ]
+    .filter(([, list]) => list.length)
+    .map(
+      ([key, list]) =>
+        `<p><b>${esc(t(`report.linkGraph.${key}`))}</b></p><ul class="small">${list
+          .slice(0, 50)
+          .map((u) => `<li>${esc(u)}</li>`)
+          .join("")}</ul>`
+    )
+    .join("")}`
+    : "";
+
+  // Linkcheck: kaputte Verweise (max. 200), intern vor extern vor Ressourcen
+  const lc = r.linkCheck;
+  const linkCheckSection = lc
+    ? `<h2>${esc(t("report.linkCheck.title"))}</h2>
+  <p class="small">${esc(
+    t("report.linkCheck.summary", { checked: lc.checked, ...lc.counts, broken: lc.broken.length }) +
+      (lc.skipped ? t("report.linkCheck.skipped", { count: lc.skipped }) : "") +
+      (lc.soft404Probe ? t("report.linkCheck.soft404Probe") : "")
+  )}</p>
+  ${
+    lc.broken.length
+      ? table(
+          lc.broken
+            .slice(0, 200)
+            .map(
+              (e) =>
+                `<tr>${td(e.url)}${td(t(`report.linkCheck.kinds.${e.kind}`))}${td(e.soft404 ? "Soft-404" : e.status || e.error || "—")}${td(
+                  e.sources
+                    .slice(0, 3)
+                    .map((src) => src.page)
+                    .join(", ") + (e.sourceCount > 3 ? ` (+${e.sourceCount - 3})` : "")
+                )}${td(e.sources.map((src) => src.text).filter(Boolean)[0] || "—")}</tr>`
+            ),
+          t("report.linkCheck.headers"),
+          "striped narrow"
+        )
+      : ""
+  }`
+    : "";
+
+  // Redirects: Normalisierung, Links auf Weiterleitungen je Quellseite, Redirect-Map (je max. 200)
+  const rd = r.redirects;
+  const redirectLinkRows = (rd?.linkSources || []).flatMap((e) => e.links.map((l) => ({ page: e.url, ...l })));
+  const redirectsSection = rd
+    ? `<h2>${esc(t("report.redirects.title"))}</h2>
+  <p class="small">${esc(
+    t("report.redirects.summary", {
+      traced: rd.traced,
+      chains: rd.chains.length,
+      loops: rd.chains.filter((e) => e.loop || e.tooMany).length,
+      temporary: rd.chains.filter((e) => e.temporary.length).length,
+      normalization: rd.normalization.length,
+      links: rd.linkSources.length,
+    }) + (rd.skipped ? t("report.redirects.skipped", { count: rd.skipped }) : "")
+  )}</p>
+  ${
+    rd.normalization.length
+      ? `<p><b>${esc(t("report.redirects.normalization"))}</b></p>${table(
+          rd.normalization.map(
+            (e) => `<tr>${td(e.url)}${td(t(`report.redirects.kinds.${e.kind}`))}${td(e.finalUrl)}${td(e.status ?? "—")}</tr>`
+          ),
+          t("report.redirects.normalizationHeaders"),
+          "striped narrow"
+        )}`
+      : ""
+  }
+  ${
+    redirectLinkRows.length
+      ? `<p><b>${esc(t("report.redirects.links"))}</b></p>${table(
+          redirectLinkRows
+            .slice(0, 200)
+            .map((l) => `<tr>${td(l.page)}${td(l.url)}${td(l.text || "—")}${td(l.hops)}${td(l.finalUrl)}</tr>`),
+          t("report.redirects.headers"),
+          "striped narrow"
+        )}`
+      : ""
+  }
+  ${
+    rd.chains.length
+      ? `<p><b>${esc(t("report.redirects.chains"))}</b></p>${table(
+          rd.chains
+            .slice(0, 200)
+            .map(
+              (e) =>
+                `<tr>${td(hopsText(e))}${td(e.loop ? "↺" : e.status ?? "—")}${td(t(e.temporary.length ? "common.yes" : "common.no"))}</tr>`
+            ),
+          t("report.redirects.chainHeaders"),
+          "striped narrow"
+        )}`
+      : ""
+  }`
+    : "";
+
+  // schema.org-Validierung: Issues je Seite/Block mit JSON-Pfad (max. 100 Zeilen)
+  const sv = r.schemaValidation;
+  const svErrors = (sv || []).filter((x) => x.severity === "error").length;
+  const schemaSection = sv
+    ? `<h2>${esc(t("report.schema.title"))}</h2>
+  <p class="small">${esc(
+    t("report.schema.summary", {
+      errors: svErrors,
+      warnings: sv.length - svErrors,
+      pages: new Set(sv.map((x) => x.url)).size,
+    }) + (r.schemaValidationCount > sv.length ? t("report.schema.truncated", { count: r.schemaValidationCount }) : "")
+  )}</p>
+  ${sv.length ? table(
+    sv.slice(0, 100).map(
+      (x) => `<tr>${td(x.url)}${td(x.block)}${td(SD_SYNTAX_LABELS[x.syntax] || "")}${td(x.types)}${td(x.path)}${td(t(`schema.severity.${x.severity}`))}${td(x.message)}</tr>`
+    ),
+    t("report.schema.headers"),
+    "striped narrow"
+  ) : ""}`
+    : "";
+
+  // robots.txt: Gruppen + gesperrte URLs je User-Agent
+  const rbGroups = (r.robots?.groups || []).map(
+    (g) =>
+      `<tr>${td(g.agents.join(", "))}${td(g.rules.filter((x) => x.type === "allow").length)}${td(
+        g.rules.filter((x) => x.type === "disallow").length
+      )}${td(g.crawlDelay ?? "—")}</tr>`
+  );
+  const rbBlocked = (r.robots?.blocked || []).map(
+    (b) => `<tr>${td(b.url)}${td(b.agents.join(", "))}${td(b.rule || "")}</tr>`
+  );
+  const robotsSection = r.robots?.groups
+    ? `<h2>${esc(t("report.robots.title"))}</h2>
+  <p class="small">${esc(
+    [
+      t("report.robots.status", { status: r.robots.status }),
+      t(r.robots.respected ? "report.robots.respected" : "report.robots.ignored"),
+      r.robots.crawlDelay ? t("report.robots.crawlDelay", { seconds: r.robots.crawlDelay }) : null,
+      t("report.robots.blocked", { count: r.robots.blockedCount || 0 }) +
+        (r.robots.skippedCount ? t("report.robots.skipped", { count: r.robots.skippedCount }) : ""),
+    ]
+      .filter(Boolean)
+      .join(" · ")
+  )}</p>
+  ${table(rbGroups, t("report.robots.groupHeaders"), "striped narrow")}
+  ${rbBlocked.length ? table(rbBlocked, t("report.robots.blockedHeaders"), "striped narrow") : ""}`
+    : "";
+
+  // Deckblatt (eigene Seite im PDF)
+  const cover = b.cover?.enabled
+    ? `<section class="cover">
+    ${logo}
+    <div class="coverTitle">${esc(b.cover.title || t("report.coverTitle"))}</div>
+    <div class="coverHost">${esc(host)}</div>
+    ${b.cover.subtitle ? `<div>${esc(b.cover.subtitle)}</div>` : ""}
+    <div class="small">${esc(t("report.created"))}: ${created}</div>
+    ${company ? `<div class="small">${esc(company)}</div>` : ""}
+  </section>`
+    : "";
+
+  const matrixRows = matrix.map(([g, k, v]) => `<tr>${td(t(`report.matrixGroups.${g}`))}${td(t(`report.matrix.${k}`))}${td(v)}</tr>`);
+  const fig = (k, v) => `<tr>${td(t(`report.figures.${k}`))}${td(v)}</tr>`;
+  const yesNo = (v) => t(v ? "common.yes" : "common.no");
 
   return `<!doctype html>
-<html><head><meta charset="utf-8"><title>GEO-Report ${esc(host)}</title>
+<html lang="${t.lang}"><head><meta charset="utf-8"><title>${esc(t("report.title", { host }))}</title>
 <style>
   @page{ size:A4 landscape; margin:14mm 12mm; }
   body{ font-family: -apple-system, Segoe UI, Roboto, Arial, sans-serif; font-size:12px; color:#111; }
@@ -1503,101 +6003,163 @@ function buildReportHtml(r) {
   .grid{ display:grid; grid-template-columns: 1fr 1fr; gap:10px; }
   ul{ margin:6px 0 0 16px; }
   .small{ color:#666; font-size:11px; }
+  h1,h2,.brand,.coverTitle{ color:${b.colors.primary}; }
+  .badge{ border-color:${b.colors.accent}; } .tbl th{ border-bottom:2px solid ${b.colors.accent}; }
+  .logo{ max-height:40px; max-width:200px; }
+  .head .logo{ float:left; margin-right:10px; }
+  .cover{ min-height:170mm; display:flex; flex-direction:column; justify-content:center; gap:10px; page-break-after:always; border-left:6px solid ${b.colors.accent}; padding-left:24px; }
+  .cover .logo{ max-height:80px; max-width:320px; }
+  .coverTitle{ font-size:30px; font-weight:600; } .coverHost{ font-size:20px; }
+  .footer{ margin-top:18px; padding-top:6px; border-top:1px solid ${b.colors.accent}; }
 </style></head>
 <body>
+  ${cover}
   <div class="head">
     <div>
-      <div class="brand">GEO-Analyse · Maschinenlesbarkeit</div>
-      <div class="small">DMVConsult – Beate Zöllner – dmv daten- & medienverarbeitung – In der Esmecke 31 – 59846 Sundern – mobil 0171 64 79030</div>
+      ${logo}
+      <div class="brand">${esc(t("report.brand"))}</div>
+      ${company ? `<div class="small">${esc(company)}</div>` : ""}
     </div>
-    <div class="meta">Domain: <b>${esc(host)}</b><br>Erstellt: ${new Date().toLocaleString()}</div>
+    <div class="meta">${esc(t("report.domain"))}: <b>${esc(host)}</b><br>${esc(t("report.created"))}: ${created}${r.partial ? `<br><b>${esc(t("report.partial"))}</b>` : ""}</div>
   </div>
 
-  <h1>Executive Summary</h1>
+  <h1>${esc(t("report.summary"))}</h1>
   <div class="score">
-    <div class="badge"><b>Score</b><br>${r.score.total}/100</div>
-    <div class="badge"><b>Structured</b><br>${r.score.breakdown.structuredData}</div>
-    <div class="badge"><b>Technical</b><br>${r.score.breakdown.technical}</div>
-    <div class="badge"><b>Content</b><br>${r.score.breakdown.content}</div>
-    <div class="badge"><b>Social</b><br>${r.score.breakdown.social}</div>
-    <div class="badge"><b>Seiten gescannt</b><br>${r.counts.pagesScanned}</div>
-    <div class="badge"><b>Seiten mit Issues</b><br>${r.counts.pagesWithIssues}</div>
-    <div class="badge"><b>Fehler/Warn/Hinw</b><br>${r.counts.severityCounts.Fehler||0} / ${r.counts.severityCounts.Warnung||0} / ${r.counts.severityCounts.Hinweis||0}</div>
-    <div class="badge"><b>Sitemap-Coverage</b><br>${r.sitemap.coveragePct ?? "—"}%</div>
+    <div class="badge"><b>${esc(t("report.scoreMain"))}</b><br>${r.score.total}/100${r.score.profile ? `<br><span class="small">${esc(r.score.profile.label)}</span>` : ""}</div>
+  <div class="badge"><b>${esc(t("report.scoreSite"))}</b><br>${r.siteScore?.total ?? "—"}/100${r.siteScore ? `<br><span class="small">${esc(t("report.pageCount", { count: r.siteScore.pageCount }))}</span>` : ""}</div>
+    ${SCORE_GROUPS.map((g) => `<div class="badge"><b>${esc(group(g))}</b><br>${r.score.breakdown[g]}</div>`).join("\n    ")}
+    <div class="badge"><b>${esc(t("report.pagesScanned"))}</b><br>${r.counts.pagesScanned}</div>
+    <div class="badge"><b>${esc(t("report.pagesWithIssues"))}</b><br>${r.counts.pagesWithIssues}</div>
+    <div class="badge"><b>${esc(t("report.severityCounts"))}</b><br>${r.counts.severityCounts.Fehler||0} / ${r.counts.severityCounts.Warnung||0} / ${r.counts.severityCounts.Hinweis||0}</div>
+    <div class="badge"><b>${esc(t("report.sitemapCoverage"))}</b><br>${r.sitemap.coveragePct ?? "—"}%</div>
   </div>
 
   <div class="grid">
     <div>
-      <h2>Auffälligkeiten (Hauptseite)</h2>
+      <h2>${esc(t("report.issues"))}</h2>
       <ul>${issues}</ul>
-      ${r.orphanCandidates?.length ? `<h2>Orphan-Kandidaten (Sitemap, nicht gecrawlt · max 50)</h2><ul class="small">${r.orphanCandidates.map(u=>`<li>${esc(u)}</li>`).join("")}</ul>` : ""}
+      ${r.orphanCandidates?.length ? `<h2>${esc(t("report.orphans"))}</h2><ul class="small">${r.orphanCandidates.map(u=>`<li>${esc(u)}</li>`).join("")}</ul>` : ""}
     </div>
     <div>
-      <h2>Hauptseite – Kennzahlen</h2>
+      <h2>${esc(t("report.keyFigures"))}</h2>
       ${table([
-        `<tr>${td("URL")}${td(main.finalUrl)}</tr>`,
-        `<tr>${td("HTTP-Status / Redirect-Kette")}${td(`${main.http.status} / ${main.http.redirectChain}`)}</tr>`,
-        `<tr>${td("Indexierbar")}${td(main.flags.indexable ? "Ja" : "Nein")}</tr>`,
-        `<tr>${td("Title/Description")}${td(`${main.meta.titleLength} / ${main.meta.metaDescriptionLength}`)}</tr>`,
-        `<tr>${td("Wortzahl (Body)")}${td(main.flags.wordCount)}</tr>`,
-        `<tr>${td("H1/H2")}${td(`${main.headings.h1Count}/${main.flags.h2Count}`)}</tr>`,
-        `<tr>${td("ALT-Fehlquote / Lazy-Load")}${td(`${Math.round((main.images.missingAltRatio||0)*100)}% / ${main.flags.lazyRatio}%`)}</tr>`,
-        `<tr>${td("JSON-LD Typen")}${td(sdList || "—")}</tr>`,
-        `<tr>${td("RAW→DOM Delta")}${td((main.flags.renderDeltaPct??0)+"%")}</tr>`,
-        `<tr>${td("Assets (KB) total / img / js / css")}${td(
-          `${totalToKB(main.flags.bytes.total)} / ${totalToKB(main.flags.bytes.img)} / ${totalToKB(main.flags.bytes.js)} / ${totalToKB(main.flags.bytes.css)}`
-        )}</tr>`,
-        `<tr>${td("Caching / URL sauber")}${td((main.flags.hasCaching?"Ja":"Nein") + " / " + (main.flags.urlClean?"Ja":"Nein"))}</tr>`
-      ], ["Feld","Wert"], "narrow")}
+        fig("url", main.finalUrl),
+        fig("http", `${main.http.status} / ${main.http.redirectChain}`),
+        fig("indexable", yesNo(main.flags.indexable)),
+        fig("titleDesc", `${main.meta.titleLength} / ${main.meta.metaDescriptionLength}`),
+        fig("words", main.flags.wordCount),
+        fig("headings", `${main.headings.h1Count}/${main.flags.h2Count}`),
+        fig("altLazy", `${Math.round((main.images.missingAltRatio||0)*100)}% / ${main.flags.lazyRatio}%`),
+        fig("jsonLdTypes", sdList || "—"),
+        fig("renderDelta", (main.flags.renderDeltaPct??0)+"%"),
+        fig("assets", `${totalToKB(main.flags.bytes.total)} / ${totalToKB(main.flags.bytes.img)} / ${totalToKB(main.flags.bytes.js)} / ${totalToKB(main.flags.bytes.css)}`),
+        fig("cachingUrl", `${yesNo(main.flags.hasCaching)} / ${yesNo(main.flags.urlClean)}`),
+      ], [t("report.field"), t("report.value")], "narrow")}
     </div>
   </div>
 
-  <h2>Check-Matrix (1–14 Themenfelder)</h2>
-  ${table(matrixRows, ["Kategorie","Prüfpunkt","Status"], "striped narrow")}
+  <h2>${esc(t("report.matrixTitle"))}</h2>
+  ${table(matrixRows, t("report.matrixHeaders"), "striped narrow")}
+
+  <h2>${esc(t("report.sitemapSample"))}</h2>
+  ${table(smRows, t("report.pageHeaders"), "striped narrow")}
 
-  <h2>Sitemap-Stichprobe (nur Seiten mit Findings)</h2>
-  ${table(smRows, ["URL","Status","Title","Desc","H1","H2","Wörter","JSON-LD","#Findings"], "striped narrow")}
+  <h2>${esc(t("report.crawlSample"))}</h2>
+  ${table(crRows, t("report.pageHeaders"), "striped narrow")}
 
-  <h2>Crawl-Stichprobe (nur Seiten mit Findings)</h2>
-  ${table(crRows, ["URL","Status","Title","Desc","H1","H2","Wörter","JSON-LD","#Findings"], "striped narrow")}
+  ${aiSection}
 
-  <h2>Befundtabelle (alle Findings)</h2>
-  ${table(findRows, ["URL","Kategorie","Fundstelle","Status","Issue","Fix","Beispiel","Impact"], "striped narrow")}
+  ${diffSection}
 
-  <h2>Was bedeuten die Fehler & wie beheben?</h2>
+  ${scoreSection}
+
+  ${siteScoreSection}
+
+  ${llmsSection}
+
+  ${robotsSection}
+
+  ${hreflangSection}
+
+  ${canonicalSection}
+
+  ${duplicatesSection}
+
+  ${linkGraphSection}
+
+  ${linkCheckSection}
+  ${redirectsSection}
+
+  ${schemaSection}
+
+  <h2>${esc(t("report.findings"))}</h2>
+  ${table(findRows, t("report.findingHeaders"), "striped narrow")}
+
+  <h2>${esc(t("report.explainTitle"))}</h2>
   <ul class="small">
-    <li><b>Indexierung/Technik</b>: 2xx/3xx sicherstellen, keine Ketten; <b>robots.txt</b> nicht pauschal blocken; <b>Canonical</b> je Seite setzen; <b>Sitemap</b> in robots.txt verlinken.</li>
-    <li><b>Performance/Rendering</b>: große Bilder verkleinern/komprimieren, <b>lazy</b>-Loading nutzen, CSS/JS minimieren, Caching (Cache-Control max-age) aktivieren; <b>CSR-Delta</b> groß → SSR/SSG erwägen.</li>
-    <li><b>Struktur/Semantik</b>: Title 50–60, Description 140–180; genau 1× H1; H2/H3-Hierarchie ohne Sprünge; saubere, kurze URLs; Breadcrumbs im Markup (Schema).</li>
-    <li><b>OG & Social</b>: og:title/description/image; Twitter <i>summary_large_image</i> für gute Previews.</li>
-    <li><b>Schema.org</b>: WebSite(+SearchAction), Organization/LocalBusiness(+NAP), BreadcrumbList, FAQPage; Product→Offer mit price/priceCurrency/availability; Article→author/date.</li>
-    <li><b>Content & LLM</b>: ≥200 Wörter Kerntext; Alt-Texte für Bilder; JSON-LD im <head>, nicht verspätet via JS injizieren.</li>
-    <li><b>GEO</b>: NAP-Konsistenz (Telefon/Adresse/Öffnungszeiten) auszeichnen; Bewertungen/AggregateRating wo passend.</li>
-    <li><b>A11y/Recht</b>: <code>&lt;html lang&gt;</code>, Formular-Labels/ARIA; Impressum & Datenschutz klar verlinken; Consent-Banner DSGVO-konform.</li>
+    ${t("report.explain").map((x) => `<li>${x}</li>`).join("\n    ")}
   </ul>
 
-  <p class="small">Hinweis: Ohne externe Messung (Lighthouse/CrUX) sind Performance-Werte Heuristiken.</p>
+  <p class="small">${esc(t("report.footnote"))}</p>
+  ${b.footerText ? `<div class="footer small">${esc(b.footerText)}</div>` : ""}
 </body></html>`;
 }
 
+// Bericht inkl. Vergleich mit ?base=<jobId> bzw. dem vorherigen Lauf, falls vorhanden
+function reportHtmlFor(jobId, job, baseId) {
+  const { diff } = history.has(jobId) ? diffForJob(jobId, baseId) : {};
+  return buildReportHtml(diff ? { ...job.result, diff } : job.result);
+}
+
+// Fußzeile des Branding-Profils auf jeder PDF-Seite (mit Seitenzahl)
+function pdfFooter(r) {
+  const text = r.branding?.footerText;
+  if (!text) return {};
+  const t = translator(r.reportLanguage);
+  return {
+    displayHeaderFooter: true,
+    headerTemplate: "<span></span>",
+    footerTemplate: `<div style="width:100%; font-size:8px; color:#666; padding:0 12mm; display:flex; justify-content:space-between;"><span>${esc(
+      text
+    )}</span><span>${esc(t("report.page"))} <span class="pageNumber"></span>/<span class="totalPages"></span></span></div>`,
+  };
+}
+
+// Browser-Bericht (Vorschau im UI); gleiche Quelle wie das PDF
+app.get("/api/report/:jobId.html", (req, res) => {
+  const job = jobs.get(req.params.jobId);
+  if (!job) return res.status(404).json({ error: "Job not found" });
+  if (!job.result) return res.status(409).json({ error: "Job not finished", status: job.status });
+  res.type("html").send(reportHtmlFor(req.params.jobId, job, req.query.base));
+});
+
 app.get("/api/report/:jobId.pdf", async (req, res) => {
   const job = jobs.get(req.params.jobId);
   if (!job) return res.status(404).json({ error: "Job not found" });
-  if (job.status !== "done")
+  if (!job.result)
     return res.status(409).json({ error: "Job not finished", status: job.status });
 
-  const html = buildReportHtml(job.result);
-  const chromium = await getChromium();
-  const browser = await chromium.launch({ headless: true });
-  const page = await browser.newPage({ viewport: { width: 1600, height: 1000 } });
-  await page.setContent(html, { waitUntil: "load" });
-  const pdf = await page.pdf({
-    format: "A4",
-    landscape: true,
-    printBackground: true,
-    margin: { top: "12mm", right: "12mm", bottom: "12mm", left: "12mm" },
-  });
-  await browser.close();
+  const html = reportHtmlFor(req.params.jobId, job, req.query.base);
+  let pdf;
+  try {
+    pdf = await browserPool.withContext(
+      async (ctx) => {
+        const page = await ctx.newPage();
+        await page.setContent(html, { waitUntil: "load" });
+        return page.pdf({
+          format: "A4",
+          landscape: true,
+          printBackground: true,
+          margin: { top: "12mm", right: "12mm", bottom: "12mm", left: "12mm" },
+          ...pdfFooter(job.result),
+        });
+      },
+      { contextOptions: { viewport: { width: 1600, height: 1000 } } }
+    );
+  } catch (e) {
+    log(req.params.jobId, "error", "PDF rendering failed", { error: e.message });
+    return res.status(500).json({ error: "PDF rendering failed" });
+  }
 
   const filename = `geo-report_${new URL(job.result.requestedUrl).hostname}.pdf`;
   res.setHeader("Content-Type", "application/pdf");
@@ -1606,5 +6168,19 @@ app.get("/api/report/:jobId.pdf", async (req, res) => {
 });
 
 // ---------- Boot ----------
+// Verpasste Termine (Server war aus) nicht nachholen, sondern neu planen
+for (const s of schedules.values())
+  if (!s.nextRunAt || Date.parse(s.nextRunAt) < Date.now()) schedules.set(s.id, { ...s, nextRunAt: nextRunFor(s) });
+const scheduleTimer = setInterval(tickSchedules, SCHEDULE_TICK_MS);
+scheduleTimer.unref?.();
+
+// SIGUSR2: Neustart durch nodemon – ausstehende Job-Schreibvorgänge nicht verlieren
+for (const sig of ["SIGINT", "SIGTERM", "SIGUSR2"]) {
+  process.on(sig, () => {
+    jobs.flush();
+    browserPool.close().finally(() => process.exit(0));
+  });
+}
+
 const PORT = process.env.PORT || 3001;
 app.listen(PORT, () => console.log(`GEO Analyzer Server listening on http://localhost:${PORT}`));
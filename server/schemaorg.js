@@ -0,0 +1,352 @@
+// ---------- schema.org-Typkatalog ----------
+// Auszug aus schema.org plus Anforderungen der Google-Rich-Results. Je Typ:
+//   parent       – Obertyp (Eigenschaften und Anforderungen werden vererbt)
+//   required     – Pflichtfelder; ein Array darin = mindestens eines davon
+//   recommended  – empfohlene Felder (gleiches Format)
+//   properties   – erwartete Werttypen: "A|B" = Typnamen, Datentypen (Text, URL, Date,
+//                  DateTime, Time, Duration, Number, Integer, Boolean) oder Enumerationen
+// Nicht aufgeführte Typen werden gezählt, aber nicht geprüft.
+
+export const SCHEMA_ENUMS = {
+  ItemAvailability: [
+    "InStock", "OutOfStock", "PreOrder", "BackOrder", "Discontinued", "InStoreOnly", "LimitedAvailability",
+    "OnlineOnly", "PreSale", "SoldOut", "Reserved", "MadeToOrder",
+  ],
+  OfferItemCondition: ["NewCondition", "UsedCondition", "RefurbishedCondition", "DamagedCondition"],
+  DayOfWeek: ["Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday", "Sunday", "PublicHolidays"],
+  EventStatusType: ["EventScheduled", "EventCancelled", "EventMovedOnline", "EventPostponed", "EventRescheduled"],
+  EventAttendanceModeEnumeration: ["OfflineEventAttendanceMode", "OnlineEventAttendanceMode", "MixedEventAttendanceMode"],
+};
+
+export const SCHEMA_TYPES = {
+  Thing: {
+    properties: {
+      name: "Text",
+      alternateName: "Text",
+      description: "Text",
+      url: "URL",
+      image: "URL|ImageObject",
+      sameAs: "URL",
+      identifier: "Text|URL|PropertyValue",
+      potentialAction: "Action|SearchAction",
+      mainEntityOfPage: "URL|WebPage",
+    },
+  },
+
+  // Organisation / lokal
+  Organization: {
+    parent: "Thing",
+    recommended: ["name", "url", "logo"],
+    properties: {
+      logo: "URL|ImageObject",
+      address: "PostalAddress|Text",
+      telephone: "Text",
+      email: "Text",
+      contactPoint: "ContactPoint",
+      foundingDate: "Date",
+      legalName: "Text",
+      vatID: "Text",
+      aggregateRating: "AggregateRating",
+      review: "Review",
+      founder: "Person",
+      parentOrganization: "Organization",
+    },
+  },
+  Corporation: { parent: "Organization" },
+  NGO: { parent: "Organization" },
+  EducationalOrganization: { parent: "Organization" },
+  LocalBusiness: {
+    parent: "Organization",
+    required: ["name", "address"],
+    recommended: ["telephone", "url", "openingHoursSpecification", "geo", "priceRange", "image"],
+    properties: {
+      openingHours: "Text",
+      openingHoursSpecification: "OpeningHoursSpecification",
+      geo: "GeoCoordinates",
+      priceRange: "Text",
+      areaServed: "Text|Place|AdministrativeArea",
+      hasMap: "URL",
+    },
+  },
+  Store: { parent: "LocalBusiness" },
+  Restaurant: { parent: "LocalBusiness", recommended: ["servesCuisine", "menu"], properties: { servesCuisine: "Text", menu: "URL|Text" } },
+  FoodEstablishment: { parent: "LocalBusiness" },
+  ProfessionalService: { parent: "LocalBusiness" },
+  MedicalBusiness: { parent: "LocalBusiness" },
+  Dentist: { parent: "LocalBusiness" },
+  Physician: { parent: "LocalBusiness" },
+  LegalService: { parent: "LocalBusiness" },
+  AutomotiveBusiness: { parent: "LocalBusiness" },
+  HomeAndConstructionBusiness: { parent: "LocalBusiness" },
+  LodgingBusiness: { parent: "LocalBusiness" },
+  Hotel: { parent: "LodgingBusiness" },
+  HealthAndBeautyBusiness: { parent: "LocalBusiness" },
+  FinancialService: { parent: "LocalBusiness" },
+  RealEstateAgent: { parent: "LocalBusiness" },
+  Place: {
+    parent: "Thing",
+    properties: { address: "PostalAddress|Text", geo: "GeoCoordinates", telephone: "Text" },
+  },
+  AdministrativeArea: { parent: "Place" },
+  PostalAddress: {
+    parent: "Thing",
+    recommended: ["streetAddress", "addressLocality", "postalCode", "addressCountry"],
+    properties: {
+      streetAddress: "Text",
+      addressLocality: "Text",
+      addressRegion: "Text",
+      postalCode: "Text",
+      addressCountry: "Text|Country",
+    },
+  },
+  Country: { parent: "Place" },
+  GeoCoordinates: {
+    parent: "Thing",
+    required: ["latitude", "longitude"],
+    properties: { latitude: "Number", longitude: "Number" },
+  },
+  OpeningHoursSpecification: {
+    parent: "Thing",
+    required: ["dayOfWeek", "opens", "closes"],
+    properties: { dayOfWeek: "DayOfWeek", opens: "Time", closes: "Time", validFrom: "Date|DateTime", validThrough: "Date|DateTime" },
+  },
+  ContactPoint: {
+    parent: "Thing",
+    recommended: ["telephone", "contactType"],
+    properties: { telephone: "Text", email: "Text", contactType: "Text", areaServed: "Text|Place", availableLanguage: "Text|Language" },
+  },
+  Language: { parent: "Thing" },
+  Person: {
+    parent: "Thing",
+    required: ["name"],
+    properties: { jobTitle: "Text", worksFor: "Organization", email: "Text", telephone: "Text", affiliation: "Organization" },
+  },
+
+  // Website / Navigation
+  WebSite: {
+    parent: "Thing",
+    recommended: ["name", "url"],
+    properties: { publisher: "Organization|Person", inLanguage: "Text|Language" },
+  },
+  WebPage: {
+    parent: "Thing",
+    properties: {
+      breadcrumb: "BreadcrumbList",
+      isPartOf: "WebSite",
+      primaryImageOfPage: "ImageObject",
+      datePublished: "Date|DateTime",
+      dateModified: "Date|DateTime",
+      inLanguage: "Text|Language",
+      about: "Thing",
+    },
+  },
+  AboutPage: { parent: "WebPage" },
+  ContactPage: { parent: "WebPage" },
+  CollectionPage: { parent: "WebPage" },
+  ItemPage: { parent: "WebPage" },
+  ProfilePage: { parent: "WebPage" },
+  SearchResultsPage: { parent: "WebPage" },
+  Action: { parent: "Thing", properties: { target: "URL|EntryPoint" } },
+  SearchAction: {
+    parent: "Action",
+    required: ["target", "query-input"],
+    properties: { "query-input": "Text|PropertyValueSpecification" },
+  },
+  EntryPoint: { parent: "Thing", required: ["urlTemplate"], properties: { urlTemplate: "Text" } },
+  PropertyValueSpecification: { parent: "Thing", properties: { valueName: "Text", valueRequired: "Boolean" } },
+  PropertyValue: { parent: "Thing", properties: { propertyID: "Text", value: "Text|Number" } },
+  BreadcrumbList: {
+    parent: "Thing",
+    required: ["itemListElement"],
+    properties: { itemListElement: "ListItem" },
+  },
+  ItemList: { parent: "Thing", required: ["itemListElement"], properties: { itemListElement: "ListItem|Thing" } },
+  ListItem: {
+    parent: "Thing",
+    required: ["position"],
+    recommended: ["name", "item"],
+    properties: { position: "Integer", item: "URL|Thing" },
+  },
+  SiteNavigationElement: { parent: "Thing" },
+
+  // Inhalte
+  CreativeWork: {
+    parent: "Thing",
+    properties: {
+      author: "Person|Organization",
+      publisher: "Organization|Person",
+      datePublished: "Date|DateTime",
+      dateModified: "Date|DateTime",
+      headline: "Text",
+      inLanguage: "Text|Language",
+      aggregateRating: "AggregateRating",
+      review: "Review",
+      thumbnailUrl: "URL",
+      keywords: "Text",
+    },
+  },
+  Article: {
+    parent: "CreativeWork",
+    recommended: ["headline", "image", "author", "datePublished", "dateModified"],
+  },
+  NewsArticle: { parent: "Article" },
+  BlogPosting: { parent: "Article" },
+  TechArticle: { parent: "Article" },
+  Report: { parent: "Article" },
+  ImageObject: {
+    parent: "CreativeWork",
+    required: [["contentUrl", "url"]],
+    properties: { contentUrl: "URL", width: "Integer|Text|QuantitativeValue", height: "Integer|Text|QuantitativeValue", caption: "Text" },
+  },
+  QuantitativeValue: { parent: "Thing", properties: { value: "Number", unitCode: "Text", unitText: "Text" } },
+  VideoObject: {
+    parent: "CreativeWork",
+    required: ["name", "thumbnailUrl", "uploadDate"],
+    recommended: ["description", "duration", ["contentUrl", "embedUrl"]],
+    properties: { uploadDate: "Date|DateTime", duration: "Duration", contentUrl: "URL", embedUrl: "URL" },
+  },
+  FAQPage: { parent: "WebPage", required: ["mainEntity"], properties: { mainEntity: "Question" } },
+  QAPage: { parent: "WebPage", required: ["mainEntity"], properties: { mainEntity: "Question" } },
+  Question: {
+    parent: "CreativeWork",
+    required: ["name", ["acceptedAnswer", "suggestedAnswer"]],
+    properties: { acceptedAnswer: "Answer", suggestedAnswer: "Answer", answerCount: "Integer", text: "Text" },
+  },
+  Answer: { parent: "CreativeWork", required: ["text"], properties: { text: "Text" } },
+  HowTo: {
+    parent: "CreativeWork",
+    required: ["name", "step"],
+    properties: { step: "HowToStep|HowToSection|Text", totalTime: "Duration" },
+  },
+  HowToStep: { parent: "CreativeWork", required: [["text", "itemListElement"]], properties: { text: "Text" } },
+  HowToSection: { parent: "CreativeWork", required: ["itemListElement"], properties: { itemListElement: "HowToStep" } },
+  Recipe: {
+    parent: "CreativeWork",
+    required: ["name", "image"],
+    recommended: ["author", "datePublished", "description", "recipeIngredient", "recipeInstructions", "totalTime"],
+    properties: {
+      recipeIngredient: "Text",
+      recipeInstructions: "HowToStep|HowToSection|Text",
+      prepTime: "Duration",
+      cookTime: "Duration",
+      totalTime: "Duration",
+      recipeYield: "Text|Integer",
+      nutrition: "NutritionInformation",
+    },
+  },
+  NutritionInformation: { parent: "Thing", properties: { calories: "Text" } },
+  Course: {
+    parent: "CreativeWork",
+    required: ["name", "description"],
+    recommended: ["provider"],
+    properties: { provider: "Organization|Person" },
+  },
+  SoftwareApplication: {
+    parent: "CreativeWork",
+    required: ["name", ["offers", "aggregateRating", "review"]],
+    recommended: ["applicationCategory", "operatingSystem"],
+    properties: { offers: "Offer", applicationCategory: "Text", operatingSystem: "Text" },
+  },
+  WebApplication: { parent: "SoftwareApplication" },
+  MobileApplication: { parent: "SoftwareApplication" },
+
+  // Shop
+  Product: {
+    parent: "Thing",
+    required: ["name", ["offers", "review", "aggregateRating"]],
+    recommended: ["image", "description", "brand", "sku", ["gtin", "gtin8", "gtin12", "gtin13", "gtin14", "mpn"]],
+    properties: {
+      offers: "Offer|AggregateOffer",
+      brand: "Brand|Organization|Text",
+      sku: "Text",
+      mpn: "Text",
+      gtin: "Text",
+      gtin8: "Text",
+      gtin12: "Text",
+      gtin13: "Text",
+      gtin14: "Text",
+      aggregateRating: "AggregateRating",
+      review: "Review",
+      color: "Text",
+      material: "Text",
+    },
+  },
+  ProductGroup: { parent: "Product", properties: { hasVariant: "Product", productGroupID: "Text" } },
+  Brand: { parent: "Thing", recommended: ["name"] },
+  Offer: {
+    parent: "Thing",
+    required: [["price", "priceSpecification"], "priceCurrency"],
+    recommended: ["availability", "url", "priceValidUntil", "itemCondition"],
+    properties: {
+      price: "Number",
+      priceCurrency: "Text",
+      priceSpecification: "PriceSpecification",
+      priceValidUntil: "Date|DateTime",
+      availability: "ItemAvailability",
+      itemCondition: "OfferItemCondition",
+      seller: "Organization|Person",
+      validFrom: "Date|DateTime",
+      shippingDetails: "OfferShippingDetails",
+      hasMerchantReturnPolicy: "MerchantReturnPolicy",
+    },
+  },
+  AggregateOffer: {
+    parent: "Thing",
+    required: ["lowPrice", "priceCurrency"],
+    recommended: ["highPrice", "offerCount"],
+    properties: { lowPrice: "Number", highPrice: "Number", priceCurrency: "Text", offerCount: "Integer", offers: "Offer" },
+  },
+  PriceSpecification: { parent: "Thing", properties: { price: "Number", priceCurrency: "Text" } },
+  UnitPriceSpecification: { parent: "PriceSpecification" },
+  OfferShippingDetails: { parent: "Thing" },
+  MerchantReturnPolicy: { parent: "Thing" },
+  AggregateRating: {
+    parent: "Thing",
+    required: ["ratingValue", ["ratingCount", "reviewCount"]],
+    properties: { ratingValue: "Number", ratingCount: "Integer", reviewCount: "Integer", bestRating: "Number", worstRating: "Number", itemReviewed: "Thing" },
+  },
+  Review: {
+    parent: "CreativeWork",
+    required: ["author"],
+    recommended: ["reviewRating", "datePublished"],
+    properties: { reviewRating: "Rating", reviewBody: "Text", itemReviewed: "Thing" },
+  },
+  Rating: {
+    parent: "Thing",
+    required: ["ratingValue"],
+    properties: { ratingValue: "Number", bestRating: "Number", worstRating: "Number" },
+  },
+
+  // Events / Jobs
+  Event: {
+    parent: "Thing",
+    required: ["name", "startDate", "location"],
+    recommended: ["description", "endDate", "eventStatus", "image", "offers", "organizer", "performer"],
+    properties: {
+      startDate: "Date|DateTime",
+      endDate: "Date|DateTime",
+      location: "Place|PostalAddress|VirtualLocation|Text",
+      eventStatus: "EventStatusType",
+      eventAttendanceMode: "EventAttendanceModeEnumeration",
+      offers: "Offer|AggregateOffer",
+      organizer: "Organization|Person",
+      performer: "Organization|Person",
+    },
+  },
+  VirtualLocation: { parent: "Thing", properties: { url: "URL" } },
+  JobPosting: {
+    parent: "Thing",
+    required: ["title", "description", "datePosted", "hiringOrganization", ["jobLocation", "applicantLocationRequirements"]],
+    recommended: ["validThrough", "employmentType", "baseSalary"],
+    properties: {
+      title: "Text",
+      datePosted: "Date|DateTime",
+      validThrough: "Date|DateTime",
+      hiringOrganization: "Organization",
+      jobLocation: "Place",
+      employmentType: "Text",
+      baseSalary: "MonetaryAmount",
+    },
+  },
+  MonetaryAmount: { parent: "Thing", properties: { currency: "Text", value: "Number|QuantitativeValue" } },
+};
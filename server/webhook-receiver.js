@@ -0,0 +1,62 @@
+// Lokaler Webhook-Empfänger zum Testen von deliverWebhook (npm run webhook:receiver).
+// Prüft X-GEO-Signature-256 gegen WEBHOOK_SECRET und antwortet auf die ersten FAIL_ATTEMPTS
+// Versuche je Delivery mit FAIL_STATUS (503/429 → Wiederholung mit Backoff, 4xx → Abbruch).
+//
+//   WEBHOOK_SECRET=geheim123 FAIL_ATTEMPTS=2 FAIL_STATUS=503 node webhook-receiver.js
+//   POST /api/analyze { "url": "…", "webhookUrl": "http://localhost:4000/hook", "webhookSecret": "geheim123" }
+//
+// Bei FAIL_ATTEMPTS=2 kommt Versuch 3 nach dem Backoff des Servers (2 s + 4 s) an; bei 429
+// schickt der Empfänger Retry-After: RETRY_AFTER (Sekunden), der Server wartet dann mindestens so lange.
+import http from "node:http";
+import crypto from "node:crypto";
+import process from "node:process";
+import { Buffer } from "node:buffer";
+
+const PORT = Number(process.env.PORT || 4000);
+const SECRET = process.env.WEBHOOK_SECRET || "";
+const FAIL_ATTEMPTS = Number(process.env.FAIL_ATTEMPTS ?? 2);
+const FAIL_STATUS = Number(process.env.FAIL_STATUS || 503);
+const RETRY_AFTER = process.env.RETRY_AFTER || "5";
+
+const deliveries = new Map(); // X-GEO-Delivery → { attempts, last }
+
+function signatureOk(header, body) {
+  if (!SECRET) return null;
+  const expected = `sha256=${crypto.createHmac("sha256", SECRET).update(body).digest("hex")}`;
+  const got = Buffer.from(String(header || ""));
+  return got.length === expected.length && crypto.timingSafeEqual(got, Buffer.from(expected));
+}
+
+http
+  .createServer((req, res) => {
+    const chunks = [];
+    req.on("data", (c) => chunks.push(c));
+    req.on("end", () => {
+      if (req.method !== "POST") {
+        res.statusCode = 405;
+        return res.end();
+      }
+      const body = Buffer.concat(chunks);
+      const id = req.headers["x-geo-delivery"] || "—";
+      const d = deliveries.get(id) || { attempts: 0, last: 0 };
+      d.attempts++;
+      const gap = d.last ? `${((Date.now() - d.last) / 1000).toFixed(1)}s nach dem vorigen Versuch` : "erster Versuch";
+      d.last = Date.now();
+      deliveries.set(id, d);
+
+      const sig = signatureOk(req.headers["x-geo-signature-256"], body);
+      let event = req.headers["x-geo-event"];
+      try {
+        event = `${event} (${JSON.parse(body).jobId})`;
+      } catch {
+        event = `${event} (kein JSON)`;
+      }
+      const status = sig === false ? 401 : d.attempts <= FAIL_ATTEMPTS ? FAIL_STATUS : 200;
+      const sigText = sig === null ? "ohne Secret" : sig ? "Signatur ok" : "Signatur FALSCH";
+      console.log(`[${new Date().toISOString()}] ${event} delivery=${id} Versuch ${d.attempts}, ${gap}, ${sigText} → ${status}`);
+      res.statusCode = status;
+      if (status === 429) res.setHeader("Retry-After", RETRY_AFTER);
+      res.end();
+    });
+  })
+  .listen(PORT, () => console.log(`Webhook receiver on http://localhost:${PORT}/hook (FAIL_ATTEMPTS=${FAIL_ATTEMPTS}, FAIL_STATUS=${FAIL_STATUS})`));
@@ -35,210 +35,7 @@ async function getJson(url) {
   return await parseJsonSafe(res);
 }
 
-/* -------------------- Client HTML Report (iframe srcDoc) -------------------- */
-function esc(s) {
-  return (s ?? "").toString().replace(/[&<>]/g, (m) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;" }[m]));
-}
-const td = (v) => `<td>${esc(v)}</td>`;
-function table(rows, headers, cls = "") {
-  return `<table class="tbl ${cls}"><thead><tr>${headers.map((h) => `<th>${esc(h)}</th>`).join("")}</tr></thead><tbody>${rows.join("")}</tbody></table>`;
-}
-function totalToKB(x) {
-  return Math.round((x || 0) / 1024);
-}
-function mark(v) {
-  if (v === true || v === "ok") return "✅";
-  if (v === "warn") return "⚠️";
-  return "❌";
-}
-function buildReportHtml(r) {
-  const host = new URL(r.requestedUrl).host;
-  const main = r.main;
-  const issues = r.issues?.map((x) => `<li>${esc(x)}</li>`).join("") || "";
-  const sd = main.structuredData?.types || {};
-  const sdList = Object.keys(sd)
-    .map((k) => `${esc(k)} (${sd[k]})`)
-    .join(", ");
-
-  const smRows = (r.sampledPages || [])
-    .filter((p) => (p.findings?.length || 0) > 0)
-    .map(
-      (p) =>
-        `<tr>${td(p.url)}${td(p.status)}${td(p.titleLen)}${td(p.metaDescLen)}${td(p.h1Count)}${td(
-          p.h2Count
-        )}${td(p.wordCount)}${td(p.jsonLdCount)}${td((p.findings || []).length)}</tr>`
-    );
-
-  const crRows = (r.crawl?.analyses || [])
-    .filter((p) => (p.findings?.length || 0) > 0)
-    .map(
-      (p) =>
-        `<tr>${td(p.url)}${td(p.status)}${td(p.titleLen)}${td(p.metaDescLen)}${td(p.h1Count)}${td(
-          p.h2Count
-        )}${td(p.wordCount)}${td(p.jsonLdCount)}${td((p.findings || []).length)}</tr>`
-    );
-
-  const findRows = (r.findings || []).map(
-    (x) =>
-      `<tr>${td(x.url)}${td(x.category)}${td(x.location)}${td(x.status)}${td(x.issue)}${td(
-        x.fix
-      )}${td(x.example)}${td(x.impact)}</tr>`
-  );
-
-  const idealTitle = main.meta.titleLength >= 50 && main.meta.titleLength <= 60;
-  const idealDesc = main.meta.metaDescriptionLength >= 140 && main.meta.metaDescriptionLength <= 180;
-
-  const matrix = [
-    ["Technik/Indexierung", "HTTP 2xx/3xx", mark(main.http.status >= 200 && main.http.status < 400)],
-    ["Technik/Indexierung", "Redirect-Kette ≤1", mark(main.http.redirectChain <= 1)],
-    ["Technik/Indexierung", "robots.txt erreichbar", mark(r.robots.found)],
-    ["Technik/Indexierung", "Sitemap in robots.txt verlinkt", mark(r.robots.sitemapListedInRobots)],
-    ["Technik/Indexierung", "Sitemap vorhanden", mark(r.sitemap.found)],
-    ["Technik/Indexierung", "No broad Disallow", mark(!r.robots.broadBlock)],
-    ["Technik/Indexierung", "<meta robots> nicht noindex", mark(!(main.meta.robotsMeta || "").toLowerCase().includes("noindex"))],
-    ["Technik/Indexierung", "Canonical vorhanden", mark(!!main.meta.canonical)],
-    ["Technik/Indexierung", "Sitemap-Abdeckung", `${r.sitemap.coveragePct ?? "—"}%`],
-
-    ["Internationalisierung", "hreflang vorhanden", mark(main.flags.hreflangCount > 0 || "warn")],
-    ["Internationalisierung", "x-default vorhanden", mark(main.flags.hreflangCount > 0 ? (main.flags.hreflangXDefault ? "ok" : "warn") : "warn")],
-
-    ["Performance/Rendering", "Große Bilder (>500KB) ≤3", mark(main.flags.bigImages <= 3 ? "ok" : "warn")],
-    ["Performance/Rendering", "Lazy-Load sinnvoll", mark(main.flags.lazyRatio >= 50 ? "ok" : "warn")],
-    ["Performance/Rendering", "CSR-Delta moderat", mark(main.flags.renderDeltaPct != null && main.flags.renderDeltaPct <= 50 ? "ok" : "warn")],
-    ["Performance/Rendering", "Caching-Header", mark(main.flags.hasCaching ? "ok" : "warn")],
-
-    ["Struktur/Semantik", "Title 50–60", mark(idealTitle ? "ok" : "warn")],
-    ["Struktur/Semantik", "Description 140–180", mark(idealDesc ? "ok" : "warn")],
-    ["Struktur/Semantik", "1× H1", mark(main.headings.h1Count === 1)],
-    ["Struktur/Semantik", "H2 vorhanden", mark(main.flags.h2Count >= 1 ? "ok" : "warn")],
-    ["Struktur/Semantik", "Heading-Hierarchie", mark(main.flags.hOrderOk ? "ok" : "warn")],
-    ["Struktur/Semantik", "URL sauber", mark(main.flags.urlClean ? "ok" : "warn")],
-    ["Struktur/Semantik", "Breadcrumb (Schema)", mark(main.flags.hasBreadcrumb ? "ok" : "warn")],
-
-    ["OG/Social", "OG komplett (T/D/Img)", mark(main.flags.ogComplete ? "ok" : "warn")],
-    ["OG/Social", "Twitter Card", mark(main.flags.twitterOk ? "ok" : "warn")],
-    ["OG/Social", "summary_large_image", mark(main.flags.twitterLarge ? "ok" : "warn")],
-
-    ["Schema.org", "WebSite (+SearchAction)", mark(main.flags.hasWebsite && main.flags.hasSearchAction ? "ok" : "warn")],
-    ["Schema.org", "Organization/LocalBusiness", mark(main.flags.hasOrganization || main.flags.hasLocalBusiness ? "ok" : "warn")],
-    ["Schema.org", "FAQ/Breadcrumb/Article", mark(main.flags.hasFAQ || main.flags.hasBreadcrumb || main.flags.hasArticle ? "ok" : "warn")],
-    ["Schema.org", "Product(+Offer)", mark(main.flags.hasProduct ? (main.flags.productFields.offer && main.flags.productFields.price && main.flags.productFields.currency ? "ok" : "warn") : "warn")],
-
-    ["Content & LLM", "≥200 Wörter", mark(main.flags.wordCount >= 200 ? "ok" : "warn")],
-    ["Content & LLM", "ALT-Quote ok", mark(main.images.missingAltRatio <= 0.2 ? "ok" : "warn")],
-    ["Content & LLM", "JSON-LD im <head>", mark(main.flags.jsonLdInHead ? "ok" : "warn")],
-
-    ["GEO/Local", "NAP vollständig", mark(main.flags.hasLocalBusiness ? (main.flags.localFields.telephone && main.flags.localFields.address ? "ok" : "warn") : "warn")],
-    ["GEO/Local", "Öffnungszeiten vorhanden", mark(main.flags.hasLocalBusiness ? (main.flags.localFields.hours ? "ok" : "warn") : "warn")],
-
-    ["Barrierefreiheit/Recht", "<html lang>", mark(!!main.meta.lang)],
-    ["Barrierefreiheit/Recht", "Form-Labels (Stichprobe)", "→ siehe Tabellen"],
-    ["Barrierefreiheit/Recht", "Impressum/Datenschutz verlinkt", "→ siehe Tabellen"],
-  ];
-
-  const matrixRows = matrix.map((rw) => `<tr>${td(rw[0])}${td(rw[1])}${td(rw[2])}</tr>`);
-
-  return `<!doctype html>
-<html>
-<head>
-<meta charset="utf-8"><title>GEO-Report ${esc(host)}</title>
-<meta name="viewport" content="width=device-width, initial-scale=1" />
-<style>
-  :root{ --bg:#ffffff; --fg:#111; --muted:#666; --card:#fafafa; --border:#e6e6e6; --accent:#1e88e5; }
-  body{ font-family:-apple-system, Segoe UI, Roboto, Arial, sans-serif; font-size:12px; color:var(--fg); margin:0; background:var(--bg); }
-  .wrap{ padding:16px; }
-  h1{ font-size:22px; margin:0 0 6px; } h2{ font-size:16px; margin:16px 0 8px; }
-  .head{ display:flex; gap:16px; justify-content:space-between; align-items:flex-start; margin-bottom:8px; }
-  .brand{ font-weight:600; } .meta{ font-size:11px; color:var(--muted); }
-  .score{ display:flex; gap:10px; flex-wrap:wrap; margin:6px 0 8px; }
-  .badge{ border:1px solid var(--border); padding:6px 8px; border-radius:8px; background:var(--card); min-width:120px; text-align:center; }
-  .tbl{ width:100%; border-collapse:collapse; table-layout:fixed; }
-  .tbl th,.tbl td{ border:1px solid var(--border); padding:5px 7px; vertical-align:top; word-break:break-word; }
-  .tbl th{ background:#f7f7f7; text-align:left; white-space:nowrap; }
-  .tbl.striped tbody tr:nth-child(odd){ background:#fcfcfc; }
-  .tbl.narrow td,.tbl.narrow th{ font-size:11px; padding:4px 6px; }
-  .grid{ display:grid; grid-template-columns: 1fr; gap:10px; }
-  @media (min-width: 900px){ .grid{ grid-template-columns: 1fr 1fr; } }
-  ul{ margin:6px 0 0 16px; }
-  .small{ color:var(--muted); font-size:11px; }
-</style>
-</head>
-<body>
-  <div class="wrap">
-    <div class="head">
-      <div>
-        <div class="brand">GEO-Analyse · Maschinenlesbarkeit</div>
-        <div class="small">DMVConsult – Beate Zöllner – dmv daten- & medienverarbeitung – In der Esmecke 31 – 59846 Sundern – mobil 0171 64 79030</div>
-      </div>
-      <div class="meta">Domain: <b>${esc(host)}</b><br>Erstellt: ${new Date().toLocaleString()}</div>
-    </div>
-
-    <h1>Executive Summary</h1>
-    <div class="score">
-      <div class="badge"><b>Score</b><br>${r.score.total}/100</div>
-      <div class="badge"><b>Structured</b><br>${r.score.breakdown.structuredData}</div>
-      <div class="badge"><b>Technical</b><br>${r.score.breakdown.technical}</div>
-      <div class="badge"><b>Content</b><br>${r.score.breakdown.content}</div>
-      <div class="badge"><b>Social</b><br>${r.score.breakdown.social}</div>
-      <div class="badge"><b>Seiten gescannt</b><br>${r.counts.pagesScanned}</div>
-      <div class="badge"><b>Seiten mit Issues</b><br>${r.counts.pagesWithIssues}</div>
-      <div class="badge"><b>Fehler/Warn/Hinw</b><br>${r.counts.severityCounts.Fehler||0} / ${r.counts.severityCounts.Warnung||0} / ${r.counts.severityCounts.Hinweis||0}</div>
-      <div class="badge"><b>Sitemap-Coverage</b><br>${r.sitemap.coveragePct ?? "—"}%</div>
-    </div>
-
-    <div class="grid">
-      <div>
-        <h2>Auffälligkeiten (Hauptseite)</h2>
-        <ul>${issues}</ul>
-        ${r.orphanCandidates?.length ? `<h2>Orphan-Kandidaten (Sitemap, nicht gecrawlt · max 50)</h2><ul class="small">${r.orphanCandidates.map(u=>`<li>${esc(u)}</li>`).join("")}</ul>` : ""}
-      </div>
-      <div>
-        <h2>Hauptseite – Kennzahlen</h2>
-        ${table([
-          `<tr>${td("URL")}${td(main.finalUrl)}</tr>`,
-          `<tr>${td("HTTP-Status / Redirect-Kette")}${td(`${main.http.status} / ${main.http.redirectChain}`)}</tr>`,
-          `<tr>${td("Indexierbar")}${td(main.flags.indexable ? "Ja" : "Nein")}</tr>`,
-          `<tr>${td("Title/Description")}${td(`${main.meta.titleLength} / ${main.meta.metaDescriptionLength}`)}</tr>`,
-          `<tr>${td("Wortzahl (Body)")}${td(main.flags.wordCount)}</tr>`,
-          `<tr>${td("H1/H2")}${td(`${main.headings.h1Count}/${main.flags.h2Count}`)}</tr>`,
-          `<tr>${td("ALT-Fehlquote / Lazy-Load")}${td(`${Math.round((main.images.missingAltRatio||0)*100)}% / ${main.flags.lazyRatio}%`)}</tr>`,
-          `<tr>${td("JSON-LD Typen")}${td(sdList || "—")}</tr>`,
-          `<tr>${td("RAW→DOM Delta")}${td((main.flags.renderDeltaPct??0)+"%")}</tr>`,
-          `<tr>${td("Assets (KB) total / img / js / css")}${td(
-            `${totalToKB(main.flags.bytes.total)} / ${totalToKB(main.flags.bytes.img)} / ${totalToKB(main.flags.bytes.js)} / ${totalToKB(main.flags.bytes.css)}`
-          )}</tr>`,
-          `<tr>${td("Caching / URL sauber")}${td((main.flags.hasCaching?"Ja":"Nein") + " / " + (main.flags.urlClean?"Ja":"Nein"))}</tr>`
-        ], ["Feld","Wert"], "narrow")}
-      </div>
-    </div>
-
-    <h2>Check-Matrix (1–14 Themenfelder)</h2>
-    ${table(matrixRows, ["Kategorie","Prüfpunkt","Status"], "striped narrow")}
-
-    <h2>Sitemap-Stichprobe (nur Seiten mit Findings)</h2>
-    ${table(smRows, ["URL","Status","Title","Desc","H1","H2","Wörter","JSON-LD","#Findings"], "striped narrow")}
-
-    <h2>Crawl-Stichprobe (nur Seiten mit Findings)</h2>
-    ${table(crRows, ["URL","Status","Title","Desc","H1","H2","Wörter","JSON-LD","#Findings"], "striped narrow")}
-
-    <h2>Befundtabelle (alle Findings)</h2>
-    ${table(findRows, ["URL","Kategorie","Fundstelle","Status","Issue","Fix","Beispiel","Impact"], "striped narrow")}
-
-    <h2>Hinweise zur Behebung</h2>
-    <ul class="small">
-      <li><b>Indexierung/Technik</b>: 2xx/3xx sicherstellen, keine Ketten; <b>robots.txt</b> nicht pauschal blocken; <b>Canonical</b> je Seite setzen; <b>Sitemap</b> in robots.txt verlinken.</li>
-      <li><b>Performance/Rendering</b>: große Bilder verkleinern/komprimieren, <b>lazy</b>-Loading nutzen, CSS/JS minimieren, Caching aktivieren; <b>CSR-Delta</b> groß → SSR/SSG erwägen.</li>
-      <li><b>Struktur/Semantik</b>: Title 50–60, Description 140–180; genau 1× H1; H2/H3-Hierarchie ohne Sprünge; saubere URLs; Breadcrumbs (Schema).</li>
-      <li><b>OG & Social</b>: og:title/description/image; Twitter <i>summary_large_image</i> für gute Previews.</li>
-      <li><b>Schema.org</b>: WebSite(+SearchAction), Organization/LocalBusiness(+NAP), BreadcrumbList, FAQPage; Product→Offer (price/currency/availability); Article→author/date.</li>
-      <li><b>Content & LLM</b>: ≥200 Wörter Kerntext; Alt-Texte; JSON-LD früh im <head>.</li>
-      <li><b>GEO</b>: NAP-Konsistenz (Telefon/Adresse/Öffnungszeiten) auszeichnen; Bewertungen/AggregateRating wo passend.</li>
-      <li><b>A11y/Recht</b>: <code>&lt;html lang&gt;</code>, Formular-Labels/ARIA; Impressum & Datenschutz klar verlinken; Consent-Banner DSGVO-konform.</li>
-    </ul>
-  </div>
-</body>
-</html>`;
-}
+const SCORE_GROUP_LABELS = { structuredData: "Structured", technical: "Technical", content: "Content", social: "Social" };
 
 /* -------------------- UI -------------------- */
 function Badge({ label, value }) {
@@ -250,11 +47,102 @@ function Badge({ label, value }) {
   );
 }
 
+// Verlauf einer Domain + Vergleich mit einem früheren Lauf
+const fmtDelta = (d) => (d?.delta == null ? "—" : d.delta > 0 ? `+${d.delta}` : `${d.delta}`);
+
+function HistoryDiff({ jobId, host, onDiff }) {
+  const [runs, setRuns] = useState([]);
+  const [base, setBase] = useState("");
+  const [diff, setDiff] = useState(null);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    getJson(`/api/history/${encodeURIComponent(host)}`)
+      .then((list) => {
+        const older = (list || []).filter((r) => r.jobId !== jobId);
+        setRuns(older);
+        setBase(older[0]?.jobId || "");
+      })
+      .catch(() => setRuns([]));
+  }, [jobId, host]);
+
+  useEffect(() => {
+    setDiff(null);
+    setError("");
+    onDiff(null);
+    if (!base) return;
+    getJson(`/api/diff/${jobId}?base=${encodeURIComponent(base)}`)
+      .then((d) => {
+        setDiff(d);
+        onDiff(d);
+      })
+      .catch((e) => setError(e.message));
+  }, [jobId, base, onDiff]);
+
+  if (!runs.length) return <div className="small">Noch keine früheren Läufe für {host}.</div>;
+  return (
+    <div>
+      <label className="small">
+        Vergleichen mit{" "}
+        <select value={base} onChange={(e) => setBase(e.target.value)}>
+          {runs.map((r) => (
+            <option key={r.jobId} value={r.jobId}>
+              {new Date(r.finishedAt).toLocaleString()} · Score {r.score}
+              {r.siteScore != null ? ` / ${r.siteScore}` : ""}
+            </option>
+          ))}
+        </select>
+      </label>
+      {error && (
+        <div className="error" style={{ marginTop: 8 }}>
+          {error}
+        </div>
+      )}
+      {diff && (
+        <>
+          <div className="row" style={{ marginTop: 8, flexWrap: "wrap" }}>
+            <Badge label="Startseite" value={`${diff.score.total.to} (${fmtDelta(diff.score.total)})`} />
+            <Badge label="Gesamtsite" value={`${diff.score.site.to ?? "—"} (${fmtDelta(diff.score.site)})`} />
+            {Object.entries(diff.score.breakdown).map(([g, d]) => (
+              <Badge key={g} label={SCORE_GROUP_LABELS[g] || g} value={`${d.to ?? "—"} (${fmtDelta(d)})`} />
+            ))}
+          </div>
+          <div className="small" style={{ marginTop: 8 }}>
+            Findings: {diff.findings.counts.new} neu · {diff.findings.counts.resolved} behoben · {diff.findings.counts.unchanged}{" "}
+            unverändert · URLs: {diff.urls.counts.added} neu · {diff.urls.counts.removed} entfallen
+          </div>
+          {[
+            ["Neue Findings", diff.findings.new],
+            ["Behobene Findings", diff.findings.resolved],
+          ].map(([title, list]) =>
+            list.length ? (
+              <details key={title} style={{ marginTop: 8 }}>
+                <summary className="small">
+                  {title} ({list.length})
+                </summary>
+                <div className="logs" style={{ maxHeight: 220, overflow: "auto" }}>
+                  {list.map((f) => `${f.status} · ${f.url} · ${f.issue}`).join("\n")}
+                </div>
+              </details>
+            ) : null
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
 export default function App() {
   const [url, setUrl] = useState("https://dmv-consult.de/");
   const [sampling, setSampling] = useState(true);
   const [maxSamplePages, setMaxSamplePages] = useState(10);
   const [showDebug, setShowDebug] = useState(false);
+  const [scoringProfile, setScoringProfile] = useState("standard");
+  const [profiles, setProfiles] = useState([{ id: "standard", label: "Standard" }]);
+  const [reportLanguage, setReportLanguage] = useState("de");
+  const [languages, setLanguages] = useState([{ id: "de", name: "Deutsch" }]);
+  const [branding, setBranding] = useState("default");
+  const [brandings, setBrandings] = useState([{ id: "default", name: "DMVConsult" }]);
 
   const [jobId, setJobId] = useState(null);
   const [status, setStatus] = useState(null);
@@ -262,8 +150,11 @@ export default function App() {
   const [result, setResult] = useState(null);
   const [error, setError] = useState("");
   const [logs, setLogs] = useState([]);
+  const [live, setLive] = useState(null); // { stage, discoveredCount, findingsCount }
+  const [diff, setDiff] = useState(null); // Vergleich mit früherem Lauf (HistoryDiff)
   const pollingRef = useRef(null);
   const abortRef = useRef(null);
+  const eventsRef = useRef(null);
 
   const canAnalyze = useMemo(() => {
     try {
@@ -275,6 +166,8 @@ export default function App() {
   }, [url]);
 
   function clearPolling() {
+    if (eventsRef.current) eventsRef.current.close();
+    eventsRef.current = null;
     if (pollingRef.current) clearInterval(pollingRef.current);
     pollingRef.current = null;
     if (abortRef.current) {
@@ -290,6 +183,8 @@ export default function App() {
     setProgress(0);
     setJobId(null);
     setLogs([]);
+    setLive(null);
+    setDiff(null);
     clearPolling();
 
     try {
@@ -307,6 +202,9 @@ export default function App() {
         includePatterns: [],
         excludePatterns: [],
         guessCommonPaths: true,
+        scoringProfile,
+        reportLanguage,
+        branding,
         debug: showDebug,
       });
       if (!data?.jobId) throw new Error("Antwort ohne jobId");
@@ -317,6 +215,19 @@ export default function App() {
     }
   }
 
+  // Scoring-Profile, Berichtssprachen und Branding-Profile vom Server (Fallback: Standardwerte)
+  useEffect(() => {
+    getJson("/api/scoring-profiles")
+      .then((d) => d?.profiles?.length && setProfiles(d.profiles))
+      .catch(() => {});
+    getJson("/api/report-languages")
+      .then((d) => d?.length && setLanguages(d))
+      .catch(() => {});
+    getJson("/api/branding")
+      .then((d) => d?.length && setBrandings(d))
+      .catch(() => {});
+  }, []);
+
   useEffect(() => {
     if (!jobId) return;
     clearPolling();
@@ -324,25 +235,39 @@ export default function App() {
     const ctrl = new AbortController();
     abortRef.current = ctrl;
 
+    function applyStatus(s, withCounts = true) {
+      setStatus(s.status);
+      setProgress(s.progress ?? 0);
+      if (withCounts)
+        setLive({ stage: s.stage, discoveredCount: s.discoveredCount ?? 0, findingsCount: s.findingsCount ?? 0 });
+      else setLive((l) => ({ ...l, stage: s.stage }));
+    }
+
+    async function finish(s) {
+      clearPolling();
+      if (s.status === "done") {
+        const data = await getJson(`/api/result/${jobId}`);
+        setResult(data);
+      } else if (s.status === "cancelled") {
+        // Teilergebnis laden, falls die Hauptseite schon analysiert war
+        const data = await getJson(`/api/result/${jobId}`).catch(() => null);
+        if (data) setResult(data);
+      } else if (s.status === "error") {
+        setError("Job ist im Backend mit Fehler abgebrochen.");
+      }
+    }
+
     async function tick() {
       try {
         const s = await getJson(`/api/status/${jobId}`);
-        setStatus(s.status);
-        setProgress(s.progress ?? 0);
+        applyStatus(s);
 
         if (showDebug) {
           const l = await getJson(`/api/logs/${jobId}`);
           setLogs(l.logs || []);
         }
 
-        if (s.status === "done") {
-          clearPolling();
-          const data = await getJson(`/api/result/${jobId}`);
-          setResult(data);
-        } else if (s.status === "error") {
-          clearPolling();
-          setError("Job ist im Backend mit Fehler abgebrochen.");
-        }
+        if (["done", "cancelled", "error"].includes(s.status)) await finish(s);
       } catch (e) {
         clearPolling();
         setStatus("error");
@@ -350,11 +275,59 @@ export default function App() {
       }
     }
 
-    tick();
-    pollingRef.current = setInterval(tick, 1500);
+    function startPolling() {
+      if (eventsRef.current) eventsRef.current.close();
+      eventsRef.current = null;
+      if (pollingRef.current) return;
+      tick();
+      pollingRef.current = setInterval(tick, 1500);
+    }
+
+    // Live-Stream (SSE); ohne EventSource oder bei Verbindungsfehler → Polling
+    if (typeof EventSource === "undefined") {
+      startPolling();
+      return () => clearPolling();
+    }
+    const es = new EventSource(`/api/events/${jobId}`);
+    eventsRef.current = es;
+    const data = (e) => JSON.parse(e.data);
+    es.addEventListener("snapshot", (e) => {
+      const s = data(e);
+      applyStatus(s);
+      setLogs(s.logs || []);
+    });
+    // Zähler kommen als Deltas (discovered/findings), Status nur für Phase/Fortschritt
+    es.addEventListener("status", (e) => applyStatus(data(e), false));
+    es.addEventListener("stage", (e) => setLive((l) => ({ ...l, stage: data(e).stage })));
+    es.addEventListener("discovered", (e) => setLive((l) => ({ ...l, discoveredCount: data(e).count })));
+    es.addEventListener("findings", (e) =>
+      setLive((l) => ({ ...l, findingsCount: (l?.findingsCount || 0) + data(e).findings.length }))
+    );
+    es.addEventListener("log", (e) => {
+      const entry = data(e);
+      setLogs((prev) => [...prev, entry]);
+    });
+    es.addEventListener("end", (e) => {
+      const s = data(e);
+      applyStatus(s);
+      finish(s).catch((err) => setError(err.message || "Ergebnis konnte nicht geladen werden."));
+    });
+    es.onerror = () => {
+      if (eventsRef.current === es) startPolling();
+    };
     return () => clearPolling();
   }, [jobId, showDebug]);
 
+  async function cancelAnalyze() {
+    if (!jobId) return;
+    try {
+      const data = await postJson(`/api/cancel/${jobId}`, {});
+      setStatus(data.status);
+    } catch (e) {
+      setError(e.message || "Abbrechen fehlgeschlagen.");
+    }
+  }
+
   function downloadJSON() {
     if (!result) return;
     const blob = new Blob([JSON.stringify(result, null, 2)], { type: "application/json" });
@@ -366,18 +339,10 @@ export default function App() {
     URL.revokeObjectURL(u);
   }
 
-  function openBrowserReport() {
-    if (!result) return;
-    const html = buildReportHtml(result);
-    const win = window.open("", "_blank");
-    if (win) {
-      win.document.open();
-      win.document.write(html);
-      win.document.close();
-    }
-  }
+  // Bericht kommt vom Server (gleiche Quelle wie das PDF), ggf. mit Vergleichslauf
+  const reportQuery = diff ? `?base=${diff.base.jobId}` : "";
 
-  const downloading = status === "running" || status === "queued";
+  const downloading = status === "running" || status === "queued" || status === "cancelling";
 
   return (
     <div className="container">
@@ -417,6 +382,11 @@ export default function App() {
           <button onClick={startAnalyze} disabled={!canAnalyze || downloading}>
             {downloading ? "Analysiere…" : "Analysieren"}
           </button>
+          {downloading && (
+            <button onClick={cancelAnalyze} disabled={!jobId || status === "cancelling"}>
+              {status === "cancelling" ? "Breche ab…" : "Abbrechen"}
+            </button>
+          )}
         </div>
 
         <div className="row" style={{ marginTop: 8, gap: 20, alignItems: "center", flexWrap: "wrap" }}>
@@ -435,6 +405,39 @@ export default function App() {
             Sitemap-URLs samplen
           </label>
 
+          <label className="small">
+            Scoring-Profil{" "}
+            <select value={scoringProfile} onChange={(e) => setScoringProfile(e.target.value)} disabled={downloading}>
+              {profiles.map((p) => (
+                <option key={p.id} value={p.id}>
+                  {p.label}
+                </option>
+              ))}
+            </select>
+          </label>
+
+          <label className="small">
+            Berichtssprache{" "}
+            <select value={reportLanguage} onChange={(e) => setReportLanguage(e.target.value)} disabled={downloading}>
+              {languages.map((l) => (
+                <option key={l.id} value={l.id}>
+                  {l.name}
+                </option>
+              ))}
+            </select>
+          </label>
+
+          <label className="small">
+            Branding{" "}
+            <select value={branding} onChange={(e) => setBranding(e.target.value)} disabled={downloading}>
+              {brandings.map((b) => (
+                <option key={b.id} value={b.id}>
+                  {b.name}
+                </option>
+              ))}
+            </select>
+          </label>
+
           <label className="small">
             <input
               type="checkbox"
@@ -450,6 +453,8 @@ export default function App() {
           <div style={{ marginTop: 16 }}>
             <div className="small">
               Status: {status} ({progress || 0}%)
+              {live?.stage ? ` · Phase: ${live.stage}` : ""}
+              {live ? ` · URLs entdeckt: ${live.discoveredCount || 0} · Findings: ${live.findingsCount || 0}` : ""}
             </div>
             <div className="progress" style={{ marginTop: 6 }}>
               <div style={{ width: `${progress || 0}%` }} />
@@ -481,8 +486,11 @@ export default function App() {
               </div>
             </div>
             <div style={{ textAlign: "right" }}>
-              <div className="small">GEO Score</div>
-              <div className="score">{result.score.total}</div>
+              <div className="small">GEO Score{result.score.profile ? ` · ${result.score.profile.label}` : ""}</div>
+              <div className="score">
+                {result.score.total}
+                {result.siteScore?.pageCount ? <span className="small"> Startseite · {result.siteScore.total} Gesamtsite</span> : null}
+              </div>
               <div className="small">
                 SD {result.score.breakdown.structuredData} • Tech {result.score.breakdown.technical} • Content{" "}
                 {result.score.breakdown.content} • Social {result.score.breakdown.social}
@@ -492,18 +500,65 @@ export default function App() {
 
           <div className="actions" style={{ marginTop: 16 }}>
             <button onClick={downloadJSON}>JSON exportieren</button>
-            <a href={`/api/report/${jobId}.pdf`} target="_blank" rel="noopener noreferrer">
+            <a href={`/api/report/${jobId}.pdf${reportQuery}`} target="_blank" rel="noopener noreferrer">
               <button>PDF herunterladen</button>
             </a>
-            <button onClick={openBrowserReport}>Bericht im Browser öffnen</button>
+            <a href={`/api/report/${jobId}.html${reportQuery}`} target="_blank" rel="noopener noreferrer">
+              <button>Bericht im Browser öffnen</button>
+            </a>
+            <a href={`/api/export/${jobId}.xlsx`}>
+              <button>Excel (XLSX) exportieren</button>
+            </a>
+            {result.llms?.proposed && (
+              <a href={`/api/llms/${jobId}.txt`} target="_blank" rel="noopener noreferrer">
+                <button>llms.txt-Vorschlag herunterladen</button>
+              </a>
+            )}
           </div>
 
+          <div className="small" style={{ marginTop: 8 }}>
+            CSV:{" "}
+            {[
+              ["findings", "Befunde"],
+              ["sitemap", "Sitemap-Stichprobe"],
+              ["crawl", "Crawl"],
+              ["deep", "Deep-Analyse"],
+              ["schema", "schema.org-Validierung"],
+              ["hreflang", "hreflang-Cluster"],
+              ["canonical", "Canonicals"],
+              ["duplicates", "Duplikate"],
+              ["links", "Linkgraph"],
+              ["brokenLinks", "Kaputte Links"],
+              ["redirects", "Redirect-Map"],
+              ["orphans", "Orphan-Kandidaten"],
+            ].map(([table, label], i) => (
+              <span key={table}>
+                {i > 0 && " · "}
+                <a href={`/api/export/${jobId}/${table}.csv`}>{label}</a>
+              </span>
+            ))}
+            {result.linkGraph && (
+              <>
+                {" "}
+                · Linkgraph: <a href={`/api/export/${jobId}/links.graphml`}>GraphML</a> ·{" "}
+                <a href={`/api/export/${jobId}/links.json`}>JSON</a>
+              </>
+            )}
+          </div>
+
+          {status === "done" && (
+            <div style={{ marginTop: 16 }}>
+              <div className="small">Verlauf & Vergleich</div>
+              <HistoryDiff jobId={jobId} host={new URL(result.requestedUrl).host} onDiff={setDiff} />
+            </div>
+          )}
+
           {/* Live-Ansicht im Browser via iframe */}
           <div className="iframeWrap">
             <iframe
               title="GEO Report"
               style={{ width: "100%", height: "100%", border: "0" }}
-              srcDoc={buildReportHtml(result)}
+              src={`/api/report/${jobId}.html${reportQuery}`}
               sandbox="allow-same-origin allow-popups allow-top-navigation-by-user-activation"
             />
           </div>